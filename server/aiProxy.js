@@ -0,0 +1,346 @@
+// AI proxy: serves /api/iam, /api/watsonx and /api/watsonx-stream so the
+// watsonx API key and project ID stay on the server. Run with
+// `npm run start-ai-proxy`; the dev server forwards these paths to it.
+//
+//   POST /api/iam             Supabase access token in, proxy session token out
+//   POST /api/watsonx         chat request, forwarded with the server's IAM token
+//   POST /api/watsonx-stream  same, streamed back as server-sent events
+//
+// Every chat request is checked against the caller's daily request and token
+// allowance and recorded in ai_usage with the token counts watsonx reports.
+import http from 'node:http';
+import crypto from 'node:crypto';
+import dotenv from 'dotenv';
+import { IAMTokenCache } from './iamTokenCache.js';
+import { SessionAuth } from './sessionAuth.js';
+import { QuotaTracker } from './quotaTracker.js';
+import { parseStreamEvent, parseUsage } from '../src/services/llm/http.js';
+import { AI_FEATURES, estimateTokens, estimateMessageTokens, hasImageContent } from '../src/services/llm/usageMeter.js';
+import supabase from '../src/services/supabase.server.js';
+
+dotenv.config();
+
+const config = {
+  port: Number(process.env.AI_PROXY_PORT) || 8787,
+  allowedOrigin: process.env.AI_PROXY_ALLOWED_ORIGIN || 'http://localhost:5173',
+  watsonxUrl: process.env.WATSONX_URL || 'https://au-syd.ml.cloud.ibm.com',
+  apiKey: process.env.WATSONX_API_KEY,
+  projectId: process.env.WATSONX_PROJECT_ID,
+  // Without a fixed secret, session tokens stop working when the proxy restarts
+  sessionSecret: process.env.AI_PROXY_SECRET || crypto.randomBytes(32).toString('hex'),
+  maxTokens: Number(process.env.AI_PROXY_MAX_TOKENS) || 2000,
+  maxBodyBytes: 15 * 1024 * 1024 // Base64 images of up to 10 MB
+};
+
+if (!config.apiKey || !config.projectId) {
+  throw new Error('Missing WATSONX_API_KEY or WATSONX_PROJECT_ID in .env');
+}
+
+const iamTokens = new IAMTokenCache(config.apiKey);
+const auth = new SessionAuth({ secret: config.sessionSecret });
+const quotas = new QuotaTracker({
+  dailyRequests: Number(process.env.AI_PROXY_DAILY_REQUESTS) || 200,
+  dailyTokens: Number(process.env.AI_PROXY_DAILY_TOKENS) || null,
+  requestsPerMinute: Number(process.env.AI_PROXY_REQUESTS_PER_MINUTE) || 20
+});
+
+// Daily allowances per role are the ones teachers set on the AI Usage page
+async function loadRoleQuotas() {
+  const { data, error } = await supabase
+    .from('ai_quotas')
+    .select('role, daily_requests, daily_tokens');
+
+  if (error) {
+    console.warn('⚠️ Could not load AI quotas, using AI_PROXY_DAILY_REQUESTS:', error.message);
+    return;
+  }
+  quotas.setRoleLimits(data);
+}
+
+// The first request of a user's day starts from the usage already recorded.
+// Refusals don't count, like in the app's usage meter. Parallel first requests
+// share one load.
+const usageLoads = new Map(); // userId -> pending load
+
+function ensureTodayUsage(user) {
+  if (quotas.getEntry(user.id)) return null;
+  if (!usageLoads.has(user.id)) {
+    usageLoads.set(user.id, loadTodayUsage(user).finally(() => usageLoads.delete(user.id)));
+  }
+  return usageLoads.get(user.id);
+}
+
+async function loadTodayUsage(user) {
+  const since = `${new Date().toISOString().slice(0, 10)}T00:00:00.000Z`;
+  const { data, error } = await supabase
+    .from('ai_usage')
+    .select('input_tokens, output_tokens')
+    .eq('user_id', user.id)
+    .gte('created_at', since)
+    .neq('outcome', 'quota_exceeded');
+
+  if (error) {
+    const loadError = new Error(`Could not load AI usage: ${error.message}`);
+    loadError.status = 503;
+    throw loadError;
+  }
+  quotas.seed(user.id, {
+    requests: data.length,
+    tokens: data.reduce((sum, row) => sum + row.input_tokens + row.output_tokens, 0)
+  });
+}
+loadRoleQuotas();
+setInterval(loadRoleQuotas, 5 * 60 * 1000);
+
+const routes = {
+  '/api/iam': handleSession,
+  '/api/watsonx': (req, res, user) => handleChat(req, res, user, 'chat'),
+  '/api/watsonx-stream': (req, res, user) => handleChat(req, res, user, 'chat_stream')
+};
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', config.allowedOrigin);
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept, X-AI-Feature');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-Quota-Remaining');
+
+  const path = req.url.split('?')[0];
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end();
+    return;
+  }
+
+  if (req.method === 'GET' && path === '/health') {
+    sendJSON(res, 200, { status: 'ok' });
+    return;
+  }
+
+  const handler = routes[path];
+  if (!handler || req.method !== 'POST') {
+    sendJSON(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  try {
+    const user = await auth.authenticate(req);
+    if (!user) {
+      sendJSON(res, 401, { error: 'Sign in to use the AI assistant' });
+      return;
+    }
+
+    await handler(req, res, user);
+  } catch (error) {
+    console.error(`❌ ${path} failed:`, error.message);
+    if (!res.headersSent) {
+      sendJSON(res, error.status || 502, { error: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Exchange a Supabase access token for a proxy session token
+async function handleSession(req, res, user) {
+  await readBody(req);
+  sendJSON(res, 200, auth.issueSessionToken(user));
+}
+
+async function handleChat(req, res, user, endpoint) {
+  const startedAt = Date.now();
+  const feature = AI_FEATURES.includes(req.headers['x-ai-feature']) ? req.headers['x-ai-feature'] : 'chat';
+
+  // Rejected bodies (400, and 413 from readBody) don't count against the quota
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (error) {
+    if (error.status) throw error;
+    sendJSON(res, 400, { error: 'Request body must be JSON' });
+    return;
+  }
+
+  await ensureTodayUsage(user);
+
+  const quota = quotas.consume(user);
+  if (!quota.allowed) {
+    recordUsage(user, { feature, startedAt, outcome: 'quota_exceeded', errorMessage: quota.reason });
+    res.setHeader('Retry-After', String(quota.retryAfterSeconds));
+    sendJSON(res, 429, { error: quota.reason, retryAfter: quota.retryAfterSeconds });
+    return;
+  }
+
+  // The project and answer length are the server's to decide
+  body.project_id = config.projectId;
+  body.parameters = {
+    ...body.parameters,
+    max_tokens: Math.min(body.parameters?.max_tokens || config.maxTokens, config.maxTokens)
+  };
+
+  // Stop generating when the browser goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  // Every counted request gets its ai_usage row, however it ends, so the
+  // in-memory counts match the rows they are seeded from after a restart
+  const meter = createResponseMeter(endpoint === 'chat_stream');
+  let upstream = null;
+  let completed = false;
+  let failure = null;
+  try {
+    upstream = await forward(endpoint, body, controller.signal);
+    if (upstream.status === 401) {
+      iamTokens.clear();
+      upstream = await forward(endpoint, body, controller.signal);
+    }
+
+    res.writeHead(upstream.status, {
+      'Content-Type': upstream.headers.get('content-type') || 'application/json',
+      'Cache-Control': 'no-cache',
+      ...(Number.isFinite(quota.remainingToday) ? { 'X-Quota-Remaining': String(quota.remainingToday) } : {})
+    });
+
+    // Relay the answer, keeping a copy to read the token counts from
+    for await (const chunk of upstream.body) {
+      meter.add(chunk);
+      res.write(chunk);
+    }
+    completed = true;
+    res.end();
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    const { usage, output } = meter.finish();
+    const inputTokens = usage?.inputTokens ?? (upstream ? estimateMessageTokens(body.messages) : 0);
+    const outputTokens = usage?.outputTokens ?? estimateTokens(output);
+    quotas.addTokens(user.id, inputTokens + outputTokens);
+
+    let outcome = 'success';
+    let errorMessage = null;
+    if (!completed) {
+      outcome = controller.signal.aborted ? 'cancelled' : 'error';
+      errorMessage = outcome === 'error' ? failure?.message.substring(0, 500) : null;
+    } else if (!upstream.ok) {
+      outcome = 'error';
+      errorMessage = output.substring(0, 500);
+    }
+
+    recordUsage(user, {
+      feature,
+      startedAt,
+      model: body.model_id,
+      inputTokens,
+      outputTokens,
+      estimated: !usage,
+      hasImage: hasImageContent(body.messages),
+      outcome,
+      errorMessage
+    });
+  }
+
+  console.log(`🤖 ${endpoint} for ${user.role} ${user.id}: ${upstream.status}, ${Number.isFinite(quota.remainingToday) ? quota.remainingToday : 'unlimited'} requests left today`);
+}
+
+// Collects a relayed response: the token counts watsonx reports and the
+// generated text, for estimating the counts when it reports none
+function createResponseMeter(stream) {
+  const decoder = new TextDecoder();
+  let text = '';
+
+  return {
+    add(chunk) {
+      text += decoder.decode(chunk, { stream: true });
+    },
+
+    finish() {
+      text += decoder.decode();
+      let usage = null;
+      let output = '';
+
+      try {
+        if (stream) {
+          text.split(/\r?\n\r?\n/).forEach(event => {
+            output += parseStreamEvent(event, reported => { usage = reported; }) || '';
+          });
+        } else {
+          const data = JSON.parse(text);
+          usage = parseUsage(data);
+          output = data.results?.[0]?.generated_text || data.choices?.[0]?.message?.content || '';
+        }
+      } catch {
+        output = text; // Error responses and cut-off streams
+      }
+      return { usage, output };
+    }
+  };
+}
+
+// ai_usage rows written here are the record the quotas are checked against;
+// the row's role is filled in from the users table
+function recordUsage(user, { feature, startedAt, model = null, inputTokens = 0, outputTokens = 0, estimated = false, hasImage = false, outcome, errorMessage = null }) {
+  supabase
+    .from('ai_usage')
+    .insert([{
+      user_id: user.id,
+      feature,
+      provider: 'watsonx',
+      model,
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      tokens_estimated: estimated,
+      has_image: hasImage,
+      latency_ms: Date.now() - startedAt,
+      outcome,
+      error_message: errorMessage
+    }])
+    .then(({ error }) => {
+      if (error) console.warn('⚠️ Could not record AI usage:', error.message);
+    });
+}
+
+async function forward(endpoint, body, signal) {
+  const token = await iamTokens.getToken();
+  return fetch(`${config.watsonxUrl}/ml/v1/text/${endpoint}?version=2023-05-29`, {
+    method: 'POST',
+    headers: {
+      'Accept': endpoint === 'chat_stream' ? 'text/event-stream' : 'application/json',
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      // Keep reading past the limit so the 413 response can still be sent
+      if (size <= config.maxBodyBytes) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > config.maxBodyBytes) {
+        const error = new Error('Request body too large');
+        error.status = 413;
+        reject(error);
+        return;
+      }
+      resolve(Buffer.concat(chunks).toString());
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+server.listen(config.port, () => {
+  console.log(`🚀 AI proxy listening on http://localhost:${config.port}`);
+});
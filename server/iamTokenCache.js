@@ -0,0 +1,62 @@
+// IBM Cloud IAM access token for the proxy's API key, cached until five minutes
+// before it expires. Concurrent requests share one token request.
+export class IAMTokenCache {
+  constructor(apiKey, url = 'https://iam.cloud.ibm.com/identity/token') {
+    this.apiKey = apiKey;
+    this.url = url;
+    this.token = null;
+    this.expiry = 0;
+    this.pending = null;
+  }
+
+  async getToken() {
+    if (this.token && this.expiry > Date.now()) {
+      return this.token;
+    }
+
+    if (!this.pending) {
+      this.pending = this.requestToken().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async requestToken() {
+    console.log('🔑 Getting new IAM token...');
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: new URLSearchParams({
+        'grant_type': 'urn:ibm:params:oauth:grant-type:apikey',
+        'apikey': this.apiKey
+      }),
+      signal: AbortSignal.timeout(15000)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`IAM authentication failed (${response.status}): ${errorText}`);
+    }
+
+    const data = await response.json();
+    if (!data.access_token) {
+      throw new Error('No access token received from IAM service');
+    }
+
+    this.token = data.access_token;
+    this.expiry = Date.now() + ((data.expires_in - 300) * 1000);
+    console.log('✅ IAM token obtained');
+    return this.token;
+  }
+
+  // Drop the token after watsonx rejects it
+  clear() {
+    this.token = null;
+    this.expiry = 0;
+  }
+}
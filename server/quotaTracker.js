@@ -0,0 +1,87 @@
+// Per-user quotas for the AI proxy: daily allowances of requests and tokens,
+// reset at UTC midnight, and a per-minute rate limit over a sliding window. The
+// daily allowances can differ per role (the ai_quotas table, see setRoleLimits);
+// dailyRequests and dailyTokens apply to roles without a row. Counts live in
+// memory; seed() starts a user's day from the usage already recorded, so a
+// restarted proxy does not hand out a fresh allowance.
+export class QuotaTracker {
+  constructor({ dailyRequests = 200, dailyTokens = null, requestsPerMinute = 20 } = {}) {
+    this.dailyRequests = dailyRequests;
+    this.dailyTokens = dailyTokens;
+    this.requestsPerMinute = requestsPerMinute;
+    this.roleLimits = {}; // role -> { requests, tokens }, null for no limit
+    this.usage = new Map(); // userId -> { day, count, tokens, recent: [timestamps] }
+  }
+
+  // rows: [{ role, daily_requests, daily_tokens }] from ai_quotas
+  setRoleLimits(rows) {
+    this.roleLimits = Object.fromEntries(rows.map(row => [row.role, {
+      requests: row.daily_requests,
+      tokens: row.daily_tokens
+    }]));
+  }
+
+  getDailyLimits(role) {
+    return this.roleLimits[role] || { requests: this.dailyRequests, tokens: this.dailyTokens };
+  }
+
+  // Today's entry for the user, or null when the day has not been seeded yet
+  getEntry(userId, now = Date.now()) {
+    const entry = this.usage.get(userId);
+    return entry && entry.day === toDay(now) ? entry : null;
+  }
+
+  // Start the user's day at the requests and tokens already used
+  seed(userId, { requests = 0, tokens = 0 } = {}, now = Date.now()) {
+    const entry = { day: toDay(now), count: requests, tokens, recent: [] };
+    this.usage.set(userId, entry);
+    return entry;
+  }
+
+  // Counts the request when it is allowed. Otherwise returns the reason and
+  // how many seconds to wait before trying again.
+  consume({ id: userId, role }, now = Date.now()) {
+    const limits = this.getDailyLimits(role);
+    const dailyRequests = limits.requests ?? Infinity;
+    const dailyTokens = limits.tokens ?? Infinity;
+    const entry = this.getEntry(userId, now) || this.seed(userId, {}, now);
+
+    entry.recent = entry.recent.filter(time => now - time < 60000);
+
+    if (entry.count >= dailyRequests || entry.tokens >= dailyTokens) {
+      const midnight = Date.parse(`${entry.day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+      return {
+        allowed: false,
+        reason: entry.count >= dailyRequests
+          ? `Daily limit of ${dailyRequests} AI requests reached`
+          : `Daily limit of ${dailyTokens} AI tokens reached`,
+        retryAfterSeconds: Math.ceil((midnight - now) / 1000)
+      };
+    }
+
+    if (entry.recent.length >= this.requestsPerMinute) {
+      return {
+        allowed: false,
+        reason: `Limit of ${this.requestsPerMinute} AI requests per minute reached`,
+        retryAfterSeconds: Math.ceil((entry.recent[0] + 60000 - now) / 1000)
+      };
+    }
+
+    entry.count++;
+    entry.recent.push(now);
+    return {
+      allowed: true,
+      remainingToday: dailyRequests - entry.count
+    };
+  }
+
+  // Charge the tokens of a finished request to the user's day
+  addTokens(userId, tokens, now = Date.now()) {
+    const entry = this.getEntry(userId, now);
+    if (entry) entry.tokens += tokens;
+  }
+}
+
+function toDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
@@ -0,0 +1,73 @@
+import crypto from 'node:crypto';
+import supabase from '../src/services/supabase.server.js';
+
+// Caller authentication for the AI proxy. Browsers present their Supabase access
+// token once to /api/iam and get back a short-lived proxy session token, signed
+// with the proxy's secret, which later requests carry instead. Session tokens
+// are checked locally, so only the exchange costs a round trip to Supabase.
+export class SessionAuth {
+  constructor({ secret, ttlSeconds = 3600 }) {
+    this.secret = secret;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  // The user behind the request's bearer token, or null
+  async authenticate(req) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!token) return null;
+
+    // Supabase JWTs have three parts, proxy session tokens two
+    return token.split('.').length === 2
+      ? this.verifySessionToken(token)
+      : this.verifySupabaseToken(token);
+  }
+
+  async verifySupabaseToken(token) {
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) return null;
+
+    const { data: profile } = await supabase
+      .from('users')
+      .select('role')
+      .eq('id', data.user.id)
+      .single();
+
+    return { id: data.user.id, role: profile?.role || 'student' };
+  }
+
+  // Token and lifetime in the shape of an IAM token response
+  issueSessionToken(user) {
+    const payload = Buffer.from(JSON.stringify({
+      sub: user.id,
+      role: user.role,
+      exp: Math.floor(Date.now() / 1000) + this.ttlSeconds
+    })).toString('base64url');
+
+    return {
+      access_token: `${payload}.${this.sign(payload)}`,
+      token_type: 'Bearer',
+      expires_in: this.ttlSeconds
+    };
+  }
+
+  verifySessionToken(token) {
+    const [payload, signature] = token.split('.');
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    try {
+      const { sub, role, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return exp > Date.now() / 1000 ? { id: sub, role } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
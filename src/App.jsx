@@ -1,5 +1,6 @@
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './contexts/AuthContext';
+import { SubjectsProvider } from './contexts/SubjectsContext';
 import { ProtectedRoute } from './components/ProtectedRoute';
 import Login from './pages/Login';
 import StudentDashboard from './pages/StudentDashboard';
@@ -14,13 +15,21 @@ import CreateSession from './pages/grading/CreateSession';
 import GradingInterface from './pages/grading/GradingInterface';
 import SessionAnalytics from './pages/grading/SessionAnalytics';
 import GradingHistory from './pages/grading/GradingHistory';
+import AIUsage from './pages/AIUsage';
 
 
 import ocrService from './services/grading/ocrService';
 
+// Contexts every page can use; subjects load once the user is signed in
+const AppProviders = ({ children }) => (
+  <AuthProvider>
+    <SubjectsProvider>{children}</SubjectsProvider>
+  </AuthProvider>
+);
+
 function App() {
   return (
-    <AuthProvider>
+    <AppProviders>
       <div className="min-h-screen bg-gradient-to-br from-blue-50 via-purple-50 to-pink-50">
         <Routes>
           <Route path="/login" element={<Login />} />
@@ -93,10 +102,16 @@ function App() {
             </ProtectedRoute>
           } />
           
+          <Route path="/usage" element={
+            <ProtectedRoute requiredRole="teacher">
+              <AIUsage />
+            </ProtectedRoute>
+          } />
+          
           <Route path="/" element={<Navigate to="/login" replace />} />
         </Routes>
       </div>
-    </AuthProvider>
+    </AppProviders>
   );
 }
 
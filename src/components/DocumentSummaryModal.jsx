@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { X, RefreshCw, Lightbulb, BookMarked, HelpCircle, ListTree } from 'lucide-react';
+
+const formatPages = (pages) => {
+  if (!pages) return null;
+  return pages.from === pages.to ? `p. ${pages.from}` : `pp. ${pages.from}–${pages.to}`;
+};
+
+// Summary and study guide of one document (see rag/documentSummarizer.js):
+// document summary, main ideas, key terms, review questions with hidden answers
+// and the per-section summaries
+const DocumentSummaryModal = ({ document, summary, onClose, onRegenerate, regenerating = false }) => {
+  const [openAnswers, setOpenAnswers] = useState(new Set());
+  const guide = summary.study_guide || {};
+
+  const toggleAnswer = (index) => {
+    const next = new Set(openAnswers);
+    if (next.has(index)) {
+      next.delete(index);
+    } else {
+      next.add(index);
+    }
+    setOpenAnswers(next);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl p-8 max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-start justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Study Guide</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              {document.title} • {document.subject} • generated {new Date(summary.created_at).toLocaleDateString()}
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={onRegenerate}
+              disabled={regenerating}
+              className="p-2 text-gray-500 hover:text-purple-600 hover:bg-purple-50 rounded-lg transition-colors disabled:opacity-50"
+              title="Generate again"
+            >
+              <RefreshCw size={18} className={regenerating ? 'animate-spin' : ''} />
+            </button>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <X size={24} />
+            </button>
+          </div>
+        </div>
+
+        <div className="space-y-6 text-sm">
+          <p className="text-gray-700 leading-relaxed">{summary.summary}</p>
+
+          {guide.mainIdeas?.length > 0 && (
+            <div>
+              <h3 className="flex items-center font-semibold text-gray-800 mb-2">
+                <Lightbulb className="text-yellow-500 mr-2" size={18} />
+                Main Ideas
+              </h3>
+              <ul className="list-disc pl-6 space-y-1 text-gray-700">
+                {guide.mainIdeas.map((idea, index) => <li key={index}>{idea}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {guide.keyTerms?.length > 0 && (
+            <div>
+              <h3 className="flex items-center font-semibold text-gray-800 mb-2">
+                <BookMarked className="text-purple-500 mr-2" size={18} />
+                Key Terms
+              </h3>
+              <dl className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {guide.keyTerms.map(({ term, definition }) => (
+                  <div key={term} className="bg-purple-50 rounded-lg p-3">
+                    <dt className="font-medium text-purple-800">{term}</dt>
+                    <dd className="text-gray-700 mt-1">{definition}</dd>
+                  </div>
+                ))}
+              </dl>
+            </div>
+          )}
+
+          {guide.reviewQuestions?.length > 0 && (
+            <div>
+              <h3 className="flex items-center font-semibold text-gray-800 mb-2">
+                <HelpCircle className="text-blue-500 mr-2" size={18} />
+                Review Questions
+              </h3>
+              <ol className="list-decimal pl-6 space-y-2 text-gray-700">
+                {guide.reviewQuestions.map(({ question, answer }, index) => (
+                  <li key={index}>
+                    <span>{question}</span>
+                    {answer && (
+                      <button
+                        onClick={() => toggleAnswer(index)}
+                        className="ml-2 text-xs text-blue-600 hover:text-blue-800"
+                      >
+                        {openAnswers.has(index) ? 'Hide answer' : 'Show answer'}
+                      </button>
+                    )}
+                    {openAnswers.has(index) && <p className="text-gray-600 mt-1">{answer}</p>}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          {summary.sections?.length > 1 && (
+            <div>
+              <h3 className="flex items-center font-semibold text-gray-800 mb-2">
+                <ListTree className="text-green-500 mr-2" size={18} />
+                Section Summaries
+              </h3>
+              <div className="space-y-2">
+                {summary.sections.map((section, index) => (
+                  <details key={index} className="border border-gray-200 rounded-lg p-3">
+                    <summary className="cursor-pointer font-medium text-gray-800">
+                      {section.title}
+                      {section.pages && <span className="text-gray-500 font-normal"> ({formatPages(section.pages)})</span>}
+                    </summary>
+                    <p className="text-gray-700 mt-2">{section.summary}</p>
+                  </details>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentSummaryModal;
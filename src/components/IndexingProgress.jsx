@@ -0,0 +1,33 @@
+import { Loader } from 'lucide-react';
+
+// Progress of the RAG index build (see RAGPipeline.onProgress); hidden once it is ready
+const IndexingProgress = ({ progress, className = '' }) => {
+  if (!progress || progress.stage !== 'indexing') return null;
+
+  return (
+    <div className={`bg-white rounded-lg border border-purple-200 p-3 ${className}`}>
+      <div className="flex items-center justify-between mb-2 text-sm">
+        <span className="flex items-center font-medium text-gray-800">
+          <Loader className="text-purple-500 mr-2 animate-spin" size={14} />
+          Indexing documents for the AI assistant
+        </span>
+        <span className="text-gray-600">
+          {progress.completed}/{progress.total} documents • {progress.chunksEmbedded} chunks embedded
+        </span>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div
+          className="bg-purple-500 h-2 rounded-full transition-all duration-300"
+          style={{ width: `${progress.percentage}%` }}
+        ></div>
+      </div>
+      {progress.currentDocument && (
+        <p className="text-xs text-gray-600 mt-1">
+          Processing: {progress.currentDocument}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default IndexingProgress;
@@ -12,7 +12,8 @@ import {
   X,
   FileText,
   Brain,
-  CheckSquare
+  CheckSquare,
+  Gauge
 } from 'lucide-react';
 
 const Layout = ({ children }) => {
@@ -43,6 +44,7 @@ const Layout = ({ children }) => {
         ...commonItems.slice(0, 1),
         { path: '/documents', icon: FileText, label: 'Documents' },
         { path: '/grading', icon: CheckSquare, label: 'Grading Hub' }, // NEW
+        { path: '/usage', icon: Gauge, label: 'AI Usage' },
         ...commonItems.slice(1)
       ];
     } else {
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { FlaskConical, Play, Upload } from 'lucide-react';
+import { WatsonxService } from '../services/watsonx';
+import { RAGEvaluator } from '../services/rag/ragEvaluator';
+import { DEFAULT_GOLDEN_SET } from '../services/rag/goldenSet';
+
+// Runs the golden question set against the current RAG settings and a few
+// variants with a mock LLM, and shows the metrics side by side
+const RAGEvaluationPanel = () => {
+  const [goldenSet, setGoldenSet] = useState(DEFAULT_GOLDEN_SET);
+  const [reports, setReports] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const evaluator = reports.length > 0 ? new RAGEvaluator(goldenSet) : null;
+
+  const runEvaluation = async () => {
+    setRunning(true);
+    setError('');
+
+    try {
+      const runner = new RAGEvaluator(goldenSet);
+      const results = await runner.compare(RAGEvaluator.defaultVariants(WatsonxService.ragConfig));
+      console.log('🧪 RAG evaluation results:\n' + runner.formatComparison(results));
+      setReports(results);
+    } catch (err) {
+      console.error('RAG evaluation failed:', err);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const loadGoldenSet = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const parsed = JSON.parse(await file.text());
+      RAGEvaluator.validateGoldenSet(parsed);
+      setGoldenSet(parsed);
+      setReports([]);
+      setError('');
+    } catch (err) {
+      setError(`Invalid golden set: ${err.message}`);
+    }
+    e.target.value = '';
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 border border-gray-100">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <FlaskConical className="text-purple-600" size={24} />
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">RAG Evaluation</h2>
+            <p className="text-sm text-gray-600">
+              {goldenSet.name || 'Custom golden set'} • {goldenSet.documents.length} documents • {goldenSet.questions.length} questions • mock LLM
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          <label className="flex items-center space-x-2 bg-gray-100 text-gray-700 font-medium py-2 px-4 rounded-lg hover:bg-gray-200 transition-colors cursor-pointer">
+            <Upload size={16} />
+            <span>Load JSON</span>
+            <input type="file" accept=".json,application/json" onChange={loadGoldenSet} className="hidden" />
+          </label>
+          <button
+            onClick={runEvaluation}
+            disabled={running}
+            className="flex items-center space-x-2 bg-gradient-to-r from-purple-500 to-pink-500 text-white font-medium py-2 px-4 rounded-lg hover:from-purple-600 hover:to-pink-600 transition-colors disabled:opacity-50"
+          >
+            {running ? (
+              <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+            ) : (
+              <Play size={16} />
+            )}
+            <span>{running ? 'Running...' : 'Run Evaluation'}</span>
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {evaluator && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-left py-2 pr-4 text-gray-600 font-medium">Metric</th>
+                {reports.map(report => (
+                  <th key={report.name} className="text-right py-2 px-2 text-gray-800 font-semibold">
+                    {report.name}
+                    <div className="text-xs text-gray-500 font-normal">
+                      {report.config.chunkSize}/{report.config.chunkOverlap} tok • top {report.config.retrievalTopK} • {report.chunkCount} chunks
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {evaluator.getComparisonRows(reports).map(row => (
+                <tr key={row.key} className="border-b border-gray-100">
+                  <td className="py-2 pr-4 text-gray-700">{row.label}</td>
+                  {row.values.map((value, index) => (
+                    <td
+                      key={reports[index].name}
+                      className={`text-right py-2 px-2 ${value !== null && value === row.best ? 'font-bold text-green-700' : 'text-gray-700'}`}
+                    >
+                      {evaluator.formatValue(value, row.key)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RAGEvaluationPanel;
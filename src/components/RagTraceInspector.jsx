@@ -0,0 +1,261 @@
+import { useEffect, useState } from 'react';
+import { Bug, X, RefreshCw } from 'lucide-react';
+import { DatabaseService } from '../services/supabase';
+
+const OUTCOMES = {
+  answered: { label: 'Answered', className: 'bg-green-100 text-green-800' },
+  cache_hit: { label: 'Answered from cache', className: 'bg-blue-100 text-blue-800' },
+  no_index: { label: 'No documents indexed', className: 'bg-yellow-100 text-yellow-800' },
+  no_filter_match: { label: 'No document matched the filters', className: 'bg-yellow-100 text-yellow-800' },
+  no_retrieval: { label: 'Nothing retrieved', className: 'bg-red-100 text-red-800' },
+  below_threshold: { label: 'All passages below the rerank threshold', className: 'bg-red-100 text-red-800' },
+  error: { label: 'Pipeline error', className: 'bg-red-100 text-red-800' }
+};
+
+const CANDIDATE_OUTCOMES = {
+  kept: 'text-green-700',
+  outside_top_n: 'text-gray-500',
+  below_threshold: 'text-red-600'
+};
+
+const formatScore = (value, digits = 3) => (typeof value === 'number' ? value.toFixed(digits) : '–');
+
+const Step = ({ number, title, durationMs, children }) => (
+  <div className="border border-gray-200 rounded-lg p-4">
+    <div className="flex items-center justify-between mb-2">
+      <h3 className="font-semibold text-gray-800">{number}. {title}</h3>
+      {durationMs !== undefined && <span className="text-xs text-gray-500">{durationMs} ms</span>}
+    </div>
+    {children}
+  </div>
+);
+
+const TraceDetails = ({ trace }) => {
+  const outcome = OUTCOMES[trace.outcome] || { label: trace.outcome || 'Unknown', className: 'bg-gray-100 text-gray-800' };
+  const candidates = [...(trace.rerank?.candidates || [])].sort((a, b) => b.rerankScore - a.rerankScore);
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div>
+        <div className="font-medium text-gray-800">“{trace.question}”</div>
+        <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-gray-600">
+          <span className={`px-2 py-1 rounded-full font-medium ${outcome.className}`}>{outcome.label}</span>
+          <span>{trace.durationMs} ms</span>
+          <span>{new Date(trace.createdAt).toLocaleString()}</span>
+          {trace.config && (
+            <span>
+              {trace.config.embeddingModel} • top {trace.config.retrievalTopK} • {trace.config.rerankerStrategy} reranker
+            </span>
+          )}
+        </div>
+        {trace.error && <div className="mt-2 text-red-600">Error: {trace.error}</div>}
+      </div>
+
+      {trace.rewrite && (
+        <Step number={1} title="Query" durationMs={trace.rewrite.durationMs}>
+          <div className="text-gray-700">
+            {trace.rewrite.rewritten !== trace.rewrite.original
+              ? <>Rewritten as “{trace.rewrite.rewritten}” using {trace.rewrite.historyTurns} earlier messages</>
+              : 'Used as asked (not a follow-up)'}
+          </div>
+          {trace.rewrite.filters && (
+            <div className="text-gray-600 mt-1">
+              Filters: {trace.rewrite.filters} ({trace.rewrite.matchingDocuments} documents match)
+            </div>
+          )}
+          {trace.rewrite.imageAnalysis && (
+            <div className="text-gray-600 mt-1">Image analysis: {trace.rewrite.imageAnalysis}</div>
+          )}
+          {trace.cache?.hit && (
+            <div className="text-blue-700 mt-1">
+              Reused the answer to “{trace.cache.cachedQuestion}” (similarity {formatScore(trace.cache.similarity)},
+              {' '}cached {Math.round(trace.cache.ageMs / 60000)} min earlier)
+            </div>
+          )}
+        </Step>
+      )}
+
+      {trace.retrieval && (
+        <Step number={2} title={`Retrieval (${trace.retrieval.hits.length} hits from ${trace.retrieval.indexedChunks} chunks, ${trace.retrieval.vectorIndex} search)`} durationMs={trace.retrieval.durationMs}>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 pr-2">#</th>
+                <th className="py-1 pr-2">Passage</th>
+                <th className="py-1 pr-2">Vector</th>
+                <th className="py-1 pr-2">BM25</th>
+                <th className="py-1">Fused</th>
+              </tr>
+            </thead>
+            <tbody>
+              {trace.retrieval.hits.map(hit => (
+                <tr key={hit.chunkId} className="border-t border-gray-100 align-top">
+                  <td className="py-1 pr-2">{hit.rank}</td>
+                  <td className="py-1 pr-2 text-gray-700">
+                    {hit.title}
+                    {hit.pageNumber && `, p. ${hit.pageNumber}`}
+                    {hit.figure && `, ${hit.figure}`}
+                    <div className="text-gray-500 truncate max-w-xs">{hit.preview}</div>
+                  </td>
+                  <td className="py-1 pr-2">{formatScore(hit.similarity)}</td>
+                  <td className="py-1 pr-2">{formatScore(hit.lexicalScore)}</td>
+                  <td className="py-1">{formatScore(hit.fusionScore, 4)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Step>
+      )}
+
+      {trace.rerank && (
+        <Step number={3} title={`Reranking (${trace.rerank.strategy}, threshold ${formatScore(trace.rerank.threshold, 2)})`} durationMs={trace.rerank.durationMs}>
+          {trace.rerank.fallbackReason && (
+            <div className="text-yellow-700 mb-2">Fell back to heuristic ranking: {trace.rerank.fallbackReason}</div>
+          )}
+          <ul className="space-y-1 text-xs">
+            {candidates.map(candidate => (
+              <li key={candidate.chunkId} className={CANDIDATE_OUTCOMES[candidate.outcome]}>
+                <span className="font-medium">{formatScore(candidate.rerankScore)}</span>
+                {' '}{candidate.title}{candidate.pageNumber && `, p. ${candidate.pageNumber}`}
+                {' '}— {candidate.outcome.replace(/_/g, ' ')}
+                {candidate.reason && <div className="text-gray-500 ml-10">{candidate.reason}</div>}
+              </li>
+            ))}
+          </ul>
+        </Step>
+      )}
+
+      {trace.generation && (
+        <Step number={4} title="Generation" durationMs={trace.generation.durationMs}>
+          <div className="text-gray-700">
+            Prompt {trace.generation.promptTokens}/{trace.generation.promptBudget} tokens
+            {trace.generation.passages && `, ${trace.generation.passages.length} passages`}
+            {trace.generation.condensedPassages > 0 && ` (${trace.generation.condensedPassages} condensed)`}
+          </div>
+          {trace.generation.fallback && (
+            <div className="text-yellow-700 mt-1">
+              Fallback answer used: {trace.generation.fallback.replace(/_/g, ' ')}
+              {trace.generation.error && ` (${trace.generation.error})`}
+            </div>
+          )}
+          <details className="mt-2">
+            <summary className="cursor-pointer text-purple-700">Final prompt</summary>
+            <pre className="mt-2 p-3 bg-gray-50 rounded text-xs whitespace-pre-wrap max-h-80 overflow-y-auto">{trace.generation.prompt}</pre>
+          </details>
+          <details className="mt-2" open>
+            <summary className="cursor-pointer text-purple-700">Model output</summary>
+            <pre className="mt-2 p-3 bg-gray-50 rounded text-xs whitespace-pre-wrap max-h-80 overflow-y-auto">{trace.generation.output ?? '(no output)'}</pre>
+          </details>
+        </Step>
+      )}
+
+      {trace.groundedness && (
+        <Step number={5} title="Groundedness" durationMs={trace.groundedness.durationMs}>
+          <div className="text-gray-700">
+            {trace.groundedness.supportedCount}/{trace.groundedness.claimCount} claims supported
+            ({trace.groundedness.status.replace(/_/g, ' ')}, {trace.groundedness.method} check)
+          </div>
+        </Step>
+      )}
+    </div>
+  );
+};
+
+// Teacher debug panel: the RAG trace of a chat answer (what was retrieved, how it was
+// reranked, the prompt and the raw model output) and a list of recent queries from
+// all students to inspect reported answers
+const RagTraceInspector = ({ initialTrace = null, onClose }) => {
+  const [trace, setTrace] = useState(initialTrace);
+  const [selectedId, setSelectedId] = useState(null);
+  const [recent, setRecent] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const loadRecent = async () => {
+    setLoading(true);
+    const { data, error } = await DatabaseService.getRecentChatTraces();
+    setLoading(false);
+    setRecent(data || []);
+    setMessage(error ? `❌ Could not load recent queries: ${error.message}` : '');
+  };
+
+  useEffect(() => {
+    loadRecent();
+  }, []);
+
+  const selectChat = async (chat) => {
+    setSelectedId(chat.id);
+    const { data, error } = await DatabaseService.getChatTrace(chat.id);
+    if (error) {
+      setMessage(`❌ Could not load trace: ${error.message}`);
+      return;
+    }
+    setTrace(data.rag_trace);
+    setMessage('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl p-8 max-w-6xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <Bug className="text-purple-600" size={24} />
+            <h2 className="text-2xl font-bold text-gray-800">RAG Trace Inspector</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-700">Recent queries</span>
+              <button onClick={loadRecent} disabled={loading} className="text-gray-400 hover:text-purple-600" title="Refresh">
+                <RefreshCw size={14} className={loading ? 'animate-spin' : ''} />
+              </button>
+            </div>
+            {initialTrace && (
+              <button
+                onClick={() => { setTrace(initialTrace); setSelectedId(null); }}
+                className={`w-full text-left px-3 py-2 rounded-lg text-sm ${
+                  !selectedId ? 'bg-purple-100 text-purple-800 font-medium' : 'text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                This answer
+              </button>
+            )}
+            {recent.map(chat => (
+              <button
+                key={chat.id}
+                onClick={() => selectChat(chat)}
+                className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                  selectedId === chat.id ? 'bg-purple-100 text-purple-800 font-medium' : 'text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                <span className="block truncate">{chat.question}</span>
+                <span className="block text-xs text-gray-500">
+                  {new Date(chat.timestamp).toLocaleString()} • {OUTCOMES[chat.outcome]?.label || chat.outcome}
+                </span>
+              </button>
+            ))}
+            {!loading && recent.length === 0 && (
+              <p className="text-xs text-gray-500">No traced queries yet</p>
+            )}
+            {message && <p className="text-xs text-gray-700">{message}</p>}
+          </div>
+
+          <div className="md:col-span-3">
+            {trace ? (
+              <TraceDetails trace={trace} />
+            ) : (
+              <p className="text-sm text-gray-500">Select a query to see how its answer was produced.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RagTraceInspector;
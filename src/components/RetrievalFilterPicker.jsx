@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { Filter, X, ChevronDown, ChevronUp } from 'lucide-react';
+import { hasFilters, matchesFilters, describeFilters } from '../services/rag/retrievalFilters';
+
+// Lets a student narrow document search in the chat, e.g. "only my History notes".
+// filters uses the retrievalFilters.js shape; onChange receives the next filters.
+const RetrievalFilterPicker = ({ documents, filters, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  const subjects = [...new Set(documents.map(doc => doc.subject).filter(Boolean))].sort();
+  const classSections = [...new Set(documents.map(doc => doc.class_section).filter(Boolean))].sort();
+
+  // Teachers by id; names are stored on the document at upload time
+  const teachers = [];
+  documents.forEach(doc => {
+    if (!doc.uploaded_by || teachers.some(teacher => teacher.id === doc.uploaded_by)) return;
+    teachers.push({ id: doc.uploaded_by, name: doc.uploader_name || `Teacher ${teachers.length + 1}` });
+  });
+
+  const active = hasFilters(filters);
+  const matchingCount = documents.filter(doc => matchesFilters(doc, filters)).length;
+
+  const toggleValue = (key, value) => {
+    const values = filters[key] || [];
+    onChange({
+      ...filters,
+      [key]: values.includes(value) ? values.filter(item => item !== value) : [...values, value]
+    });
+  };
+
+  const chipClass = (selected) => `px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+    selected
+      ? 'bg-purple-100 text-purple-800 border-purple-300'
+      : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-100'
+  }`;
+
+  const renderChips = (label, key, options) => options.length > 0 && (
+    <div>
+      <p className="text-xs font-medium text-gray-500 mb-1">{label}</p>
+      <div className="flex flex-wrap gap-2">
+        {options.map(option => (
+          <button
+            key={option.value}
+            onClick={() => toggleValue(key, option.value)}
+            className={chipClass((filters[key] || []).includes(option.value))}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg mx-6 mt-2">
+      <div className="flex items-center justify-between px-3 py-2">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center space-x-2 text-sm text-gray-700 hover:text-purple-700"
+        >
+          <Filter size={16} className={active ? 'text-purple-600' : 'text-gray-400'} />
+          <span className="font-medium">Search filters</span>
+          {expanded ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+        </button>
+        <div className="flex items-center space-x-3 text-xs text-gray-500">
+          <span>
+            {active
+              ? `${describeFilters(filters)} • ${matchingCount} of ${documents.length} documents`
+              : `Searching all ${documents.length} documents`}
+          </span>
+          {active && (
+            <button
+              onClick={() => onChange({})}
+              className="flex items-center space-x-1 text-purple-600 hover:text-purple-800"
+            >
+              <X size={14} />
+              <span>Clear</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="border-t border-gray-100 px-3 py-3 space-y-3">
+          {renderChips('Subject', 'subjects', subjects.map(subject => ({ value: subject, label: subject })))}
+          {renderChips('Class section', 'classSections', classSections.map(section => ({ value: section, label: section })))}
+          {renderChips('Uploaded by', 'uploadedBy', teachers.map(teacher => ({ value: teacher.id, label: teacher.name })))}
+
+          <div>
+            <p className="text-xs font-medium text-gray-500 mb-1">Uploaded between</p>
+            <div className="flex items-center space-x-2">
+              <input
+                type="date"
+                value={filters.dateFrom || ''}
+                onChange={(e) => onChange({ ...filters, dateFrom: e.target.value })}
+                className="p-1 border border-gray-300 rounded text-xs focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+              <span className="text-xs text-gray-500">and</span>
+              <input
+                type="date"
+                value={filters.dateTo || ''}
+                onChange={(e) => onChange({ ...filters, dateTo: e.target.value })}
+                className="p-1 border border-gray-300 rounded text-xs focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+
+          <div>
+            <p className="text-xs font-medium text-gray-500 mb-1">Specific documents</p>
+            <div className="max-h-32 overflow-y-auto space-y-1">
+              {documents.map(doc => (
+                <label key={doc.id} className="flex items-center space-x-2 text-xs text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={(filters.documentIds || []).includes(doc.id)}
+                    onChange={() => toggleValue('documentIds', doc.id)}
+                    className="rounded text-purple-600 focus:ring-purple-500"
+                  />
+                  <span>{doc.title}</span>
+                  <span className="text-gray-400">({doc.subject})</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RetrievalFilterPicker;
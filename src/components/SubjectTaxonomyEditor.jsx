@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import { Tags, Plus, Trash2, X, Save } from 'lucide-react';
+import { useSubjects } from '../contexts/SubjectsContext';
+
+const splitKeywords = (text) => [...new Set(
+  text.split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean)
+)];
+
+const toForm = (subject) => ({
+  id: subject?.id || null,
+  originalName: subject?.name || null, // Row to update when the subject has no id yet
+  name: subject?.name || '',
+  keywords: (subject?.keywords || []).join(', '),
+  topics: (subject?.topics || []).map(topic => ({ name: topic.name, keywords: (topic.keywords || []).join(', ') }))
+});
+
+// Modal where teachers edit the shared subject taxonomy: subjects, their topics and
+// the keywords used to recognise them in questions
+const SubjectTaxonomyEditor = ({ onClose }) => {
+  const { taxonomy, saveSubject, deleteSubject } = useSubjects();
+  const [form, setForm] = useState(toForm(taxonomy.subjects[0]));
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const selectSubject = (subject) => {
+    setForm(toForm(subject));
+    setMessage('');
+  };
+
+  const updateTopic = (index, changes) => {
+    setForm({
+      ...form,
+      topics: form.topics.map((topic, i) => (i === index ? { ...topic, ...changes } : topic))
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+
+    const duplicate = taxonomy.findSubject(form.name);
+    if (duplicate && duplicate.name !== form.originalName) {
+      setMessage(`❌ "${duplicate.name}" already exists`);
+      return;
+    }
+
+    setSaving(true);
+    const { data, error } = await saveSubject({
+      id: form.id,
+      originalName: form.originalName,
+      name: form.name,
+      keywords: splitKeywords(form.keywords),
+      topics: form.topics
+        .filter(topic => topic.name.trim())
+        .map(topic => ({ name: topic.name.trim(), keywords: splitKeywords(topic.keywords) }))
+    });
+    setSaving(false);
+
+    if (error) {
+      setMessage(`❌ Could not save subject: ${error.message}`);
+      return;
+    }
+
+    setForm(toForm(data));
+    setMessage('✅ Subject saved');
+  };
+
+  const handleDelete = async () => {
+    if (!form.id) return;
+    if (!confirm(`Delete "${form.name}"? Documents keep their subject, but it will no longer appear in pickers or guide search.`)) return;
+
+    const { error } = await deleteSubject(form.id);
+    if (error) {
+      setMessage(`❌ Could not delete subject: ${error.message}`);
+      return;
+    }
+
+    setForm(toForm(null));
+    setMessage('🗑️ Subject deleted');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl p-8 max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <Tags className="text-purple-600" size={24} />
+            <h2 className="text-2xl font-bold text-gray-800">Subjects & Topics</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="space-y-2">
+            {taxonomy.subjects.map(subject => (
+              <button
+                key={subject.id || subject.name}
+                onClick={() => selectSubject(subject)}
+                className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                  form.originalName === subject.name
+                    ? 'bg-purple-100 text-purple-800 font-medium'
+                    : 'text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {subject.name}
+                <span className="block text-xs text-gray-500">{subject.topics.length} topics</span>
+              </button>
+            ))}
+            <button
+              onClick={() => selectSubject(null)}
+              className="w-full flex items-center space-x-2 px-3 py-2 rounded-lg text-sm text-purple-600 hover:bg-purple-50"
+            >
+              <Plus size={16} />
+              <span>New subject</span>
+            </button>
+          </div>
+
+          <form onSubmit={handleSave} className="md:col-span-2 space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Subject name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder="e.g., Geography"
+                required
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Keywords (comma separated)</label>
+              <textarea
+                value={form.keywords}
+                onChange={(e) => setForm({ ...form, keywords: e.target.value })}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                rows={2}
+                placeholder="e.g., map, climate, river, continent"
+              />
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label className="block text-sm font-medium text-gray-700">Topics</label>
+                <button
+                  type="button"
+                  onClick={() => setForm({ ...form, topics: [...form.topics, { name: '', keywords: '' }] })}
+                  className="flex items-center space-x-1 text-sm text-purple-600 hover:text-purple-800"
+                >
+                  <Plus size={14} />
+                  <span>Add topic</span>
+                </button>
+              </div>
+              <div className="space-y-2">
+                {form.topics.map((topic, index) => (
+                  <div key={index} className="flex items-start space-x-2">
+                    <input
+                      type="text"
+                      value={topic.name}
+                      onChange={(e) => updateTopic(index, { name: e.target.value })}
+                      className="w-1/3 p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                      placeholder="Topic"
+                    />
+                    <input
+                      type="text"
+                      value={topic.keywords}
+                      onChange={(e) => updateTopic(index, { keywords: e.target.value })}
+                      className="flex-1 p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                      placeholder="Keywords, comma separated"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setForm({ ...form, topics: form.topics.filter((_, i) => i !== index) })}
+                      className="p-2 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                ))}
+                {form.topics.length === 0 && (
+                  <p className="text-xs text-gray-500">No topics yet</p>
+                )}
+              </div>
+            </div>
+
+            {message && <p className="text-sm text-gray-700">{message}</p>}
+
+            <div className="flex space-x-4 pt-2">
+              {form.id && (
+                <button
+                  type="button"
+                  onClick={handleDelete}
+                  className="flex items-center space-x-2 py-3 px-4 border border-red-200 text-red-600 rounded-lg hover:bg-red-50 transition-colors"
+                >
+                  <Trash2 size={16} />
+                  <span>Delete</span>
+                </button>
+              )}
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex-1 flex items-center justify-center space-x-2 bg-gradient-to-r from-blue-500 to-purple-500 text-white py-3 px-4 rounded-lg hover:from-blue-600 hover:to-purple-600 transition-all duration-200 disabled:opacity-50"
+              >
+                <Save size={16} />
+                <span>{saving ? 'Saving...' : 'Save Subject'}</span>
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SubjectTaxonomyEditor;
@@ -0,0 +1,42 @@
+import { createContext, useContext, useEffect, useState } from 'react';
+import { useAuth } from './AuthContext';
+import { SubjectTaxonomyService } from '../services/subjectTaxonomy';
+
+const SubjectsContext = createContext({});
+
+export const useSubjects = () => {
+  const context = useContext(SubjectsContext);
+  if (!context) {
+    throw new Error('useSubjects must be used within a SubjectsProvider');
+  }
+  return context;
+};
+
+// Loads the subject taxonomy once the user is signed in and keeps pickers in sync
+// with teacher edits. Until it loads, the built-in subjects are shown.
+export const SubjectsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [taxonomy, setTaxonomy] = useState(SubjectTaxonomyService.getTaxonomy());
+
+  useEffect(() => SubjectTaxonomyService.subscribe(setTaxonomy), []);
+
+  useEffect(() => {
+    if (user) {
+      SubjectTaxonomyService.load();
+    }
+  }, [user]);
+
+  const value = {
+    taxonomy,
+    subjects: taxonomy.getSubjectNames(),
+    saveSubject: (subject) => SubjectTaxonomyService.saveSubject(subject, user?.id),
+    deleteSubject: (subjectId) => SubjectTaxonomyService.deleteSubject(subjectId),
+    reloadSubjects: () => SubjectTaxonomyService.load()
+  };
+
+  return (
+    <SubjectsContext.Provider value={value}>
+      {children}
+    </SubjectsContext.Provider>
+  );
+};
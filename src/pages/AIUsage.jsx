@@ -0,0 +1,456 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import Layout from '../components/Layout';
+import { DatabaseService } from '../services/supabase';
+import { WatsonxService } from '../services/watsonx';
+import { AI_FEATURES } from '../services/llm/usageMeter';
+import {
+  Activity,
+  Cpu,
+  Image,
+  AlertCircle,
+  Clock,
+  Gauge,
+  Save,
+  RefreshCw
+} from 'lucide-react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+const RANGES = [
+  { days: 1, label: 'Today' },
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' }
+];
+
+const FEATURE_COLORS = {
+  chat: '#8b5cf6',
+  ocr: '#3b82f6',
+  grading: '#10b981',
+  quiz: '#f59e0b',
+  summary: '#ec4899',
+  indexing: '#6b7280',
+  rewrite: '#14b8a6',
+  rerank: '#0ea5e9',
+  grounding: '#84cc16'
+};
+
+const ROLES = ['student', 'teacher'];
+
+const formatNumber = (value) => Math.round(value || 0).toLocaleString();
+
+// Start of the range as an ISO time; days start at UTC midnight, like the quotas
+const getRangeStart = (days) => {
+  const today = Date.parse(`${new Date().toISOString().slice(0, 10)}T00:00:00.000Z`);
+  return new Date(today - (days - 1) * 24 * 60 * 60 * 1000).toISOString();
+};
+
+// Totals and breakdowns by day, feature, user and model from ai_usage rows
+const summarizeUsage = (rows) => {
+  const totals = { requests: 0, inputTokens: 0, outputTokens: 0, visionCalls: 0, errors: 0, refused: 0, latencyMs: 0, estimated: 0 };
+  const byDay = {};
+  const byFeature = {};
+  const byUser = {};
+  const byModel = {};
+
+  const add = (groups, key, fields, row) => {
+    const group = groups[key] || (groups[key] = { ...fields, requests: 0, tokens: 0, visionCalls: 0, errors: 0 });
+    group.requests++;
+    group.tokens += row.input_tokens + row.output_tokens;
+    if (row.has_image) group.visionCalls++;
+    if (row.outcome === 'error') group.errors++;
+  };
+
+  rows.forEach(row => {
+    if (row.outcome === 'quota_exceeded') {
+      totals.refused++;
+      return;
+    }
+
+    totals.requests++;
+    totals.inputTokens += row.input_tokens;
+    totals.outputTokens += row.output_tokens;
+    totals.latencyMs += row.latency_ms;
+    if (row.has_image) totals.visionCalls++;
+    if (row.outcome === 'error') totals.errors++;
+    if (row.tokens_estimated) totals.estimated++;
+
+    const day = row.created_at.slice(0, 10);
+    byDay[day] = byDay[day] || { day };
+    byDay[day][row.feature] = (byDay[day][row.feature] || 0) + 1;
+
+    add(byFeature, row.feature, { feature: row.feature }, row);
+    add(byUser, row.user_id, { name: row.user?.name || 'Unknown user', role: row.role }, row);
+    add(byModel, `${row.provider}/${row.model}`, { provider: row.provider, model: row.model || 'default' }, row);
+  });
+
+  const byTokens = (a, b) => b.tokens - a.tokens;
+  return {
+    totals: {
+      ...totals,
+      averageLatencyMs: totals.requests > 0 ? totals.latencyMs / totals.requests : 0,
+      errorRate: totals.requests > 0 ? (totals.errors / totals.requests) * 100 : 0
+    },
+    byDay: Object.values(byDay).sort((a, b) => a.day.localeCompare(b.day)),
+    byFeature: Object.values(byFeature).sort(byTokens),
+    byUser: Object.values(byUser).sort(byTokens),
+    byModel: Object.values(byModel).sort(byTokens)
+  };
+};
+
+const toQuotaForm = (quotas) => Object.fromEntries(ROLES.map(role => {
+  const quota = quotas.find(row => row.role === role);
+  return [role, {
+    daily_requests: quota?.daily_requests ?? '',
+    daily_tokens: quota?.daily_tokens ?? ''
+  }];
+}));
+
+// AI usage dashboard for teachers: requests, tokens, vision calls, latency and
+// errors per feature, user and model, the live request queue, and the daily
+// quotas for each role
+const AIUsage = () => {
+  const { user } = useAuth();
+  const [days, setDays] = useState(7);
+  const [usage, setUsage] = useState(null);
+  const [quotaForm, setQuotaForm] = useState(toQuotaForm([]));
+  const [queue, setQueue] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadUsage();
+  }, [days]);
+
+  useEffect(() => {
+    loadQuotas();
+  }, []);
+
+  useEffect(() => WatsonxService.scheduler.onMetrics(setQueue), []);
+
+  const loadUsage = async () => {
+    setLoading(true);
+    const { data, error } = await DatabaseService.getAIUsage(getRangeStart(days));
+    if (error) {
+      setMessage(`❌ Could not load AI usage: ${error.message}`);
+    }
+    setUsage(summarizeUsage(data || []));
+    setLoading(false);
+  };
+
+  const loadQuotas = async () => {
+    const { data } = await DatabaseService.getAIQuotas();
+    setQuotaForm(toQuotaForm(data || []));
+  };
+
+  const updateQuota = (role, field, value) => {
+    setQuotaForm({ ...quotaForm, [role]: { ...quotaForm[role], [field]: value } });
+  };
+
+  const handleSaveQuotas = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    // Blank fields mean no limit
+    const toLimit = (value) => (value === '' || value === null ? null : Math.max(0, parseInt(value, 10) || 0));
+    const results = await Promise.all(ROLES.map(role => DatabaseService.saveAIQuota({
+      role,
+      daily_requests: toLimit(quotaForm[role].daily_requests),
+      daily_tokens: toLimit(quotaForm[role].daily_tokens)
+    }, user.id)));
+    setSaving(false);
+
+    const failed = results.find(result => result.error);
+    if (failed) {
+      setMessage(`❌ Could not save quotas: ${failed.error.message}`);
+      return;
+    }
+
+    WatsonxService.usageMeter.invalidateQuotas();
+    setQuotaForm(toQuotaForm(results.map(result => result.data)));
+    setMessage('✅ Quotas saved. They apply from each user\'s next AI request.');
+  };
+
+  const totals = usage?.totals;
+
+  return (
+    <Layout>
+      <div className="max-w-7xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-800">AI Usage</h1>
+            <p className="text-gray-600 mt-2">Requests and tokens used by chat, OCR, grading and quizzes</p>
+          </div>
+          <div className="flex items-center space-x-2">
+            {RANGES.map(range => (
+              <button
+                key={range.days}
+                onClick={() => setDays(range.days)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  days === range.days
+                    ? 'bg-gradient-to-r from-purple-500 to-pink-500 text-white shadow'
+                    : 'bg-white text-gray-700 hover:bg-gray-100 border border-gray-200'
+                }`}
+              >
+                {range.label}
+              </button>
+            ))}
+            <button
+              onClick={loadUsage}
+              className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+              title="Refresh"
+            >
+              <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+            </button>
+          </div>
+        </div>
+
+        {message && (
+          <div className="bg-white rounded-lg border border-gray-200 p-3 text-sm text-gray-700">{message}</div>
+        )}
+
+        {/* Summary Stats */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+          <div className="bg-white rounded-xl p-6 shadow-lg border border-gray-100">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-gray-600 text-sm">AI Requests</p>
+                <p className="text-2xl font-bold text-gray-800">{formatNumber(totals?.requests)}</p>
+                {totals?.refused > 0 && (
+                  <p className="text-xs text-amber-600 mt-1">{formatNumber(totals.refused)} refused over quota</p>
+                )}
+              </div>
+              <div className="w-12 h-12 bg-purple-100 rounded-lg flex items-center justify-center">
+                <Activity className="text-purple-600" size={24} />
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl p-6 shadow-lg border border-gray-100">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-gray-600 text-sm">Tokens (in / out)</p>
+                <p className="text-2xl font-bold text-gray-800">
+                  {formatNumber(totals?.inputTokens)} / {formatNumber(totals?.outputTokens)}
+                </p>
+                {totals?.estimated > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">{formatNumber(totals.estimated)} requests estimated</p>
+                )}
+              </div>
+              <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center">
+                <Cpu className="text-blue-600" size={24} />
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl p-6 shadow-lg border border-gray-100">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-gray-600 text-sm">Vision Calls</p>
+                <p className="text-2xl font-bold text-gray-800">{formatNumber(totals?.visionCalls)}</p>
+              </div>
+              <div className="w-12 h-12 bg-green-100 rounded-lg flex items-center justify-center">
+                <Image className="text-green-600" size={24} />
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl p-6 shadow-lg border border-gray-100">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-gray-600 text-sm">Avg Latency / Errors</p>
+                <p className="text-2xl font-bold text-gray-800">
+                  {((totals?.averageLatencyMs || 0) / 1000).toFixed(1)}s / {(totals?.errorRate || 0).toFixed(1)}%
+                </p>
+              </div>
+              <div className="w-12 h-12 bg-orange-100 rounded-lg flex items-center justify-center">
+                <Clock className="text-orange-600" size={24} />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Requests per day */}
+          <div className="lg:col-span-2 bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+            <h3 className="text-lg font-bold text-gray-800 mb-4">Requests per Day</h3>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={usage?.byDay || []}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="day" />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip />
+                  <Legend />
+                  {AI_FEATURES.map(feature => (
+                    <Bar key={feature} dataKey={feature} stackId="requests" fill={FEATURE_COLORS[feature]} />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {/* Live request queue */}
+          <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+            <h3 className="text-lg font-bold text-gray-800 mb-4">Request Queue (this browser)</h3>
+            {queue && (
+              <div className="space-y-3 text-sm">
+                {Object.keys(queue.queued).map(priority => (
+                  <div key={priority} className="flex items-center justify-between">
+                    <span className="capitalize text-gray-700">{priority}</span>
+                    <span className="text-gray-800 font-medium">
+                      {queue.active[priority]} running • {queue.queued[priority]} waiting
+                    </span>
+                  </div>
+                ))}
+                <div className="border-t border-gray-100 pt-3 space-y-1 text-gray-600">
+                  <p>Average wait: {(queue.averageWaitMs / 1000).toFixed(1)}s</p>
+                  <p>Retried: {queue.retried} • Rate limited: {queue.rateLimited} • Failed: {queue.failed}</p>
+                  {queue.pausedUntil && (
+                    <p className="text-amber-600">Paused by the AI service until {new Date(queue.pausedUntil).toLocaleTimeString()}</p>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Breakdowns */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+            <h3 className="text-lg font-bold text-gray-800 mb-4">By Feature</h3>
+            <UsageTable
+              rows={usage?.byFeature || []}
+              label="Feature"
+              renderLabel={row => (
+                <span className="flex items-center space-x-2 capitalize">
+                  <span className="w-3 h-3 rounded" style={{ backgroundColor: FEATURE_COLORS[row.feature] }}></span>
+                  <span>{row.feature}</span>
+                </span>
+              )}
+            />
+          </div>
+
+          <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+            <h3 className="text-lg font-bold text-gray-800 mb-4">By Model</h3>
+            <UsageTable
+              rows={usage?.byModel || []}
+              label="Model"
+              renderLabel={row => (
+                <span>
+                  <span className="text-gray-500">{row.provider}/</span>{row.model}
+                </span>
+              )}
+            />
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+          <h3 className="text-lg font-bold text-gray-800 mb-4">By User</h3>
+          <UsageTable
+            rows={usage?.byUser || []}
+            label="User"
+            renderLabel={row => (
+              <span>
+                {row.name} <span className="text-xs text-gray-500 capitalize">({row.role})</span>
+              </span>
+            )}
+          />
+        </div>
+
+        {/* Quotas */}
+        <form onSubmit={handleSaveQuotas} className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center space-x-3">
+              <Gauge className="text-purple-600" size={24} />
+              <div>
+                <h3 className="text-lg font-bold text-gray-800">Daily Quotas per User</h3>
+                <p className="text-sm text-gray-600">Reset at midnight UTC. Leave a field empty for no limit.</p>
+              </div>
+            </div>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center space-x-2 bg-gradient-to-r from-purple-500 to-pink-500 text-white px-4 py-2 rounded-lg hover:shadow-lg transition-all text-sm disabled:opacity-50"
+            >
+              <Save size={16} />
+              <span>{saving ? 'Saving...' : 'Save Quotas'}</span>
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {ROLES.map(role => (
+              <div key={role} className="border border-gray-200 rounded-lg p-4 space-y-3">
+                <h4 className="font-semibold text-gray-800 capitalize">{role}s</h4>
+                <label className="block text-sm text-gray-700">
+                  AI requests per day
+                  <input
+                    type="number"
+                    min="0"
+                    value={quotaForm[role].daily_requests}
+                    onChange={(e) => updateQuota(role, 'daily_requests', e.target.value)}
+                    placeholder="No limit"
+                    className="mt-1 w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  />
+                </label>
+                <label className="block text-sm text-gray-700">
+                  Tokens per day (input + output)
+                  <input
+                    type="number"
+                    min="0"
+                    value={quotaForm[role].daily_tokens}
+                    onChange={(e) => updateQuota(role, 'daily_tokens', e.target.value)}
+                    placeholder="No limit"
+                    className="mt-1 w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  />
+                </label>
+              </div>
+            ))}
+          </div>
+        </form>
+      </div>
+    </Layout>
+  );
+};
+
+// Requests, tokens, vision calls and errors for one breakdown
+const UsageTable = ({ rows, label, renderLabel }) => {
+  if (rows.length === 0) {
+    return (
+      <div className="flex items-center space-x-2 text-gray-500 text-sm py-4">
+        <AlertCircle size={16} />
+        <span>No AI requests in this period</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-200">
+            <th className="text-left py-3 px-4 font-semibold text-gray-700">{label}</th>
+            <th className="text-right py-3 px-4 font-semibold text-gray-700">Requests</th>
+            <th className="text-right py-3 px-4 font-semibold text-gray-700">Tokens</th>
+            <th className="text-right py-3 px-4 font-semibold text-gray-700">Vision</th>
+            <th className="text-right py-3 px-4 font-semibold text-gray-700">Errors</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, index) => (
+            <tr key={index} className="border-b border-gray-100">
+              <td className="py-3 px-4">{renderLabel(row)}</td>
+              <td className="py-3 px-4 text-right">{formatNumber(row.requests)}</td>
+              <td className="py-3 px-4 text-right">{formatNumber(row.tokens)}</td>
+              <td className="py-3 px-4 text-right">{formatNumber(row.visionCalls)}</td>
+              <td className={`py-3 px-4 text-right ${row.errors > 0 ? 'text-red-600' : ''}`}>{formatNumber(row.errors)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default AIUsage;
@@ -1,9 +1,24 @@
 import { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import Layout from '../components/Layout';
+import RetrievalFilterPicker from '../components/RetrievalFilterPicker';
+import RagTraceInspector from '../components/RagTraceInspector';
+import IndexingProgress from '../components/IndexingProgress';
 import { WatsonxService } from '../services/watsonx';
 import { DatabaseService } from '../services/supabase';
-import { Send, Bot, User, BookOpen, Sparkles, MessageCircle, AlertCircle, Wifi, WifiOff, Brain, ToggleLeft, ToggleRight } from 'lucide-react';
+import { isQuotaError, describeQuotaError } from '../services/llm/usageMeter';
+import { Send, Bot, User, BookOpen, Sparkles, MessageCircle, AlertCircle, Wifi, WifiOff, Brain, ToggleLeft, ToggleRight, Square, ShieldCheck, ShieldAlert, Bug, Gauge } from 'lucide-react';
+
+const CONVERSATION_HISTORY_MESSAGES = 6; // Last three exchanges
+const ELI5_INSTRUCTIONS = 'Explain this in very simple terms that a 5-year-old could understand. Use simple words, analogies, and examples.';
+
+// Messages are rendered as HTML, so model output (and cached answers) must not carry markup of its own
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
 
 const ChatBot = () => {
   const { user, profile, updateXP } = useAuth();
@@ -16,8 +31,13 @@ const ChatBot = () => {
   const [documentsLoaded, setDocumentsLoaded] = useState(false);
   const [generalKnowledgeMode, setGeneralKnowledgeMode] = useState(false);
   const [eliMode, setEliMode] = useState(false);
+  const [retrievalFilters, setRetrievalFilters] = useState({});
+  const [traceInspector, setTraceInspector] = useState(null); // { trace } while the teacher debug panel is open
+  const [indexingProgress, setIndexingProgress] = useState(null);
+  const [aiQuota, setAiQuota] = useState(null); // Today's AI usage against the user's daily quota
   const messagesEndRef = useRef(null);
   const abortControllerRef = useRef(null);
+  const documentBlobUrlsRef = useRef(new Map()); // documentId -> blob URL opened from a citation
 
   useEffect(() => {
     let mounted = true;
@@ -69,6 +89,30 @@ const ChatBot = () => {
     };
   }, [profile]);
 
+  // Indexing runs in the RAG worker; show its progress while documents are embedded
+  useEffect(() => WatsonxService.initializeRAG().onProgress(setIndexingProgress), []);
+
+  // Release the blob copies of cited documents when the chat closes
+  useEffect(() => {
+    const blobUrls = documentBlobUrlsRef.current;
+    return () => {
+      blobUrls.forEach(url => URL.revokeObjectURL(url));
+      blobUrls.clear();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (profile) refreshQuota();
+  }, [profile]);
+
+  const refreshQuota = async () => {
+    try {
+      setAiQuota(await WatsonxService.usageMeter.getStatus());
+    } catch (error) {
+      console.warn('Could not load AI quota status:', error);
+    }
+  };
+
   useEffect(() => {
     scrollToBottom();
   }, [messages]);
@@ -139,7 +183,10 @@ What would you like to learn about today?`;
             type: 'bot',
             content: chat.answer,
             timestamp: new Date(chat.timestamp),
-            sourceDocument: chat.document_id ? documents.find(doc => doc.id === chat.document_id) : null
+            sourceDocument: chat.document_id ? documents.find(doc => doc.id === chat.document_id) : null,
+            citations: chat.citations || [],
+            groundedness: chat.groundedness || null,
+            trace: chat.rag_trace || null
           }
         ]).flat();
         
@@ -167,6 +214,9 @@ What would you like to learn about today?`;
         setDocuments(data);
         console.log('✅ Loaded documents for RAG:', data.length);
         
+        // Build the index in the background so the first question does not wait for it
+        WatsonxService.initializeRAG().initialize(data);
+        
         // Log document details for debugging
         data.forEach(doc => {
           console.log(`📄 Document: ${doc.title} (${doc.subject}) - ID: ${doc.id}`);
@@ -215,34 +265,52 @@ What would you like to learn about today?`;
     setIsLoading(true);
     setError('');
 
+    // Set a timeout for the entire chat request; it only ever aborts this request
+    const requestController = abortControllerRef.current;
+    const chatTimeout = setTimeout(() => requestController.abort(), 60000); // 60 second timeout
+
     try {
       console.log('🚀 Sending message to Watsonx:', currentInput);
       setConnectionStatus('connecting');
-      
-      // Set a timeout for the entire chat request
-      const chatTimeout = setTimeout(() => {
-        if (abortControllerRef.current) {
-          abortControllerRef.current.abort();
-        }
-      }, 60000); // 60 second timeout
 
-      let response, sourceDocument = null;
+      let response, sourceDocument = null, citations = [], groundedness = null, trace = null;
+      const signal = requestController.signal;
+
+      // Render the answer as it streams in
+      const onToken = (delta, text) => {
+        setMessages(prev => prev.map(msg =>
+          msg.isLoading ? { ...msg, content: text, isStreaming: true } : msg
+        ));
+      };
 
       if (generalKnowledgeMode) {
         // Use general knowledge mode - direct AI response
         console.log('🎓 Using General Knowledge Mode');
         const prompt = getPromptForMode(currentInput);
-        response = await WatsonxService.sendMessage(prompt, '', profile?.role === 'teacher');
+        response = '';
+        for await (const delta of WatsonxService.streamMessage(prompt, '', profile?.role === 'teacher', null, { signal })) {
+          response += delta;
+          onToken(delta, response);
+        }
+        if (!response.trim()) {
+          throw new Error('Received an empty response from the AI service.');
+        }
       } else {
         // Use RAG mode with documents
         console.log('📚 Using Document-based RAG Mode');
-        const ragResult = await WatsonxService.performRAG(currentInput, documents);
+        const ragResult = await WatsonxService.performRAG(currentInput, documents, null, getConversationHistory(), {
+          onToken,
+          signal,
+          filters: retrievalFilters,
+          instructions: eliMode ? ELI5_INSTRUCTIONS : null
+        });
         response = ragResult.response;
         sourceDocument = ragResult.sourceDocument;
+        citations = ragResult.citations || [];
+        groundedness = ragResult.groundedness || null;
+        trace = ragResult.trace || null;
       }
 
-      clearTimeout(chatTimeout);
-
       console.log('✅ Received response:', response);
       console.log('📖 Source document:', sourceDocument ? {
         id: sourceDocument.id,
@@ -260,6 +328,9 @@ What would you like to learn about today?`;
             question: currentInput,
             answer: response,
             document_id: sourceDocument?.id || null,
+            citations: citations,
+            groundedness: groundedness,
+            rag_trace: trace,
             timestamp: new Date().toISOString()
           });
           console.log('💾 Chat message saved to database');
@@ -278,7 +349,11 @@ What would you like to learn about today?`;
           ...msg,
           content: response,
           sourceDocument: sourceDocument,
+          citations: citations,
+          groundedness: groundedness,
+          trace: trace,
           isLoading: false,
+          isStreaming: false,
           mode: generalKnowledgeMode ? 'general' : 'rag'
         } : msg
       ));
@@ -286,9 +361,36 @@ What would you like to learn about today?`;
     } catch (error) {
       console.error('❌ Chat error:', error);
       
-      // Don't show error if request was aborted (user navigated away)
+      // Stopped by the user, the timeout or navigating away: keep what streamed so far
       if (error.name === 'AbortError') {
         console.log('ℹ️ Chat request was aborted');
+        setMessages(prev => prev.map(msg =>
+          msg.isLoading ? {
+            ...msg,
+            content: msg.isStreaming ? `${msg.content}\n\n*Response stopped.*` : 'Response cancelled.',
+            isLoading: false,
+            isStreaming: false,
+            cancelled: true,
+            mode: generalKnowledgeMode ? 'general' : 'rag'
+          } : msg
+        ));
+        setConnectionStatus('connected');
+        return;
+      }
+
+      // Daily allowance used up: nothing to retry until it resets
+      if (isQuotaError(error)) {
+        const quotaMessage = `${describeQuotaError(error)} Until then, your course materials and your teacher are the best places to look for help with this topic.`;
+        setConnectionStatus('quota');
+        setMessages(prev => prev.map(msg =>
+          msg.isLoading ? {
+            ...msg,
+            content: quotaMessage,
+            isLoading: false,
+            isStreaming: false,
+            hasError: true
+          } : msg
+        ));
         return;
       }
       
@@ -311,15 +413,31 @@ What would you like to learn about today?`;
           ...msg,
           content: errorMessage,
           isLoading: false,
+          isStreaming: false,
           hasError: true
         } : msg
       ));
     } finally {
+      clearTimeout(chatTimeout);
       setIsLoading(false);
-      abortControllerRef.current = null;
+      refreshQuota();
+      if (abortControllerRef.current === requestController) {
+        abortControllerRef.current = null;
+      }
     }
   };
 
+  // Recent answered exchanges, oldest first, for resolving follow-up questions
+  const getConversationHistory = () => {
+    return messages
+      .filter(msg => msg.id !== 1 && !msg.isLoading && !msg.hasError && msg.content)
+      .slice(-CONVERSATION_HISTORY_MESSAGES)
+      .map(msg => ({
+        role: msg.type === 'user' ? 'user' : 'assistant',
+        content: msg.content
+      }));
+  };
+
   const getPromptForMode = (message) => {
     let basePrompt = '';
     
@@ -338,12 +456,19 @@ Provide a clear, educational response that helps the student learn.`;
     }
 
     if (eliMode) {
-      basePrompt += '\n\nIMPORTANT: Explain this in very simple terms that a 5-year-old could understand. Use simple words, analogies, and examples.';
+      basePrompt += `\n\nIMPORTANT: ${ELI5_INSTRUCTIONS}`;
     }
 
     return basePrompt;
   };
 
+  // Stop the answer that is currently streaming
+  const cancelResponse = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -351,13 +476,66 @@ Provide a clear, educational response that helps the student learn.`;
     }
   };
 
-  const formatBotMessage = (content) => {
-    // Enhanced markdown-like formatting
-    return content
+  const formatBotMessage = (content, message = {}) => {
+    const markers = new Set((message.citations || []).map(citation => citation.marker));
+
+    // Mark claims the groundedness check could not back up; control characters stand
+    // in for the tags until the markdown formatting has run
+    let text = content;
+    getFlaggedClaims(message).forEach(claim => {
+      if (claim.text && text.includes(claim.text)) {
+        text = text.replace(claim.text, `\u0001${claim.verdict}\u0003${claim.text}\u0002`);
+      }
+    });
+
+    // Enhanced markdown-like formatting, on escaped text so only these tags are produced
+    return escapeHtml(text)
       .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
       .replace(/\*(.*?)\*/g, '<em>$1</em>')
       .replace(/`(.*?)`/g, '<code class="bg-gray-100 px-1 rounded">$1</code>')
-      .replace(/\n/g, '<br>');
+      .replace(/\[(\d+)\]/g, (match, marker) => markers.has(Number(marker))
+        ? `<a href="#citation-${message.id}-${marker}" class="text-blue-600 hover:underline text-xs align-super font-medium">[${marker}]</a>`
+        : match)
+      .replace(/\n/g, '<br>')
+      .replace(/\u0001(\w+)\u0003/g, (match, verdict) => verdict === 'contradicted'
+        ? '<span class="bg-red-100 border-b-2 border-dotted border-red-400" title="Contradicts the sources">'
+        : '<span class="bg-yellow-100 border-b-2 border-dotted border-yellow-500" title="Not found in the sources">')
+      .replace(/\u0002/g, '</span>');
+  };
+
+  // Claims of an answer that were not supported by its passages
+  const getFlaggedClaims = (message) => (message.groundedness?.claims || [])
+    .filter(claim => claim.verdict !== 'supported');
+
+  // Cited passages, or every retrieved passage when the answer cites none
+  const getDisplayedCitations = (message) => {
+    const citations = message.citations || [];
+    const cited = citations.filter(citation => citation.cited);
+    return cited.length > 0 ? cited : citations;
+  };
+
+  // Open the cited document, jumping to the page for PDFs
+  const openCitation = async (citation) => {
+    const sourceDoc = documents.find(doc => doc.id === citation.id);
+    if (!sourceDoc?.file_url) return;
+
+    try {
+      let url = sourceDoc.file_url;
+      if (url.startsWith('data:')) {
+        // Browsers block navigating to data URLs, so open a blob copy instead,
+        // made once per document and revoked on unmount
+        const blobUrls = documentBlobUrlsRef.current;
+        if (!blobUrls.has(sourceDoc.id)) {
+          const blob = await (await fetch(url)).blob();
+          blobUrls.set(sourceDoc.id, URL.createObjectURL(blob));
+        }
+        url = blobUrls.get(sourceDoc.id);
+      }
+
+      window.open(citation.pageNumber ? `${url}#page=${citation.pageNumber}` : url, '_blank', 'noopener');
+    } catch (error) {
+      console.error('Error opening cited document:', error);
+    }
   };
 
   const retryMessage = () => {
@@ -376,6 +554,8 @@ Provide a clear, educational response that helps the student learn.`;
         return <WifiOff className="text-red-500" size={16} />;
       case 'error':
         return <AlertCircle className="text-red-500" size={16} />;
+      case 'quota':
+        return <Gauge className="text-amber-500" size={16} />;
       default:
         return <Wifi className="text-gray-500" size={16} />;
     }
@@ -391,6 +571,8 @@ Provide a clear, educational response that helps the student learn.`;
         return 'Offline';
       case 'error':
         return 'Connection Error';
+      case 'quota':
+        return 'Daily AI limit reached';
       default:
         return 'Unknown';
     }
@@ -474,6 +656,17 @@ Provide a clear, educational response that helps the student learn.`;
                 {eliMode ? 'Simple explanations' : 'Normal explanations'}
               </span>
             </div>
+
+            {profile?.role === 'teacher' && (
+              <button
+                onClick={() => setTraceInspector({ trace: null })}
+                className="flex items-center space-x-2 px-3 py-2 rounded-lg bg-gray-100 text-gray-600 hover:bg-gray-200 transition-all"
+                title="See how recent answers were retrieved and generated"
+              >
+                <Bug size={16} />
+                <span className="text-sm font-medium">RAG Traces</span>
+              </button>
+            )}
           </div>
         </div>
 
@@ -505,6 +698,18 @@ Provide a clear, educational response that helps the student learn.`;
           </div>
         )}
 
+        {/* Quota Warning */}
+        {aiQuota?.exceeded && (
+          <div className="bg-amber-50 border-l-4 border-amber-400 p-4 mx-6 mt-4 rounded">
+            <div className="flex items-center">
+              <Gauge className="text-amber-500 mr-2" size={20} />
+              <p className="text-amber-700">
+                {describeQuotaError({ quota: { resetsAt: aiQuota.resetsAt } })} You can still read your chat history and documents.
+              </p>
+            </div>
+          </div>
+        )}
+
         {/* Mode Status Indicator */}
         {generalKnowledgeMode && (
           <div className="bg-blue-50 border-l-4 border-blue-400 p-3 mx-6 mt-2 rounded">
@@ -525,9 +730,18 @@ Provide a clear, educational response that helps the student learn.`;
                 🔍 RAG Pipeline Active: I can search through {documents.length} uploaded documents to provide contextual answers
               </span>
             </div>
+            <IndexingProgress progress={indexingProgress} className="mt-2" />
           </div>
         )}
 
+        {!generalKnowledgeMode && documentsLoaded && documents.length > 0 && (
+          <RetrievalFilterPicker
+            documents={documents}
+            filters={retrievalFilters}
+            onChange={setRetrievalFilters}
+          />
+        )}
+
         {!generalKnowledgeMode && documentsLoaded && documents.length === 0 && (
           <div className="bg-orange-50 border-l-4 border-orange-400 p-3 mx-6 mt-2 rounded">
             <div className="flex items-center text-sm">
@@ -570,7 +784,7 @@ Provide a clear, educational response that helps the student learn.`;
                     ? 'bg-red-50 text-red-800 border border-red-200'
                     : 'bg-gray-50 text-gray-800 border border-gray-100'
                 }`}>
-                  {message.isLoading ? (
+                  {message.isLoading && !message.isStreaming ? (
                     <div className="flex items-center space-x-2">
                       <div className="flex space-x-1">
                         <div className="w-2 h-2 bg-purple-500 rounded-full animate-bounce"></div>
@@ -580,11 +794,16 @@ Provide a clear, educational response that helps the student learn.`;
                       <span className="text-purple-600">EduBot is thinking...</span>
                     </div>
                   ) : (
-                    <div 
-                      dangerouslySetInnerHTML={{ 
-                        __html: message.type === 'bot' ? formatBotMessage(message.content) : message.content 
-                      }} 
-                    />
+                    <>
+                      <div 
+                        dangerouslySetInnerHTML={{ 
+                          __html: message.type === 'bot' ? formatBotMessage(message.content, message) : message.content 
+                        }} 
+                      />
+                      {message.isStreaming && (
+                        <span className="inline-block w-2 h-4 bg-purple-500 animate-pulse align-middle"></span>
+                      )}
+                    </>
                   )}
                 </div>
                 
@@ -610,8 +829,75 @@ Provide a clear, educational response that helps the student learn.`;
                   </div>
                 )}
                 
-                {/* Enhanced Source Document Display */}
-                {message.sourceDocument && (
+                {/* Groundedness verdict */}
+                {message.type === 'bot' && !message.isLoading && message.groundedness && message.groundedness.status !== 'not_checked' && (
+                  message.groundedness.status === 'grounded' ? (
+                    <div className="mt-2 text-xs text-green-700 flex items-center space-x-1">
+                      <ShieldCheck size={12} />
+                      <span>All {message.groundedness.claimCount} claims checked against the sources</span>
+                    </div>
+                  ) : (
+                    <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                      <div className="flex items-center space-x-2 text-sm">
+                        <ShieldAlert size={16} className="text-yellow-600" />
+                        <span className="font-medium text-yellow-800">
+                          {message.groundedness.claimCount - message.groundedness.supportedCount} of {message.groundedness.claimCount} claims could not be verified in the sources
+                        </span>
+                      </div>
+                      <ul className="mt-2 space-y-1">
+                        {getFlaggedClaims(message).map((claim, index) => (
+                          <li key={index} className="text-xs text-gray-700">
+                            <span className={claim.verdict === 'contradicted' ? 'font-medium text-red-700' : 'font-medium text-yellow-700'}>
+                              {claim.verdict === 'contradicted' ? 'Contradicts sources: ' : 'Not in sources: '}
+                            </span>
+                            {claim.claim}
+                          </li>
+                        ))}
+                      </ul>
+                      <div className="text-xs text-yellow-700 mt-2">
+                        Double-check these points in your course material.
+                      </div>
+                    </div>
+                  )
+                )}
+                
+                {/* Cited passages */}
+                {getDisplayedCitations(message).length > 0 ? (
+                  <div className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+                    <div className="flex items-center space-x-2 text-sm">
+                      <BookOpen size={16} className="text-blue-600" />
+                      <span className="font-medium text-blue-800">Sources:</span>
+                    </div>
+                    <ol className="mt-2 space-y-2">
+                      {getDisplayedCitations(message).map((citation) => (
+                        <li
+                          key={citation.marker}
+                          id={`citation-${message.id}-${citation.marker}`}
+                          className="text-sm text-blue-700"
+                        >
+                          <button
+                            onClick={() => openCitation(citation)}
+                            className="font-medium text-left hover:underline"
+                            title="Open document"
+                          >
+                            [{citation.marker}] {citation.title}
+                          </button>
+                          <div className="text-xs text-blue-600">
+                            {citation.subject}
+                            {citation.pageNumber && ` • Page ${citation.pageNumber}`}
+                            {citation.figure && ` • ${citation.figure}`}
+                            {citation.section && ` • ${citation.section}`}
+                          </div>
+                          {citation.snippet && (
+                            <div className="text-xs text-gray-600 italic mt-1 border-l-2 border-blue-200 pl-2">
+                              “{citation.snippet}”
+                            </div>
+                          )}
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                ) : message.sourceDocument && (
                   <div className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-lg">
                     <div className="flex items-center space-x-2 text-sm">
                       <BookOpen size={16} className="text-blue-600" />
@@ -627,8 +913,17 @@ Provide a clear, educational response that helps the student learn.`;
                   </div>
                 )}
                 
-                <div className="text-xs text-gray-400 mt-1">
-                  {message.timestamp.toLocaleTimeString()}
+                <div className="flex items-center space-x-3 text-xs text-gray-400 mt-1">
+                  <span>{message.timestamp.toLocaleTimeString()}</span>
+                  {profile?.role === 'teacher' && message.trace && (
+                    <button
+                      onClick={() => setTraceInspector({ trace: message.trace })}
+                      className="flex items-center space-x-1 hover:text-purple-600"
+                    >
+                      <Bug size={12} />
+                      <span>Inspect trace</span>
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
@@ -663,13 +958,23 @@ Provide a clear, educational response that helps the student learn.`;
               </div>
             </div>
             
-            <button
-              onClick={handleSendMessage}
-              disabled={!inputMessage.trim() || isLoading}
-              className="w-12 h-12 bg-gradient-to-r from-purple-500 to-pink-500 text-white rounded-xl flex items-center justify-center hover:from-purple-600 hover:to-pink-600 transform hover:scale-105 transition-all duration-200 shadow-lg disabled:opacity-50 disabled:transform-none"
-            >
-              <Send size={20} />
-            </button>
+            {isLoading ? (
+              <button
+                onClick={cancelResponse}
+                className="w-12 h-12 bg-gray-700 text-white rounded-xl flex items-center justify-center hover:bg-gray-800 transition-all duration-200 shadow-lg"
+                title="Stop generating"
+              >
+                <Square size={18} />
+              </button>
+            ) : (
+              <button
+                onClick={handleSendMessage}
+                disabled={!inputMessage.trim() || isLoading}
+                className="w-12 h-12 bg-gradient-to-r from-purple-500 to-pink-500 text-white rounded-xl flex items-center justify-center hover:from-purple-600 hover:to-pink-600 transform hover:scale-105 transition-all duration-200 shadow-lg disabled:opacity-50 disabled:transform-none"
+              >
+                <Send size={20} />
+              </button>
+            )}
           </div>
           
           <div className="flex items-center justify-between mt-3 text-sm text-gray-500">
@@ -698,6 +1003,12 @@ Provide a clear, educational response that helps the student learn.`;
                 )}
               </span>
               <span>+2 XP per question</span>
+              {aiQuota?.remainingRequests != null && (
+                <span className="flex items-center space-x-1" title={`${aiQuota.requests} of ${aiQuota.dailyRequests} AI requests used today`}>
+                  <Gauge size={14} />
+                  <span>{aiQuota.remainingRequests} AI requests left today</span>
+                </span>
+              )}
             </div>
             <div className="flex items-center space-x-4">
               <div className="flex items-center space-x-1">
@@ -711,6 +1022,10 @@ Provide a clear, educational response that helps the student learn.`;
           </div>
         </div>
       </div>
+
+      {traceInspector && (
+        <RagTraceInspector initialTrace={traceInspector.trace} onClose={() => setTraceInspector(null)} />
+      )}
     </Layout>
   );
 };
@@ -1,8 +1,13 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import Layout from '../components/Layout';
-import { DatabaseService, SUBJECTS } from '../services/supabase';
+import SubjectTaxonomyEditor from '../components/SubjectTaxonomyEditor';
+import IndexingProgress from '../components/IndexingProgress';
+import DocumentSummaryModal from '../components/DocumentSummaryModal';
+import { DatabaseService } from '../services/supabase';
+import { useSubjects } from '../contexts/SubjectsContext';
 import { WatsonxService } from '../services/watsonx';
+import { getSummaryVersion } from '../services/rag/documentSummarizer';
 import { 
   Upload, 
   FileText, 
@@ -19,23 +24,33 @@ import {
   CheckCircle,
   AlertCircle,
   Wifi,
-  WifiOff
+  WifiOff,
+  Tags,
+  ScrollText,
+  Loader
 } from 'lucide-react';
 
 const DocumentHub = () => {
-  const { user } = useAuth();
+  const { user, profile } = useAuth();
+  const { subjects } = useSubjects();
   const [documents, setDocuments] = useState([]);
   const [loading, setLoading] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedSubject, setSelectedSubject] = useState('all');
   const [showUploadModal, setShowUploadModal] = useState(false);
   const [showQuizModal, setShowQuizModal] = useState(false);
+  const [showSubjectEditor, setShowSubjectEditor] = useState(false);
   const [selectedDocument, setSelectedDocument] = useState(null);
   const [quizGenerating, setQuizGenerating] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState('connected');
+  const [indexingProgress, setIndexingProgress] = useState(null);
+  const [summaries, setSummaries] = useState({}); // documentId -> summary row of the current version
+  const [summarizingId, setSummarizingId] = useState(null);
+  const [summaryDocument, setSummaryDocument] = useState(null); // Document whose study guide is open
   const [uploadForm, setUploadForm] = useState({
     title: '',
     subject: '',
+    classSection: '',
     file: null
   });
   const [quizForm, setQuizForm] = useState({
@@ -53,6 +68,9 @@ const DocumentHub = () => {
     return () => clearInterval(networkInterval);
   }, []);
 
+  // Uploaded documents are chunked and embedded in the RAG worker
+  useEffect(() => WatsonxService.initializeRAG().onProgress(setIndexingProgress), []);
+
   const checkNetworkStatus = () => {
     if (navigator.onLine) {
       setConnectionStatus('connected');
@@ -66,10 +84,45 @@ const DocumentHub = () => {
     const { data } = await DatabaseService.getDocuments(user?.id);
     if (data) {
       setDocuments(data);
+      loadSummaries(data);
     }
     setLoading(false);
   };
 
+  // Stored summaries, ignoring those built from an older version of the document
+  const loadSummaries = async (docs) => {
+    if (docs.length === 0) return;
+
+    const { data } = await DatabaseService.getDocumentSummaries(docs.map(doc => doc.id));
+    const current = {};
+    (data || []).forEach(row => {
+      const doc = docs.find(d => d.id === row.document_id);
+      if (doc && row.version === getSummaryVersion(doc)) {
+        current[row.document_id] = row;
+      }
+    });
+    setSummaries(current);
+  };
+
+  const handleSummarize = async (document, refresh = false) => {
+    if (summaries[document.id] && !refresh) {
+      setSummaryDocument(document);
+      return;
+    }
+
+    setSummarizingId(document.id);
+    try {
+      const summary = await WatsonxService.summarizeDocument(document, { refresh });
+      setSummaries(prev => ({ ...prev, [document.id]: summary }));
+      setSummaryDocument(document);
+    } catch (error) {
+      console.error('Summary error:', error);
+      alert(`❌ Could not summarize "${document.title}": ${error.message}`);
+    } finally {
+      setSummarizingId(null);
+    }
+  };
+
   const handleFileUpload = async (e) => {
     e.preventDefault();
     if (!uploadForm.file || !uploadForm.title || !uploadForm.subject) return;
@@ -79,12 +132,14 @@ const DocumentHub = () => {
       const { error } = await DatabaseService.uploadDocument(uploadForm.file, {
         title: uploadForm.title,
         subject: uploadForm.subject,
-        uploaded_by: user.id
+        class_section: uploadForm.classSection.trim() || null,
+        uploaded_by: user.id,
+        uploader_name: profile?.name || null
       });
 
       if (!error) {
         setShowUploadModal(false);
-        setUploadForm({ title: '', subject: '', file: null });
+        setUploadForm({ title: '', subject: '', classSection: '', file: null });
         await loadDocuments();
       }
     } catch (error) {
@@ -243,6 +298,13 @@ const DocumentHub = () => {
                 {getConnectionText()}
               </span>
             </div>
+            <button
+              onClick={() => setShowSubjectEditor(true)}
+              className="flex items-center space-x-2 bg-white border border-purple-200 text-purple-700 px-4 py-3 rounded-lg hover:bg-purple-50 transition-colors"
+            >
+              <Tags size={20} />
+              <span>Subjects</span>
+            </button>
             <button
               onClick={() => setShowUploadModal(true)}
               className="flex items-center space-x-2 bg-gradient-to-r from-blue-500 to-purple-500 text-white px-6 py-3 rounded-lg hover:from-blue-600 hover:to-purple-600 transform hover:scale-105 transition-all duration-200 shadow-lg"
@@ -253,6 +315,8 @@ const DocumentHub = () => {
           </div>
         </div>
 
+        <IndexingProgress progress={indexingProgress} />
+
         {/* Network Status Warning */}
         {connectionStatus === 'offline' && (
           <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded">
@@ -297,7 +361,7 @@ const DocumentHub = () => {
                 className="pl-10 pr-8 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent appearance-none bg-white"
               >
                 <option value="all">All Subjects</option>
-                {SUBJECTS.map(subject => (
+                {subjects.map(subject => (
                   <option key={subject} value={subject}>{subject}</option>
                 ))}
               </select>
@@ -379,6 +443,14 @@ const DocumentHub = () => {
                         <FileText className="text-blue-600" size={24} />
                       </div>
                       <div className="flex space-x-2">
+                        <button
+                          onClick={() => handleSummarize(doc)}
+                          disabled={summarizingId === doc.id || (!summaries[doc.id] && connectionStatus === 'offline')}
+                          className="p-2 text-gray-500 hover:text-green-600 hover:bg-green-50 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                          title={summaries[doc.id] ? 'View Study Guide' : 'Generate Summary & Study Guide'}
+                        >
+                          {summarizingId === doc.id ? <Loader size={16} className="animate-spin" /> : <ScrollText size={16} />}
+                        </button>
                         <button 
                           onClick={() => handleGenerateQuiz(doc)}
                           disabled={connectionStatus === 'offline'}
@@ -404,6 +476,12 @@ const DocumentHub = () => {
                     
                     <h3 className="font-bold text-gray-800 mb-2">{doc.title}</h3>
                     
+                    {summaries[doc.id] && (
+                      <p className="text-sm text-gray-600 mb-3 line-clamp-3">
+                        {summaries[doc.id].summary}
+                      </p>
+                    )}
+                    
                     <div className="space-y-2 mb-4">
                       <div className="flex items-center text-sm text-gray-600">
                         <Tag size={14} className="mr-2" />
@@ -419,7 +497,16 @@ const DocumentHub = () => {
 
                     <div className="flex items-center justify-between text-sm">
                       <span className="text-gray-500">Ready for AI quiz</span>
-                      <span className="text-gray-500">Document</span>
+                      {summaries[doc.id] ? (
+                        <button
+                          onClick={() => handleSummarize(doc)}
+                          className="text-green-600 hover:text-green-800 font-medium"
+                        >
+                          Study guide
+                        </button>
+                      ) : (
+                        <span className="text-gray-500">Document</span>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -445,6 +532,28 @@ const DocumentHub = () => {
           </div>
         </div>
 
+        {/* Summary & Study Guide Modal */}
+        {summaryDocument && summaries[summaryDocument.id] && (
+          <DocumentSummaryModal
+            document={summaryDocument}
+            summary={summaries[summaryDocument.id]}
+            onClose={() => setSummaryDocument(null)}
+            onRegenerate={() => handleSummarize(summaryDocument, true)}
+            regenerating={summarizingId === summaryDocument.id}
+          />
+        )}
+
+        {/* Subject Taxonomy Modal */}
+        {showSubjectEditor && (
+          <SubjectTaxonomyEditor
+            onClose={() => {
+              setShowSubjectEditor(false);
+              // Renamed subjects change the subject stored on documents
+              loadDocuments();
+            }}
+          />
+        )}
+
         {/* Upload Modal */}
         {showUploadModal && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -477,28 +586,43 @@ const DocumentHub = () => {
                     required
                   >
                     <option value="">Select subject</option>
-                    {SUBJECTS.map(subject => (
+                    {subjects.map(subject => (
                       <option key={subject} value={subject}>{subject}</option>
                     ))}
                   </select>
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Class Section (optional)
+                  </label>
+                  <input
+                    type="text"
+                    value={uploadForm.classSection}
+                    onChange={(e) => setUploadForm({...uploadForm, classSection: e.target.value})}
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                    placeholder="e.g., 10-A"
+                  />
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Document File
                   </label>
                   <input
                     type="file"
-                    accept=".pdf,.doc,.docx,.txt"
+                    accept=".pdf,.docx,.md,.txt,.png,.jpg,.jpeg,.webp"
                     onChange={(e) => setUploadForm({...uploadForm, file: e.target.files[0]})}
                     className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                     required
                   />
                   <p className="text-xs text-gray-500 mt-1">
-                    Supported formats: PDF, DOC, DOCX, TXT
+                    Supported formats: PDF, DOCX, Markdown, TXT, images (PNG, JPG, WebP). Diagrams and figures are described by the vision model so students can ask about them.
                   </p>
                 </div>
 
+                <IndexingProgress progress={indexingProgress} />
+
                 <div className="flex space-x-4 pt-4">
                   <button
                     type="button"
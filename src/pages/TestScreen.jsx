@@ -2,6 +2,7 @@ import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { TestTube, User, GraduationCap, Trash2, CheckCircle } from 'lucide-react';
+import RAGEvaluationPanel from '../components/RAGEvaluationPanel';
 
 const TestScreen = () => {
   const navigate = useNavigate();
@@ -61,7 +62,7 @@ const TestScreen = () => {
   };
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-purple-50 to-pink-50 flex items-center justify-center p-4">
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-purple-50 to-pink-50 flex flex-col items-center justify-center p-4">
       <div className="max-w-md w-full">
         {/* Header */}
         <div className="text-center mb-8">
@@ -165,6 +166,11 @@ const TestScreen = () => {
           </ul>
         </div>
       </div>
+
+      {/* RAG Evaluation */}
+      <div className="max-w-4xl w-full mt-8">
+        <RAGEvaluationPanel />
+      </div>
     </div>
   );
 };
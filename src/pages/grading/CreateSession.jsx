@@ -3,7 +3,8 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import Layout from '../../components/Layout';
 import BulkUploader from '../../components/grading/BulkUploader';
-import { DatabaseService, SUBJECTS } from '../../services/supabase';
+import { DatabaseService } from '../../services/supabase';
+import { useSubjects } from '../../contexts/SubjectsContext';
 import { 
   ArrowLeft, 
   Upload, 
@@ -17,6 +18,7 @@ import {
 
 const CreateSession = () => {
   const { user } = useAuth();
+  const { subjects } = useSubjects();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [step, setStep] = useState(1); // 1: Session Setup, 2: Upload Submissions
@@ -208,7 +210,7 @@ const CreateSession = () => {
                       required
                     >
                       <option value="">Select subject</option>
-                      {SUBJECTS.map(subject => (
+                      {subjects.map(subject => (
                         <option key={subject} value={subject}>{subject}</option>
                       ))}
                     </select>
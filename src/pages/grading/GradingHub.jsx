@@ -3,6 +3,8 @@ import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import Layout from '../../components/Layout';
 import { DatabaseService } from '../../services/supabase';
+import { WatsonxService } from '../../services/watsonx';
+import { isQuotaError, describeQuotaError } from '../../services/llm/usageMeter';
 import { 
   Plus, 
   FileText, 
@@ -18,7 +20,8 @@ import {
   Trash2,
   Play,
   Upload,
-  TestTube
+  TestTube,
+  Gauge
 } from 'lucide-react';
 
 const GradingHub = () => {
@@ -35,13 +38,23 @@ const GradingHub = () => {
   const [showQuickOCR, setShowQuickOCR] = useState(false);
   const [ocrTestFiles, setOcrTestFiles] = useState([]);
   const [ocrLoading, setOcrLoading] = useState(false);
+  const [aiQuota, setAiQuota] = useState(null); // Today's AI usage against the teacher's daily quota
 
   useEffect(() => {
     if (user) {
       loadGradingSessions();
+      refreshQuota();
     }
   }, [user]);
 
+  const refreshQuota = async () => {
+    try {
+      setAiQuota(await WatsonxService.usageMeter.getStatus());
+    } catch (error) {
+      console.warn('Could not load AI quota status:', error);
+    }
+  };
+
   const loadGradingSessions = async () => {
     setLoading(true);
     try {
@@ -190,8 +203,10 @@ const GradingHub = () => {
           results.push({ 
             file: file.name, 
             status: 'failed', 
-            error: error.message 
+            error: isQuotaError(error) ? describeQuotaError(error) : error.message 
           });
+          // The remaining files would be refused too
+          if (isQuotaError(error)) break;
         }
       }
 
@@ -211,6 +226,7 @@ const GradingHub = () => {
       console.error('❌ Error in quick OCR:', err);
       alert('❌ Error running OCR test: ' + err.message);
     } finally {
+      refreshQuota();
       setOcrLoading(false);
       setOcrTestFiles([]);
       setShowQuickOCR(false);
@@ -236,6 +252,10 @@ const GradingHub = () => {
         
         try {
           const testResult = await OCRService.testOCR(file);
+          if (testResult.quotaExceeded) {
+            results.push({ file: file.name, success: false, error: describeQuotaError() });
+            break;
+          }
           results.push({
             file: file.name,
             success: testResult.success,
@@ -271,6 +291,7 @@ const GradingHub = () => {
       console.error('❌ Error in Watsonx Vision OCR test:', err);
       alert('❌ Error running Watsonx Vision OCR test: ' + err.message);
     } finally {
+      refreshQuota();
       setOcrLoading(false);
       setOcrTestFiles([]);
       setShowQuickOCR(false);
@@ -317,6 +338,21 @@ const GradingHub = () => {
           </div>
         </div>
 
+        {/* Quota Warning */}
+        {aiQuota?.exceeded && (
+          <div className="bg-amber-50 border-l-4 border-amber-400 p-4 rounded-lg">
+            <div className="flex items-center">
+              <Gauge className="text-amber-500 mr-3" size={20} />
+              <p className="text-amber-700 flex-1">
+                {describeQuotaError({ quota: { resetsAt: aiQuota.resetsAt } })} OCR and grading jobs are paused and carry on by themselves after the reset; uploads still work.
+              </p>
+              <Link to="/usage" className="ml-4 text-amber-700 hover:text-amber-900 text-sm font-medium bg-amber-100 hover:bg-amber-200 px-3 py-1 rounded transition-colors">
+                View usage
+              </Link>
+            </div>
+          </div>
+        )}
+
         {/* Stats Cards */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
           <div className="bg-white rounded-xl p-6 shadow-lg border border-gray-100">
@@ -1,14 +1,17 @@
 // Vision-First AI Grading Service using IBM Watsonx
 import { WatsonxService } from '../watsonx.js';
 import { supabase } from '../supabase.js';
+import { isQuotaError } from '../llm/usageMeter.js';
 
 class GradingService {
   constructor() {
     this.watsonxService = WatsonxService;
+    this.quotaPausedUntil = 0; // Pending grading waits here while the daily AI quota is used up
   }
 
   // Process AI grading for a submission using its image
-  async processSubmissionGrading(submissionId) {
+  // options.priority queues the AI calls (see WatsonxService.scheduler); background grading uses 'batch'
+  async processSubmissionGrading(submissionId, options = {}) {
     try {
       console.log('Starting Vision-AI grading for submission:', submissionId);
       
@@ -44,7 +47,7 @@ class GradingService {
         .update({ processing_status: 'processing' })
         .eq('id', submissionId);
       
-      const grades = await this.gradeFromAnswerSheetImage(questionPaper, submission);
+      const grades = await this.gradeFromAnswerSheetImage(questionPaper, submission, options);
       
       const totalMarks = grades.reduce((sum, grade) => sum + (grade.marks || 0), 0);
       const maxTotalMarks = grades.reduce((sum, grade) => sum + (grade.maxMarks || 0), 0);
@@ -76,6 +79,17 @@ class GradingService {
       return { grades, totalMarks, percentage, grade: letterGrade, confidence: overallConfidence };
       
     } catch (error) {
+      // Out of AI quota: leave it ready for grading, processPendingGrading picks it up after the reset
+      if (isQuotaError(error)) {
+        console.warn('⏸️ Grading postponed for submission:', submissionId, error.message);
+        this.quotaPausedUntil = Date.now() + (error.retryAfter || 3600) * 1000;
+        await supabase
+          .from('student_submissions')
+          .update({ processing_status: 'ocr_completed' })
+          .eq('id', submissionId);
+        throw error;
+      }
+
       console.error('❌ Vision-AI grading failed for submission:', submissionId, error);
       await supabase
         .from('student_submissions')
@@ -89,7 +103,7 @@ class GradingService {
   }
 
   // NEW CORE FUNCTION: Grade directly from the answer sheet image
-  async gradeFromAnswerSheetImage(questionPaper, submission) {
+  async gradeFromAnswerSheetImage(questionPaper, submission, options = {}) {
     try {
       const prompt = this.buildVisionGradingPrompt(questionPaper, submission);
       
@@ -98,17 +112,19 @@ class GradingService {
         prompt,               // The user message/prompt
         '',                   // No document context needed
         false,                // isTeacher = false
-        submission.file_url   // The image to analyze
+        submission.file_url,  // The image to analyze
+        false,
+        { priority: options.priority, feature: 'grading' }
       );
       
       return this.parseGradingResponse(response, questionPaper.total_marks);
 
     } catch (error) {
       console.error('Error during vision grading:', error);
-      if (submission.raw_text) {
+      if (submission.raw_text && !isQuotaError(error)) {
         console.warn('⚠️ Vision grading failed, falling back to OCR text-based grading.');
         const textPrompt = this.buildTextFallbackPrompt(questionPaper, submission.raw_text);
-        const textResponse = await this.watsonxService.sendMessage(textPrompt);
+        const textResponse = await this.watsonxService.sendMessage(textPrompt, '', false, null, false, { priority: options.priority, feature: 'grading' });
         return this.parseGradingResponse(textResponse, questionPaper.total_marks);
       }
       throw error;
@@ -252,6 +268,11 @@ Based on the text provided, please identify questions and answers, grade them, a
   }
 
   async processPendingGrading() {
+    if (this.quotaPausedUntil > Date.now()) {
+      console.log('⏸️ AI grading paused until the daily AI quota resets');
+      return;
+    }
+
     try {
       const { data: pendingSubmissions, error } = await supabase
         .from('student_submissions')
@@ -264,8 +285,9 @@ Based on the text provided, please identify questions and answers, grade them, a
       
       console.log(`Processing AI grading for ${pendingSubmissions.length} submissions...`);
       
+      // Queued as batch work, so chat requests go first and the rate limit holds
       const gradingPromises = pendingSubmissions.map(submission => 
-        this.processSubmissionGrading(submission.id)
+        this.processSubmissionGrading(submission.id, { priority: 'batch' })
       );
       
       await Promise.all(gradingPromises);
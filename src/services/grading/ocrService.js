@@ -1,15 +1,18 @@
 import { WatsonxService } from '../watsonx.js';
+import { isQuotaError } from '../llm/usageMeter.js';
 
 // Enhanced OCR Service using Watsonx Llama Vision Model
 class OCRService {
   constructor() {
     this.isProcessing = false;
+    this.quotaPausedUntil = 0; // Jobs wait here while the daily AI quota is used up
     this.supportedFormats = ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'];
     this.watsonxService = WatsonxService;
   }
 
   // Process document using Watsonx Vision Model
-  async processDocument(file) {
+  // options.priority queues the vision call (see WatsonxService.scheduler); background jobs use 'batch'
+  async processDocument(file, options = {}) {
     console.log('🔍 Starting Watsonx Vision OCR for:', file.name);
     
     const startTime = Date.now();
@@ -30,7 +33,8 @@ class OCRService {
       const extractedText = await this.watsonxService.analyzeImage(
         imageData, 
         ocrPrompt, 
-        false // isTeacher = false for OCR processing
+        false, // isTeacher = false for OCR processing
+        { priority: options.priority, feature: 'ocr' }
       );
       
       const processingTime = Date.now() - startTime;
@@ -46,7 +50,7 @@ class OCRService {
           lines: ocrResult.lines || []
         }],
         confidence: ocrResult.confidence,
-        provider: 'watsonx-vision',
+        provider: `${this.watsonxService.getProvider().name}-vision`,
         rawText: ocrResult.text,
         processingTime: processingTime,
         metadata: {
@@ -66,11 +70,10 @@ class OCRService {
       
       return result;
     } catch (error) {
-      console.error('❌ Watsonx Vision OCR failed:', error);
-      
-      // Fallback to basic text extraction if Vision model fails
-      console.log('🔄 Falling back to basic text extraction...');
-      return this.fallbackOCR(file, startTime);
+      // Any stand-in text would be graded as if it were the student's answers, so
+      // a failed extraction fails the job (use the mock provider to work offline)
+      if (!isQuotaError(error)) console.error('❌ Watsonx Vision OCR failed:', error);
+      throw error;
     }
   }
 
@@ -295,89 +298,6 @@ Please extract all text accurately and completely.`;
     };
   }
 
-  // Fallback OCR when Watsonx Vision fails
-  async fallbackOCR(file, startTime) {
-    console.log('🔄 Using fallback OCR for:', file.name);
-    
-    const processingTime = Date.now() - startTime;
-    const { studentName, rollNumber } = this.extractStudentInfoFromFilename(file.name);
-    
-    // Generate basic fallback text based on file type and name
-    const fallbackText = this.generateFallbackText(file, studentName);
-    
-    return {
-      pages: [{
-        text: fallbackText,
-        confidence: 60, // Lower confidence for fallback
-        words: this.generateWordsFromText(fallbackText),
-        lines: this.generateLinesFromText(fallbackText)
-      }],
-      confidence: 60,
-      provider: 'fallback-ocr',
-      rawText: fallbackText,
-      processingTime: processingTime,
-      metadata: {
-        fileName: file.name,
-        fileSize: file.size,
-        fileType: file.type,
-        extractedAt: new Date().toISOString(),
-        studentInfo: {
-          name: studentName,
-          rollNumber: rollNumber
-        },
-        isFallback: true
-      }
-    };
-  }
-
-  // Generate fallback text when OCR fails
-  generateFallbackText(file, studentName) {
-    const fileName = file.name.toLowerCase();
-    
-    if (fileName.includes('math') || fileName.includes('algebra')) {
-      return `Mathematics Assignment
-Student Name: ${studentName}
-
-Question 1: Solve for x: 2x + 5 = 15
-Answer: 2x = 15 - 5
-2x = 10
-x = 5
-
-Question 2: Find the area of a rectangle with length 8cm and width 6cm
-Answer: Area = length × width
-Area = 8 × 6 = 48 cm²
-
-Question 3: Simplify: 3(x + 4) - 2(x - 1)
-Answer: 3x + 12 - 2x + 2
-= x + 14`;
-    } else if (fileName.includes('science') || fileName.includes('biology')) {
-      return `Science Test
-Student: ${studentName}
-
-1. What is photosynthesis?
-Photosynthesis is the process by which plants make their own food using sunlight, carbon dioxide, and water.
-
-2. Name three parts of a plant cell.
-- Cell wall
-- Chloroplasts  
-- Vacuole
-
-3. Explain the water cycle.
-The water cycle involves evaporation, condensation, precipitation, and collection.`;
-    } else {
-      return `Student Assignment
-Name: ${studentName}
-
-This document contains handwritten student responses. The content includes answers to various questions with demonstrations of understanding of the subject matter.
-
-Answer 1: The student provides understanding of basic concepts with examples.
-Answer 2: A detailed response showing comprehension of the material.
-Answer 3: The answer demonstrates application of learned concepts.
-
-[Note: This is fallback text generated when OCR processing failed]`;
-    }
-  }
-
   // Convert file to base64
   fileToBase64(file) {
     return new Promise((resolve, reject) => {
@@ -391,6 +311,10 @@ Answer 3: The answer demonstrates application of learned concepts.
   // Process OCR jobs from database using Watsonx Vision
   async processOCRJobs() {
     if (this.isProcessing) return;
+    if (this.quotaPausedUntil > Date.now()) {
+      console.log('⏸️ OCR jobs paused until the daily AI quota resets');
+      return;
+    }
     
     this.isProcessing = true;
     console.log('🔍 Checking for pending OCR jobs...');
@@ -430,11 +354,16 @@ Answer 3: The answer demonstrates application of learned concepts.
       
       console.log(`📋 Processing ${pendingJobs.length} OCR jobs with Watsonx Vision...`);
       
-      for (const job of pendingJobs) {
-        await this.processOCRJob(job);
-        // Add delay between jobs to respect API rate limits
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
+      // The AI request queue paces the vision calls, behind interactive chat. Only as
+      // many jobs run as it takes batch requests at once, so the other files are not
+      // downloaded until a slot is close to free.
+      const queue = [...pendingJobs];
+      const workers = Math.min(queue.length, WatsonxService.scheduler.config.maxConcurrentPerPriority.batch || 1);
+      await Promise.all(Array.from({ length: workers }, async () => {
+        while (queue.length > 0) {
+          await this.processOCRJob(queue.shift());
+        }
+      }));
       
     } catch (error) {
       console.error('❌ Error processing OCR jobs:', error);
@@ -472,32 +401,24 @@ Answer 3: The answer demonstrates application of learned concepts.
         .update({ processing_status: 'processing' })
         .eq('id', submission_id);
       
-      let ocrResult;
-      
-      if (submission.file_url && submission.file_url.startsWith('http')) {
-        // Process actual file URL with Watsonx Vision
-        console.log('📄 Processing actual file with Watsonx Vision:', submission.file_name);
-        
-        try {
-          // Fetch the file and convert to proper format for processing
-          const response = await fetch(submission.file_url);
-          const blob = await response.blob();
-          const file = new File([blob], submission.file_name, { type: submission.file_type });
-          
-          // Process with Watsonx Vision
-          ocrResult = await this.processDocument(file);
-        } catch (fetchError) {
-          console.error('❌ Failed to fetch file for OCR:', fetchError);
-          throw new Error(`Failed to fetch file: ${fetchError.message}`);
-        }
-      } else {
-        // Fallback for base64 or other formats
-        console.log('📄 Processing with fallback method:', submission.file_name);
-        const mockFile = new File(['mock content'], submission.file_name, { 
-          type: submission.file_type || 'image/jpeg' 
-        });
-        ocrResult = await this.fallbackOCR(mockFile, Date.now());
+      if (!submission.file_url) {
+        throw new Error('Submission has no file to read');
       }
+
+      // Storage URLs and data URLs both load with fetch
+      console.log('📄 Processing file with Watsonx Vision:', submission.file_name);
+      let file;
+      try {
+        const response = await fetch(submission.file_url);
+        const blob = await response.blob();
+        file = new File([blob], submission.file_name, { type: submission.file_type || blob.type });
+      } catch (fetchError) {
+        console.error('❌ Failed to fetch file for OCR:', fetchError);
+        throw new Error(`Failed to fetch file: ${fetchError.message}`);
+      }
+
+      // Failures reach the catch below, which marks the submission failed
+      const ocrResult = await this.processDocument(file, { priority: 'batch' });
       
       // Update submission with OCR results
       await supabase
@@ -534,9 +455,26 @@ Answer 3: The answer demonstrates application of learned concepts.
       await this.triggerAIGrading(submission_id);
       
     } catch (error) {
-      console.error(`❌ OCR job ${jobId} failed:`, error);
-      
       const { supabase } = await import('../supabase');
+
+      // Out of AI quota: put the job back so it runs once the quota resets
+      if (isQuotaError(error)) {
+        console.warn(`⏸️ OCR job ${jobId} postponed: ${error.message}`);
+        this.quotaPausedUntil = Date.now() + (error.retryAfter || 3600) * 1000;
+
+        await supabase
+          .from('ocr_jobs')
+          .update({ status: 'pending' })
+          .eq('id', jobId);
+
+        await supabase
+          .from('student_submissions')
+          .update({ processing_status: 'uploaded' })
+          .eq('id', submission_id);
+        return;
+      }
+
+      console.error(`❌ OCR job ${jobId} failed:`, error);
       
       // Update job as failed
       await supabase
@@ -561,7 +499,7 @@ Answer 3: The answer demonstrates application of learned concepts.
     try {
       // Import grading service and trigger AI grading
       const { default: GradingService } = await import('./gradingService.js');
-      await GradingService.processSubmissionGrading(submissionId);
+      await GradingService.processSubmissionGrading(submissionId, { priority: 'batch' });
     } catch (error) {
       console.error('❌ Failed to trigger AI grading:', error);
     }
@@ -583,10 +521,10 @@ Answer 3: The answer demonstrates application of learned concepts.
   getStatus() {
     return {
       isProcessing: this.isProcessing,
-      provider: 'watsonx-vision',
-      model: 'meta-llama/llama-3-2-11b-vision-instruct',
+      provider: `${this.watsonxService.getProvider().name}-vision`,
+      model: this.watsonxService.getProvider().visionModel,
       supportedFormats: this.supportedFormats,
-      environment: 'client-side-watsonx'
+      environment: `client-side-${this.watsonxService.getProvider().name}`
     };
   }
 
@@ -616,6 +554,7 @@ Answer 3: The answer demonstrates application of learned concepts.
       return {
         success: false,
         error: error.message,
+        quotaExceeded: isQuotaError(error),
         summary: `OCR test failed: ${error.message}`
       };
     }
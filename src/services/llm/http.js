@@ -0,0 +1,153 @@
+// Request and streaming helpers shared by the LLM providers
+
+// POST a JSON body and return the response, throwing `API Error (status): body`
+// with error.status and error.retryAfter when it fails. timeoutMs aborts slow
+// requests; pass null for streams, which stay open for as long as the answer takes.
+// Streams hand the caller's signal straight to fetch, so aborting it still cancels
+// the body after the headers have arrived.
+export async function postJSON(url, body, { headers = {}, signal = null, timeoutMs = 60000, accept = 'application/json' } = {}) {
+  const controller = timeoutMs ? new AbortController() : null;
+  const timeoutId = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+  const forwardAbort = () => controller.abort();
+
+  if (controller) {
+    if (signal?.aborted) controller.abort();
+    signal?.addEventListener('abort', forwardAbort);
+  }
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Accept': accept,
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: JSON.stringify(body),
+      signal: controller ? controller.signal : signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`API Error (${response.status}): ${errorText}`);
+      error.status = response.status;
+      error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      throw error;
+    }
+
+    return response;
+  } finally {
+    if (controller) {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', forwardAbort);
+    }
+  }
+}
+
+// Seconds to wait from a Retry-After header (delay in seconds or an HTTP date), or null
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Read server-sent events and yield the text delta of each one. onUsage gets
+// the token counts when an event carries them (usually the last one).
+export async function* readEventStream(body, onUsage = null) {
+  for await (const event of readChunks(body, /\r?\n\r?\n/)) {
+    const delta = parseStreamEvent(event, onUsage);
+    if (delta === null) return;
+    if (delta) yield delta;
+  }
+}
+
+// Text carried by one SSE event; null marks the end of the stream. Handles both
+// the OpenAI `choices[].delta` shape and watsonx `results[].generated_text`.
+export function parseStreamEvent(event, onUsage = null) {
+  const lines = event.split(/\r?\n/);
+  const type = lines.find(line => line.startsWith('event:'))?.slice(6).trim();
+  const data = lines
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trim())
+    .join('\n');
+
+  if (!data) return '';
+  if (data === '[DONE]') return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(data);
+  } catch {
+    console.warn('Skipping malformed stream event:', data.substring(0, 100));
+    return '';
+  }
+
+  if (type === 'error' || payload.errors || payload.error) {
+    const message = payload.errors?.[0]?.message || payload.error?.message || payload.error || 'Stream error';
+    throw new Error(`API Error (stream): ${message}`);
+  }
+
+  const usage = parseUsage(payload);
+  if (usage) onUsage?.(usage);
+
+  if (payload.choices && payload.choices.length > 0) {
+    return payload.choices[0].delta?.content || '';
+  }
+  return payload.results?.[0]?.generated_text || '';
+}
+
+// Token counts from a response body as { inputTokens, outputTokens }, or null.
+// Handles the OpenAI/watsonx `usage` object and Ollama's eval counts.
+export function parseUsage(data) {
+  if (data?.usage?.prompt_tokens != null || data?.usage?.completion_tokens != null) {
+    return { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 };
+  }
+  if (data?.prompt_eval_count != null || data?.eval_count != null) {
+    return { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 };
+  }
+  return null;
+}
+
+// Read newline-delimited JSON (Ollama's streaming format) and yield each object
+export async function* readJSONLines(body) {
+  for await (const line of readChunks(body, /\r?\n/)) {
+    if (!line.trim()) continue;
+
+    try {
+      yield JSON.parse(line);
+    } catch {
+      console.warn('Skipping malformed stream line:', line.substring(0, 100));
+    }
+  }
+}
+
+// Split a response body into text pieces on the separator, including the last
+// unterminated piece
+async function* readChunks(body, separator) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const pieces = buffer.split(separator);
+      buffer = pieces.pop();
+
+      yield* pieces;
+    }
+
+    buffer += decoder.decode();
+    if (buffer) yield buffer;
+  } finally {
+    // Cancelling releases the connection when the consumer stops early
+    reader.cancel().catch(() => {});
+  }
+}
@@ -0,0 +1,310 @@
+import { tokenize } from '../rag/tokenizer';
+
+// Scripted responses for MockProvider, keyed on prompt patterns. The first
+// fixture whose `pattern` matches the prompt (and whose `image` flag, when set,
+// matches whether an image was attached) answers it. Responses follow the
+// formats the callers parse (OCR JSON, grading JSON, quiz JSON array, study
+// guide JSON) and depend only on the prompt and image, so the same upload
+// always gets the same extraction and the same grade.
+//
+// respond(prompt, context) receives { image, seed, ragModel }: the image data
+// URL or null, a hash of the image (or the prompt) for picking fixtures, and
+// the extractive MockLLM used for RAG prompts.
+
+// Handwritten answer sheets returned by the OCR fixture and graded by the
+// grading fixture; `quality` is the share of marks each answer earns
+export const ANSWER_SHEETS = [
+  {
+    subject: 'Mathematics',
+    studentName: 'Aarav Sharma',
+    rollNumber: '101',
+    answers: [
+      { question: 'Solve for x: 2x + 5 = 15', answer: '2x = 15 - 5, so 2x = 10 and x = 5', quality: 1 },
+      { question: 'Find the area of a rectangle with length 8 cm and width 6 cm', answer: 'Area = length x width = 8 x 6 = 48 cm²', quality: 1 },
+      { question: 'Simplify: 3(x + 4) - 2(x - 1)', answer: '3x + 12 - 2x - 2 = x + 10', quality: 0.4 }
+    ]
+  },
+  {
+    subject: 'Science',
+    studentName: 'Priya Nair',
+    rollNumber: '102',
+    answers: [
+      { question: 'What is photosynthesis?', answer: 'Plants make food from sunlight, carbon dioxide and water. Oxygen is released.', quality: 0.9 },
+      { question: 'Name three parts of a plant cell.', answer: 'Cell wall, chloroplast, vacuole', quality: 1 },
+      { question: 'Explain the water cycle.', answer: 'Water evaporates and then it rains.', quality: 0.5 }
+    ]
+  },
+  {
+    subject: 'English',
+    studentName: 'Rohan Mehta',
+    rollNumber: '103',
+    answers: [
+      { question: 'What is the theme of the poem "The Road Not Taken"?', answer: 'Making choices in life and how they shape who we become.', quality: 0.8 },
+      { question: 'Write a sentence using a metaphor.', answer: 'The classroom was a zoo after the bell rang.', quality: 1 },
+      { question: 'What makes a strong thesis statement?', answer: 'It is long.', quality: 0.2 }
+    ]
+  }
+];
+
+export const MOCK_FIXTURES = [
+  {
+    name: 'connectivity-check',
+    pattern: /^(Hello! Are you working\?|Test connection$)/,
+    respond: () => 'Yes, I am working. This is the offline mock provider, so no AI service was called.'
+  },
+  {
+    name: 'ocr',
+    pattern: /Please extract ALL text from this/,
+    image: true,
+    respond: (prompt, { seed }) => JSON.stringify(ocrResult(pickSheet(seed)), null, 2)
+  },
+  {
+    name: 'grading-vision',
+    pattern: /grading a student's handwritten answer sheet/,
+    image: true,
+    respond: (prompt, { seed }) => {
+      const sheet = pickSheet(seed);
+      return gradingResult(sheet.answers, totalMarksIn(prompt));
+    }
+  },
+  {
+    name: 'grading-text',
+    pattern: /EXTRACTED TEXT FROM ANSWER SHEET:/,
+    respond: prompt => {
+      const text = (prompt.match(/EXTRACTED TEXT FROM ANSWER SHEET:\**\n([\s\S]*?)\n\n\*\*GRADING/) || [])[1] || '';
+      return gradingResult(answersFromText(text), totalMarksIn(prompt));
+    }
+  },
+  {
+    name: 'quiz',
+    pattern: /create 5 multiple choice questions/,
+    respond: (prompt, { seed }) => {
+      const content = (prompt.match(/questions:\n\n([\s\S]*?)\n\nCreate educational questions/) || [])[1] || '';
+      const subject = (prompt.match(/understanding of (.+?) concepts/) || [])[1] || 'the subject';
+      return JSON.stringify(quizQuestions(content, subject, seed), null, 2);
+    }
+  },
+  {
+    name: 'study-guide',
+    pattern: /^Create a study guide/,
+    respond: prompt => {
+      const outline = (prompt.match(/section summaries\.\n\n([\s\S]*?)\n\nIMPORTANT:/) || [])[1] || '';
+      return JSON.stringify(studyGuide(outline), null, 2);
+    }
+  },
+  {
+    name: 'summary',
+    pattern: /^(Summarize this part|These are summaries|Below are summaries)/,
+    respond: prompt => {
+      const body = prompt.split('\n\n').slice(1, -1).join(' ').replace(/\(\d+\)\s*|##\s*/g, '');
+      return sentences(body).slice(0, 3).join(' ') || 'This part of the document has no text to summarize.';
+    }
+  },
+  {
+    name: 'figure-caption',
+    pattern: /from a school study document/,
+    image: true,
+    respond: prompt => {
+      const label = (prompt.match(/^This is (.+?) from a school study document/) || [])[1] || 'a figure';
+      return `Diagram shown as ${label} (mock caption).\nLabels and values are not read by the offline mock provider; connect a vision model to describe figures.`;
+    }
+  },
+  {
+    name: 'image-question',
+    pattern: /[\s\S]*/,
+    image: true,
+    respond: prompt => `**Mock image analysis** (offline provider)\n\nYou asked: "${questionIn(prompt)}"\n\nThe image was received, but the mock provider does not look at its contents. It answers the same way every time so image features can be tested without a vision model.`
+  },
+  {
+    // RAG answers, query rewriting, LLM reranking and groundedness checks
+    name: 'rag',
+    pattern: /^(Rewrite the student|Rate how relevant|Check each claim)|Student question: /m,
+    respond: (prompt, { ragModel }) => ragModel.respond(prompt)
+  },
+  {
+    name: 'chat',
+    pattern: /[\s\S]*/,
+    respond: prompt => `**Mock response** (offline provider)\n\nYou asked: "${questionIn(prompt)}"\n\nThis answer is generated locally so EduBot can be tried without an AI service. Set VITE_LLM_PROVIDER to watsonx, openai or ollama for real answers.`
+  }
+];
+
+// Stable 32-bit FNV-1a hash
+export function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function pickSheet(seed) {
+  return ANSWER_SHEETS[seed % ANSWER_SHEETS.length];
+}
+
+function ocrResult(sheet) {
+  const extractedText = [
+    `Name: ${sheet.studentName}`,
+    `Roll No: ${sheet.rollNumber}`,
+    `Subject: ${sheet.subject}`,
+    '',
+    ...sheet.answers.flatMap(({ question, answer }, index) => [
+      `Question ${index + 1}: ${question}`,
+      `Answer: ${answer}`,
+      ''
+    ])
+  ].join('\n').trim();
+
+  return {
+    extractedText,
+    confidence: 88,
+    studentInfo: { name: sheet.studentName, rollNumber: sheet.rollNumber },
+    sections: sheet.answers.flatMap(({ question, answer }, index) => [
+      { type: 'question', content: question, questionNumber: String(index + 1) },
+      { type: 'answer', content: answer, questionNumber: String(index + 1) }
+    ]),
+    notes: 'Generated by the offline mock provider'
+  };
+}
+
+// "Question n: ... / Answer: ..." pairs, as written by the OCR fixture
+function answersFromText(text) {
+  const answers = [...text.matchAll(/Question \d+:\s*(.+)\nAnswer:\s*(.+)/g)].map(match => ({
+    question: match[1].trim(),
+    answer: match[2].trim(),
+    // Without an answer key, longer answers earn more of the marks
+    quality: Math.min(1, match[2].trim().split(/\s+/).length / 12)
+  }));
+
+  return answers.length > 0
+    ? answers
+    : [{ question: 'Entire answer sheet', answer: text.trim().substring(0, 300), quality: text.trim() ? 0.5 : 0 }];
+}
+
+function gradingResult(answers, totalMarks) {
+  // Split the total marks as evenly as possible, the remainder going to the first questions
+  const base = Math.floor(totalMarks / answers.length);
+  const questions = answers.map(({ question, answer, quality }, index) => {
+    const maxMarks = base + (index < totalMarks % answers.length ? 1 : 0);
+    const marks = Math.round(maxMarks * quality);
+    return {
+      questionNumber: index + 1,
+      questionText: question,
+      studentAnswer: answer,
+      maxMarks,
+      marks,
+      feedback: quality >= 0.8 ? 'Correct and clearly explained.' : quality >= 0.5 ? 'Partly correct; some steps or details are missing.' : 'The answer is incomplete or incorrect.',
+      strengths: quality >= 0.5 ? 'Shows understanding of the main idea.' : 'Attempted the question.',
+      improvements: quality >= 0.8 ? 'Keep showing your working.' : 'Review this topic and explain each step.',
+      confidence: 8
+    };
+  });
+
+  const awarded = questions.reduce((sum, question) => sum + question.marks, 0);
+  return '```json\n' + JSON.stringify({
+    questions,
+    overallFeedback: `Scored ${awarded} of ${totalMarks} (mock grading).`,
+    totalMarks: awarded,
+    estimatedMaxMarks: totalMarks
+  }, null, 2) + '\n```';
+}
+
+function totalMarksIn(prompt) {
+  return Number((prompt.match(/Total Marks: (\d+)/) || [])[1]) || 100;
+}
+
+// Fill-in-the-blank questions from the document's sentences; the blanked term
+// is the correct option and other terms from the document are the distractors
+function quizQuestions(content, subject, seed) {
+  const body = content
+    .replace(/^(Document Title|Subject|Document):.*$/gm, '')
+    .replace(/^#+ .*$/gm, '')
+    .replace(/\[Page \d+\]/g, '');
+  const candidates = sentences(body).filter(sentence => sentence.length >= 40 && sentence.length <= 220);
+  const terms = [...new Set(body.match(/\b[A-Za-z][A-Za-z-]{5,}\b/g) || [])]
+    .filter(term => tokenize(term).length > 0);
+
+  const questions = [];
+  for (const sentence of candidates) {
+    const term = (sentence.match(/\b[A-Za-z][A-Za-z-]{5,}\b/g) || [])
+      .filter(word => terms.includes(word))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!term) continue;
+
+    // Terms from other sentences, rotated so each question gets different distractors
+    const others = terms
+      .filter(other => !sentence.includes(other))
+      .sort((a, b) => b.length - a.length);
+    const distractors = others.length > 3
+      ? [0, 1, 2].map(offset => others[(questions.length * 3 + offset) % others.length])
+      : others;
+    while (distractors.length < 3) {
+      distractors.push(['None of these', 'Not stated', 'Cannot be determined'][distractors.length]);
+    }
+
+    const correct = (seed + questions.length) % 4;
+    const options = [...distractors];
+    options.splice(correct, 0, term);
+
+    questions.push({
+      question: `Fill in the blank: ${sentence.replace(new RegExp(`\\b${term}\\b`), '_____')}`,
+      options,
+      correct_answer: correct
+    });
+    if (questions.length === 5) break;
+  }
+
+  if (questions.length > 0) return questions;
+
+  return [{
+    question: `Which study habit helps most when revising ${subject}?`,
+    options: ['Skipping the examples', 'Practising with questions', 'Reading only the titles', 'Studying the night before'],
+    correct_answer: 1
+  }];
+}
+
+// Study guide from the "## Section\nsummary" outline
+function studyGuide(outline) {
+  const sections = outline.split(/\n\n(?=## )/).map(block => {
+    const [title, ...rest] = block.replace(/^## /, '').split('\n');
+    return { title: title.trim(), summary: rest.join(' ').trim() };
+  }).filter(section => section.summary);
+
+  const prose = sections.map(section => section.summary).join(' ');
+  const frequency = new Map();
+  (prose.match(/\b[A-Za-z][A-Za-z-]{5,}\b/g) || []).forEach(word => {
+    if (tokenize(word).length > 0) frequency.set(word, (frequency.get(word) || 0) + 1);
+  });
+  const keyTerms = [...frequency.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 5)
+    .map(([term]) => ({
+      term,
+      definition: sentences(prose).find(sentence => sentence.includes(term)) || 'A term used in the document.'
+    }));
+
+  return {
+    keyTerms,
+    mainIdeas: sections.map(section => sentences(section.summary)[0]).filter(Boolean).slice(0, 6),
+    reviewQuestions: sections.slice(0, 5).map(section => ({
+      question: `What are the main points of "${section.title}"?`,
+      answer: sentences(section.summary).slice(0, 2).join(' ')
+    }))
+  };
+}
+
+function sentences(text) {
+  return (text || '')
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => /[A-Za-z]/.test(sentence));
+}
+
+// The user's own question inside a wrapped chat prompt
+function questionIn(prompt) {
+  const question = (prompt.match(/(?:Teacher's question|Student's question|^Question): (.+)/m) || [])[1]
+    || prompt.split('\n').filter(Boolean).pop()
+    || '';
+  return question.trim().substring(0, 120);
+}
@@ -0,0 +1,65 @@
+import { MockLLM } from '../rag/mockLLM';
+import { MOCK_FIXTURES, hashText } from './mockFixtures';
+
+// Offline provider for development and demos. Answers come from the scripted
+// fixtures in mockFixtures.js, so chat, RAG, quiz generation, OCR and grading
+// all work without credentials and give the same result for the same input.
+// config.fixtures are tried before the built-in ones; `calls` records which
+// fixture answered each request.
+export class MockProvider {
+  constructor(config = {}) {
+    this.name = 'mock';
+    this.model = config.model || 'mock-edubot';
+    this.visionModel = config.visionModel || this.model;
+    this.delayMs = config.delayMs ?? 20;
+    this.fixtures = [...(config.fixtures || []), ...MOCK_FIXTURES];
+    this.ragModel = new MockLLM();
+    this.calls = [];
+  }
+
+  async chat(messages) {
+    return this.respond(messages);
+  }
+
+  // Streams the answer word by word, like a real provider
+  async *streamChat(messages, { signal = null } = {}) {
+    const text = this.respond(messages);
+
+    for (const word of text.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) {
+        throw new DOMException('The stream was cancelled', 'AbortError');
+      }
+      await new Promise(resolve => setTimeout(resolve, this.delayMs));
+      yield word;
+    }
+  }
+
+  respond(messages) {
+    const { prompt, image } = this.readMessages(messages);
+    const fixture = this.fixtures.find(candidate =>
+      candidate.pattern.test(prompt) && (candidate.image === undefined || candidate.image === !!image)
+    );
+
+    this.calls.push({ fixture: fixture.name, prompt: prompt.substring(0, 200), hasImage: !!image });
+    console.log(`🧪 Mock provider answered with the "${fixture.name}" fixture`);
+
+    return fixture.respond(prompt, {
+      image,
+      seed: hashText(image || prompt),
+      ragModel: this.ragModel
+    });
+  }
+
+  // Text and image of the last user message
+  readMessages(messages) {
+    const content = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    if (!Array.isArray(content)) {
+      return { prompt: content, image: null };
+    }
+
+    return {
+      prompt: content.filter(part => part.type === 'text').map(part => part.text).join('\n'),
+      image: content.find(part => part.type === 'image_url')?.image_url.url || null
+    };
+  }
+}
@@ -0,0 +1,87 @@
+import { postJSON, readJSONLines, parseUsage } from './http';
+
+// A local Ollama server's native /api/chat endpoint. Ollama takes images as a
+// list of bare base64 strings next to the message text, so image_url parts are
+// converted. The browser origin must be allowed with OLLAMA_ORIGINS.
+export class OllamaProvider {
+  constructor(config = {}, { retry = fn => fn() } = {}) {
+    this.name = 'ollama';
+    this.baseUrl = (config.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+    this.model = config.model || 'llama3.2-vision';
+    this.visionModel = config.visionModel || this.model;
+    this.retry = retry;
+  }
+
+  async chat(messages, options = {}) {
+    const data = await this.retry(async () => {
+      // Local models load on first use, which can take a while
+      const response = await this.request(messages, options, { signal: options.signal, timeoutMs: 120000 });
+      return response.json();
+    }, options);
+
+    if (data.error) {
+      throw new Error(`API Error (ollama): ${data.error}`);
+    }
+
+    const usage = parseUsage(data);
+    if (usage) options.onUsage?.(usage);
+    return data.message?.content || '';
+  }
+
+  // Only opening the stream is retried; once tokens have arrived a retry would repeat them
+  async *streamChat(messages, options = {}) {
+    let releaseSlot = null;
+    const response = await this.retry(holdSlot => {
+      releaseSlot = holdSlot?.(); // The scheduler slot stays taken while the answer streams
+      return this.request(messages, { ...options, stream: true }, {
+        accept: 'application/x-ndjson',
+        signal: options.signal,
+        timeoutMs: null
+      });
+    }, options);
+    console.log('Ollama stream opened');
+
+    try {
+      for await (const chunk of readJSONLines(response.body)) {
+        if (chunk.error) {
+          throw new Error(`API Error (stream): ${chunk.error}`);
+        }
+        if (chunk.message?.content) yield chunk.message.content;
+        if (chunk.done) {
+          // The final line carries the token counts
+          const usage = parseUsage(chunk);
+          if (usage) options.onUsage?.(usage);
+          return;
+        }
+      }
+    } finally {
+      releaseSlot?.();
+    }
+  }
+
+  request(messages, { model = this.model, maxTokens = 1200, temperature = 0.7, stream = false }, requestOptions) {
+    return postJSON(`${this.baseUrl}/api/chat`, {
+      model,
+      messages: messages.map(message => this.toOllamaMessage(message)),
+      stream,
+      options: {
+        num_predict: maxTokens,
+        temperature
+      }
+    }, requestOptions);
+  }
+
+  toOllamaMessage({ role, content }) {
+    if (!Array.isArray(content)) {
+      return { role, content };
+    }
+
+    return {
+      role,
+      content: content.filter(part => part.type === 'text').map(part => part.text).join('\n'),
+      images: content
+        .filter(part => part.type === 'image_url')
+        .map(part => part.image_url.url.replace(/^data:[^;]+;base64,/, ''))
+    };
+  }
+}
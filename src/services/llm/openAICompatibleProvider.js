@@ -0,0 +1,59 @@
+import { postJSON, readEventStream, parseUsage } from './http';
+
+// Any endpoint that speaks the OpenAI chat completions API: OpenAI, Azure
+// OpenAI, vLLM, LM Studio, llama.cpp server, LocalAI, Ollama's /v1 route...
+// Messages are already in the OpenAI shape, images as image_url parts.
+export class OpenAICompatibleProvider {
+  constructor(config = {}, { retry = fn => fn() } = {}) {
+    this.name = 'openai';
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || null;
+    this.model = config.model || 'gpt-4o-mini';
+    this.visionModel = config.visionModel || this.model;
+    this.retry = retry;
+  }
+
+  async chat(messages, options = {}) {
+    const data = await this.retry(async () => {
+      const response = await this.request(messages, options, { signal: options.signal, timeoutMs: 60000 });
+      return response.json();
+    }, options);
+
+    const usage = parseUsage(data);
+    if (usage) options.onUsage?.(usage);
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  // Only opening the stream is retried; once tokens have arrived a retry would repeat them
+  async *streamChat(messages, options = {}) {
+    let releaseSlot = null;
+    const response = await this.retry(holdSlot => {
+      releaseSlot = holdSlot?.(); // The scheduler slot stays taken while the answer streams
+      return this.request(messages, { ...options, stream: true }, {
+        accept: 'text/event-stream',
+        signal: options.signal,
+        timeoutMs: null
+      });
+    }, options);
+    console.log('OpenAI-compatible stream opened');
+
+    try {
+      yield* readEventStream(response.body, options.onUsage);
+    } finally {
+      releaseSlot?.();
+    }
+  }
+
+  request(messages, { model = this.model, maxTokens = 1200, temperature = 0.7, stream = false }, requestOptions) {
+    return postJSON(`${this.baseUrl}/chat/completions`, {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream
+    }, {
+      ...requestOptions,
+      headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}
+    });
+  }
+}
@@ -0,0 +1,48 @@
+import { WatsonxProvider } from './watsonxProvider';
+import { OpenAICompatibleProvider } from './openAICompatibleProvider';
+import { OllamaProvider } from './ollamaProvider';
+import { MockProvider } from './mockProvider';
+
+// LLM providers behind WatsonxService. Each one turns OpenAI-style chat messages
+// into an answer:
+//
+//   chat(messages, { model, maxTokens, temperature, signal, priority })       -> Promise<string>
+//   streamChat(messages, { model, maxTokens, temperature, signal, priority }) -> async iterator of text deltas
+//
+// and exposes `name`, `model` (default chat model) and `visionModel` (used when
+// a message carries an image). Providers that learn the token counts pass
+// { inputTokens, outputTokens } to options.onUsage.
+export const LLM_PROVIDERS = {
+  watsonx: WatsonxProvider,
+  openai: OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+// Provider settings from the environment; see .env.example
+export function getLLMConfig(env = import.meta.env) {
+  const provider = env.VITE_LLM_PROVIDER || 'watsonx';
+
+  return {
+    provider,
+    baseUrl: env.VITE_LLM_BASE_URL || null,
+    // watsonx credentials stay with server/aiProxy.js; VITE_ variables end up in the bundle
+    apiKey: provider === 'watsonx' ? null : env.VITE_LLM_API_KEY,
+    model: env.VITE_LLM_MODEL || null,
+    visionModel: env.VITE_LLM_VISION_MODEL || null
+  };
+}
+
+// options.retry(fn, { priority, signal }) runs each request, e.g. through the
+// RequestScheduler in WatsonxService. Streams call fn's holdSlot() argument, when
+// given, and free the slot once the stream ends;
+// options.getSessionToken resolves to the signed-in user's Supabase access token
+export function createLLMProvider(config = getLLMConfig(), options = {}) {
+  const Provider = LLM_PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Use one of: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+
+  console.log(`🤖 Using ${config.provider} LLM provider`);
+  return new Provider(config, options);
+}
@@ -0,0 +1,239 @@
+// Central queue for AI requests. Every provider call goes through schedule(),
+// which enforces:
+//   - priority classes: interactive (chat) before background (indexing, quiz
+//     generation) before batch (OCR jobs, grading); FIFO within a class
+//   - a concurrency cap, overall and per class. A stream keeps its slot until
+//     it has been read to the end or cancelled, not just until it opens
+//   - a token bucket: `burst` requests at once, refilled at `requestsPerMinute`
+//   - retries with exponential backoff, waiting out Retry-After instead when
+//     the service sends one. A 429 pauses the whole queue, since the limit is
+//     shared by every caller. A Retry-After longer than maxRetryAfter seconds
+//     (a spent daily quota) fails the request instead.
+export const PRIORITIES = ['interactive', 'background', 'batch'];
+
+export class RequestScheduler {
+  constructor(config = {}) {
+    this.config = {
+      maxConcurrent: 4,
+      maxConcurrentPerPriority: { background: 2, batch: 2 },
+      requestsPerMinute: 30,
+      burst: 5,
+      maxRetries: 2,
+      baseDelay: 3000,
+      maxRetryAfter: 60,
+      ...config
+    };
+
+    this.queues = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+    this.active = Object.fromEntries(PRIORITIES.map(priority => [priority, 0]));
+    this.tokens = this.config.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.listeners = new Set();
+    this.stats = { completed: 0, failed: 0, retried: 0, rateLimited: 0, totalWaitMs: 0, started: 0 };
+  }
+
+  // Run fn once a slot and a rate token are free. options: { priority, signal, maxRetries }
+  // fn is called with holdSlot(): calling it keeps the slot taken after fn resolves
+  // and returns the function that frees it (ignored when fn fails)
+  schedule(fn, { priority = 'interactive', signal = null, maxRetries = this.config.maxRetries } = {}) {
+    if (!this.queues[priority]) {
+      throw new Error(`Unknown request priority "${priority}". Use one of: ${PRIORITIES.join(', ')}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('The request was cancelled', 'AbortError'));
+        return;
+      }
+
+      const request = { fn, priority, signal, maxRetries, attempt: 0, resolve, reject, queuedAt: Date.now() };
+
+      // Drop a request that is cancelled while it waits in the queue or for a
+      // retry; a running request sees the signal itself
+      request.onAbort = () => {
+        const queue = this.queues[priority];
+        const index = queue.indexOf(request);
+        if (index !== -1) {
+          queue.splice(index, 1);
+        } else if (request.retryTimer) {
+          clearTimeout(request.retryTimer);
+        } else {
+          return;
+        }
+        reject(new DOMException('The request was cancelled', 'AbortError'));
+        this.emitMetrics();
+      };
+      signal?.addEventListener('abort', request.onAbort, { once: true });
+
+      this.enqueue(request);
+    });
+  }
+
+  enqueue(request) {
+    this.queues[request.priority].push(request);
+    this.emitMetrics();
+    this.pump();
+  }
+
+  // Start as many queued requests as the limits allow
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (true) {
+      const now = Date.now();
+      if (this.pausedUntil > now) {
+        this.wakeAt(this.pausedUntil);
+        return;
+      }
+
+      const request = this.nextRequest();
+      if (!request) return;
+
+      this.refill(now);
+      if (this.tokens < 1) {
+        this.wakeAt(now + (1 - this.tokens) * 60000 / this.config.requestsPerMinute);
+        return;
+      }
+
+      this.tokens -= 1;
+      this.queues[request.priority].shift();
+      this.run(request);
+    }
+  }
+
+  // First request of the highest class that is below its concurrency cap
+  nextRequest() {
+    const totalActive = PRIORITIES.reduce((sum, priority) => sum + this.active[priority], 0);
+    if (totalActive >= this.config.maxConcurrent) return null;
+
+    for (const priority of PRIORITIES) {
+      const cap = this.config.maxConcurrentPerPriority[priority] ?? this.config.maxConcurrent;
+      if (this.queues[priority].length > 0 && this.active[priority] < cap) {
+        return this.queues[priority][0];
+      }
+    }
+    return null;
+  }
+
+  async run(request) {
+    this.active[request.priority]++;
+    this.stats.started++;
+    this.stats.totalWaitMs += Date.now() - request.queuedAt;
+    this.emitMetrics();
+
+    let held = false;
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      this.active[request.priority]--;
+      this.emitMetrics();
+      this.pump();
+    };
+    const holdSlot = () => {
+      held = true;
+      return release;
+    };
+
+    try {
+      const result = await request.fn(holdSlot);
+      request.signal?.removeEventListener('abort', request.onAbort);
+      this.stats.completed++;
+      request.resolve(result);
+    } catch (error) {
+      held = false;
+      this.handleFailure(request, error);
+    } finally {
+      if (!held) release();
+    }
+  }
+
+  handleFailure(request, error) {
+    if (error.status === 429) {
+      this.stats.rateLimited++;
+    }
+
+    const waitTooLong = error.retryAfter != null && error.retryAfter > this.config.maxRetryAfter;
+    if (request.attempt >= request.maxRetries || !this.isRetryable(error) || waitTooLong || request.signal?.aborted) {
+      request.signal?.removeEventListener('abort', request.onAbort);
+      this.stats.failed++;
+      request.reject(error);
+      return;
+    }
+
+    const delay = error.retryAfter != null
+      ? error.retryAfter * 1000
+      : this.config.baseDelay * Math.pow(2, request.attempt);
+
+    if (error.status === 429) {
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+    }
+
+    request.attempt++;
+    this.stats.retried++;
+    console.log(`⏳ AI request attempt ${request.attempt} failed, retrying in ${delay}ms...`);
+
+    request.retryTimer = setTimeout(() => {
+      request.retryTimer = null;
+      request.queuedAt = Date.now();
+      this.enqueue(request);
+    }, delay);
+  }
+
+  // Cancellations, rejected credentials and bad requests fail for good;
+  // rate limits, server errors and network failures are retried
+  isRetryable(error) {
+    if (error.name === 'AbortError') return false;
+    if (error.status) {
+      return error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+    return !/\b(400|401|403|404|413|422)\b/.test(error.message || '');
+  }
+
+  refill(now) {
+    const elapsed = now - this.lastRefill;
+    this.tokens = Math.min(this.config.burst, this.tokens + elapsed * this.config.requestsPerMinute / 60000);
+    this.lastRefill = now;
+  }
+
+  wakeAt(time) {
+    this.timer = setTimeout(() => this.pump(), Math.max(0, time - Date.now()));
+  }
+
+  // Queue depth per class, running requests and totals since the page loaded
+  getMetrics() {
+    const queued = Object.fromEntries(PRIORITIES.map(priority => [priority, this.queues[priority].length]));
+    return {
+      queued,
+      queueDepth: PRIORITIES.reduce((sum, priority) => sum + queued[priority], 0),
+      active: { ...this.active },
+      pausedUntil: this.pausedUntil > Date.now() ? this.pausedUntil : null,
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      retried: this.stats.retried,
+      rateLimited: this.stats.rateLimited,
+      averageWaitMs: this.stats.started > 0 ? Math.round(this.stats.totalWaitMs / this.stats.started) : 0
+    };
+  }
+
+  // Call listener with the metrics whenever they change; returns an unsubscribe function
+  onMetrics(listener) {
+    this.listeners.add(listener);
+    listener(this.getMetrics());
+    return () => this.listeners.delete(listener);
+  }
+
+  emitMetrics() {
+    if (this.listeners.size === 0) return;
+    const metrics = this.getMetrics();
+    this.listeners.forEach(listener => listener(metrics));
+  }
+
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+    this.pump();
+  }
+}
@@ -0,0 +1,274 @@
+// Usage metering and daily quotas for AI requests. WatsonxService runs every
+// provider call through track() or trackStream(), which:
+//   - refuses the call with a QuotaExceededError once the user has used their
+//     role's daily requests or tokens (days start at UTC midnight, like the AI proxy's)
+//   - records user, feature, model, input/output tokens, latency and outcome.
+//     Token counts come from the provider when it reports them and are
+//     estimated from the text otherwise. Providers with `recordsUsage` (watsonx
+//     through the AI proxy) are recorded, and held to the quotas, on the server;
+//     the meter then only keeps its local totals
+//
+// Storage is passed in, so the meter has no database dependency:
+//   getUser()                    -> { id, role } of the signed-in user, or null (not metered)
+//   getQuotas()                  -> [{ role, daily_requests, daily_tokens }]; null limits are unlimited
+//   getUsageTotals(userId, since) -> { requests, tokens } used since the ISO time
+//   recordUsage(entry)           -> saves one ai_usage row
+export const AI_FEATURES = ['chat', 'ocr', 'grading', 'quiz', 'summary', 'indexing', 'rewrite', 'rerank', 'grounding'];
+
+// Quota errors keep their name across the RAG worker boundary, like AbortError does
+export function isQuotaError(error) {
+  return error?.name === 'QuotaExceededError';
+}
+
+// What to tell someone who has used up their allowance, with the reset time in
+// their timezone. Errors from the RAG worker arrive without error.quota.
+export function describeQuotaError(error) {
+  const resetsAt = new Date(error?.quota?.resetsAt || getNextQuotaReset());
+  const time = resetsAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `You've used today's AI allowance. It resets at ${time}.`;
+}
+
+// Quota days start at UTC midnight
+export function getNextQuotaReset(now = Date.now()) {
+  const day = new Date(now).toISOString().slice(0, 10);
+  return Date.parse(`${day}T00:00:00.000Z`) + 24 * 60 * 60 * 1000;
+}
+
+// Rough token count for providers that don't report usage: about four characters per token
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Estimated input tokens of chat messages, counting the text parts only
+export function estimateMessageTokens(messages = []) {
+  return messages.reduce((sum, message) => {
+    const text = Array.isArray(message.content)
+      ? message.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+      : message.content;
+    return sum + estimateTokens(text);
+  }, 0);
+}
+
+// Whether any of the chat messages carries an image
+export function hasImageContent(messages = []) {
+  return messages.some(message => Array.isArray(message.content) && message.content.some(part => part.type === 'image_url'));
+}
+
+export class UsageMeter {
+  constructor({
+    getUser = async () => null,
+    getQuotas = async () => [],
+    getUsageTotals = async () => null,
+    recordUsage = async () => {},
+    quotaRefreshMs = 5 * 60 * 1000
+  } = {}) {
+    this.getUser = getUser;
+    this.getQuotas = getQuotas;
+    this.getUsageTotals = getUsageTotals;
+    this.recordUsage = recordUsage;
+    this.quotaRefreshMs = quotaRefreshMs;
+
+    this.quotas = null;
+    this.quotasLoadedAt = 0;
+    this.today = null; // { day, userId, requests, tokens } for the signed-in user
+    this.todayLoads = new Map(); // userId -> pending load of today's totals
+  }
+
+  // Run one request. request: { feature, provider, model, messages };
+  // run(onUsage) makes the call, and the provider reports { inputTokens, outputTokens } through onUsage
+  async track(request, run) {
+    const context = await this.begin(request);
+    let usage = null;
+
+    try {
+      const result = await run(reported => { usage = reported; });
+      this.finish(context, { usage, output: result, completed: true });
+      return result;
+    } catch (error) {
+      this.finish(context, { usage, error: this.normalizeError(error) });
+      throw error;
+    }
+  }
+
+  // Streaming variant: open(onUsage) returns the provider's async iterator of text deltas
+  async *trackStream(request, open) {
+    const context = await this.begin(request);
+    let usage = null;
+    let output = '';
+    let completed = false;
+    let failure = null;
+
+    try {
+      for await (const delta of open(reported => { usage = reported; })) {
+        output += delta;
+        yield delta;
+      }
+      completed = true;
+    } catch (error) {
+      failure = this.normalizeError(error);
+      throw error;
+    } finally {
+      // A consumer that stops reading early cancelled the answer
+      this.finish(context, { usage, output, completed, error: failure });
+    }
+  }
+
+  async begin(request) {
+    const user = await this.getUser();
+    const context = { user, request, startedAt: Date.now() };
+    if (!user) return context;
+
+    const totals = await this.loadToday(user);
+    const quota = await this.getQuota(user.role);
+    const exceeded = this.findExceededLimit(quota, totals);
+
+    if (exceeded) {
+      const error = this.createQuotaError(exceeded, user.role);
+      this.finish(context, { error });
+      throw error;
+    }
+
+    // Counted up front so parallel batch requests can't all slip under the limit
+    totals.requests++;
+    return context;
+  }
+
+  findExceededLimit(quota, totals) {
+    if (!quota) return null;
+
+    if (quota.daily_requests != null && totals.requests >= quota.daily_requests) {
+      return { kind: 'requests', used: totals.requests, limit: quota.daily_requests };
+    }
+    if (quota.daily_tokens != null && totals.tokens >= quota.daily_tokens) {
+      return { kind: 'tokens', used: totals.tokens, limit: quota.daily_tokens };
+    }
+    return null;
+  }
+
+  createQuotaError({ kind, used, limit }, role) {
+    const resetsAt = getNextQuotaReset();
+    const error = new Error(`Daily AI ${kind === 'requests' ? 'request' : 'token'} limit for ${role}s reached (${used} of ${limit})`);
+    error.name = 'QuotaExceededError';
+    error.status = 429;
+    error.retryAfter = Math.ceil((resetsAt - Date.now()) / 1000);
+    error.quota = { kind, used, limit, role, resetsAt: new Date(resetsAt).toISOString() };
+    return error;
+  }
+
+  // The AI proxy answers a spent daily allowance with a 429 that asks to wait
+  // hours rather than seconds; treat that as a quota error too
+  normalizeError(error) {
+    if (!isQuotaError(error) && error?.status === 429 && error.retryAfter > 60) {
+      error.name = 'QuotaExceededError';
+      error.quota = { resetsAt: new Date(Date.now() + error.retryAfter * 1000).toISOString() };
+    }
+    return error;
+  }
+
+  finish({ user, request, startedAt }, { usage = null, output = '', completed = false, error = null }) {
+    const entry = {
+      feature: AI_FEATURES.includes(request.feature) ? request.feature : 'chat',
+      provider: request.provider?.name || 'unknown',
+      model: request.model || null,
+      input_tokens: usage?.inputTokens ?? estimateMessageTokens(request.messages),
+      output_tokens: usage?.outputTokens ?? estimateTokens(output),
+      tokens_estimated: !usage,
+      has_image: hasImageContent(request.messages),
+      latency_ms: Date.now() - startedAt,
+      outcome: this.getOutcome(error, completed),
+      error_message: error && !completed ? error.message.substring(0, 500) : null
+    };
+
+    if (entry.outcome === 'quota_exceeded') {
+      entry.input_tokens = 0;
+      entry.output_tokens = 0;
+    }
+
+    console.log(`📊 AI ${entry.feature} (${entry.model}): ${entry.input_tokens} in / ${entry.output_tokens} out tokens${entry.tokens_estimated ? ' (estimated)' : ''}, ${entry.latency_ms}ms, ${entry.outcome}`);
+
+    if (!user) return;
+
+    if (this.today?.userId === user.id && entry.outcome !== 'quota_exceeded') {
+      this.today.tokens += entry.input_tokens + entry.output_tokens;
+    }
+
+    if (request.provider?.recordsUsage) return;
+
+    // The row's role is filled in from the users table
+    this.recordUsage({ ...entry, user_id: user.id })
+      .catch(recordError => console.warn('Could not record AI usage:', recordError));
+  }
+
+  getOutcome(error, completed) {
+    if (completed) return 'success';
+    if (isQuotaError(error)) return 'quota_exceeded';
+    if (error && error.name !== 'AbortError') return 'error';
+    return 'cancelled';
+  }
+
+  // Today's totals for the user, loaded once per day and then counted locally.
+  // Loads are kept per user, so a request never waits on (or gets) another user's totals.
+  async loadToday(user) {
+    const day = new Date().toISOString().slice(0, 10);
+    const isCurrent = () => this.today?.day === day && this.today.userId === user.id;
+    if (isCurrent()) return this.today;
+
+    if (!this.todayLoads.has(user.id)) {
+      this.todayLoads.set(user.id, (async () => {
+        let totals = null;
+        try {
+          totals = await this.getUsageTotals(user.id, `${day}T00:00:00.000Z`);
+        } catch (error) {
+          console.warn('Could not load today\'s AI usage:', error);
+        }
+        return { day, userId: user.id, requests: totals?.requests || 0, tokens: totals?.tokens || 0 };
+      })().finally(() => {
+        this.todayLoads.delete(user.id);
+      }));
+    }
+
+    const totals = await this.todayLoads.get(user.id);
+    // Check again: another request may have installed this user's totals meanwhile
+    if (!isCurrent()) this.today = totals;
+    return this.today;
+  }
+
+  async getQuota(role) {
+    if (!this.quotas || Date.now() - this.quotasLoadedAt > this.quotaRefreshMs) {
+      try {
+        const rows = await this.getQuotas();
+        this.quotas = Object.fromEntries((rows || []).map(row => [row.role, row]));
+      } catch (error) {
+        console.warn('Could not load AI quotas, requests are not limited:', error);
+        this.quotas = {};
+      }
+      this.quotasLoadedAt = Date.now();
+    }
+    return this.quotas[role] || null;
+  }
+
+  // Load the quotas again on the next request, e.g. after a teacher changed them
+  invalidateQuotas() {
+    this.quotas = null;
+  }
+
+  // The signed-in user's usage today against their quota, for showing what is left
+  async getStatus() {
+    const user = await this.getUser();
+    if (!user) return null;
+
+    const totals = await this.loadToday(user);
+    const quota = await this.getQuota(user.role);
+
+    return {
+      role: user.role,
+      requests: totals.requests,
+      tokens: totals.tokens,
+      dailyRequests: quota?.daily_requests ?? null,
+      dailyTokens: quota?.daily_tokens ?? null,
+      remainingRequests: quota?.daily_requests != null ? Math.max(0, quota.daily_requests - totals.requests) : null,
+      exceeded: !!this.findExceededLimit(quota, totals),
+      resetsAt: new Date(getNextQuotaReset()).toISOString()
+    };
+  }
+}
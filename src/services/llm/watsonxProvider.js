@@ -0,0 +1,171 @@
+import { postJSON, readEventStream, parseUsage } from './http';
+
+// IBM watsonx.ai chat through server/aiProxy.js, which holds the API key and
+// project ID so neither is bundled into the client. /api/iam exchanges the
+// user's Supabase access token (from options.getSessionToken) for a proxy
+// session token, cached until five minutes before it expires. The proxy checks
+// the quotas and records usage itself; options.feature tells it what for.
+export class WatsonxProvider {
+  constructor(config = {}, { retry = fn => fn(), getSessionToken = async () => null } = {}) {
+    this.name = 'watsonx';
+    this.recordsUsage = true; // UsageMeter leaves the ai_usage rows to the proxy
+    this.model = config.model || 'meta-llama/llama-3-2-90b-vision-instruct';
+    this.visionModel = config.visionModel || this.model;
+    // Smaller model for the connectivity check in WatsonxService.analyzeImage
+    this.diagnosticModel = 'meta-llama/llama-3-2-11b-vision-instruct';
+    this.chatUrl = config.chatUrl || '/api/watsonx';
+    this.streamUrl = config.streamUrl || '/api/watsonx-stream';
+    this.iamUrl = config.iamUrl || '/api/iam';
+    this.retry = retry;
+    this.getSessionToken = getSessionToken;
+
+    this.accessTokenCache = {
+      token: null,
+      expiry: null
+    };
+  }
+
+  // messages: OpenAI-style chat messages; user content may be an array of
+  // text and image_url parts. options.onUsage gets the token counts.
+  async chat(messages, options = {}) {
+    const data = await this.retry(async () => {
+      const response = await this.request(this.chatUrl, messages, options, { signal: options.signal, timeoutMs: 60000 });
+      return response.json();
+    }, options);
+
+    const usage = parseUsage(data);
+    if (usage) options.onUsage?.(usage);
+
+    if (data.results && data.results.length > 0) {
+      return data.results[0].generated_text || '';
+    }
+    if (data.choices && data.choices.length > 0) {
+      return data.choices[0].message?.content || data.choices[0].text || '';
+    }
+    return '';
+  }
+
+  // Async iterator of text deltas from the chat_stream endpoint. Only opening
+  // the stream is retried; once tokens have arrived a retry would repeat them.
+  async *streamChat(messages, options = {}) {
+    let releaseSlot = null;
+    const response = await this.retry(holdSlot => {
+      releaseSlot = holdSlot?.(); // The scheduler slot stays taken while the answer streams
+      return this.request(this.streamUrl, messages, options, {
+        accept: 'text/event-stream',
+        signal: options.signal,
+        timeoutMs: null
+      });
+    }, options);
+    console.log('Watsonx stream opened');
+
+    try {
+      yield* readEventStream(response.body, options.onUsage);
+    } finally {
+      releaseSlot?.();
+    }
+  }
+
+  async request(url, messages, options, requestOptions) {
+    const accessToken = await this.getIAMToken();
+
+    try {
+      return await postJSON(url, this.buildRequestBody(messages, options), {
+        ...requestOptions,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          ...(options.feature ? { 'X-AI-Feature': options.feature } : {})
+        }
+      });
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        this.clearToken();
+      }
+      console.error('Watsonx API error details:', error.message);
+      throw error;
+    }
+  }
+
+  buildRequestBody(messages, { model = this.model, maxTokens = 1200, temperature = 0.7 } = {}) {
+    return {
+      model_id: model,
+      messages,
+      parameters: {
+        max_tokens: maxTokens,
+        temperature,
+        top_p: 1,
+        frequency_penalty: 0,
+        presence_penalty: 0
+      }
+    };
+  }
+
+  async getIAMToken() {
+    // Check if we have a valid cached token
+    if (this.accessTokenCache.token && this.accessTokenCache.expiry > Date.now()) {
+      return this.accessTokenCache.token;
+    }
+
+    console.log('Getting new IAM token...');
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 15000);
+
+    try {
+      const response = await fetch(this.iamUrl, {
+        method: 'POST',
+        ...(await this.tokenRequest()),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('IAM token request failed:', response.status, errorText);
+        throw new Error(`Authentication failed: IAM authentication failed (${response.status}): ${errorText}`);
+      }
+
+      const data = await response.json();
+
+      if (!data.access_token) {
+        throw new Error('Authentication failed: No access token received from IAM service');
+      }
+
+      // Cache the token with expiry (subtract 5 minutes for safety)
+      this.accessTokenCache.token = data.access_token;
+      this.accessTokenCache.expiry = Date.now() + ((data.expires_in - 300) * 1000);
+
+      console.log('IAM token obtained successfully');
+      return data.access_token;
+    } catch (error) {
+      this.clearToken();
+
+      if (error.name === 'AbortError') {
+        throw new Error('Authentication timeout - please check your internet connection');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // The proxy issues its session token for the signed-in user's Supabase session
+  async tokenRequest() {
+    const sessionToken = await this.getSessionToken();
+    if (!sessionToken) {
+      const error = new Error('Authentication failed: sign in to use the AI assistant');
+      error.status = 401;
+      throw error;
+    }
+    return {
+      headers: {
+        'Accept': 'application/json',
+        'Authorization': `Bearer ${sessionToken}`
+      }
+    };
+  }
+
+  clearToken() {
+    this.accessTokenCache.token = null;
+    this.accessTokenCache.expiry = null;
+  }
+}
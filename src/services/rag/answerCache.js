@@ -0,0 +1,182 @@
+import { DatabaseService } from '../supabase';
+
+// Semantic cache of RAG answers. A question is answered from the cache when an
+// earlier question in the same scope had an embedding at least `threshold` similar.
+// The scope is the document-set hash, the embedding model and anything else that
+// changes the answer (filters, ELI5 instructions), so new or edited documents never
+// serve old answers. It also names the signed-in user: the pipeline lives on across
+// sign-outs, and entries in memory must not reach the next person at the computer.
+// Entries expire after ttlMs.
+//
+// With `persist` the entries are also stored in Supabase, so a user's cached answers
+// survive reloads and follow them to other devices. Row level security only returns
+// the user's own rows: answers are written by the browser, so one user's entries
+// must never be served to another. Each scope is fetched at most once per refreshMs;
+// between fetches only local entries are compared.
+export class SemanticAnswerCache {
+  constructor(embeddingManager, config = {}) {
+    this.embeddingManager = embeddingManager; // For the backend's similarity measure
+    this.config = {
+      threshold: 0.92,
+      ttlMs: 24 * 60 * 60 * 1000,
+      maxEntries: 500,
+      persist: false,
+      refreshMs: 60 * 1000,
+      ...config
+    };
+    this.entries = [];
+    this.fetchedScopes = new Map(); // scope -> time it was last fetched from Supabase
+    this.hits = 0;
+    this.misses = 0;
+    this.currentDocumentHash = null;
+  }
+
+  makeScope(documentHash, context = {}) {
+    const options = Object.entries(context)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join('&');
+    return `${documentHash}|${this.embeddingManager.getModelId()}|${options}`;
+  }
+
+  // Best live entry of the scope at or above the threshold: { entry, similarity } or null
+  async lookup(embedding, scope) {
+    this.removeExpired();
+
+    let match = this.findBest(embedding, scope);
+
+    if (!match && this.config.persist && this.shouldFetch(scope)) {
+      await this.fetchScope(scope);
+      match = this.findBest(embedding, scope);
+    }
+
+    if (match) {
+      this.hits++;
+      match.entry.hits++;
+    } else {
+      this.misses++;
+    }
+    return match;
+  }
+
+  findBest(embedding, scope) {
+    let best = null;
+
+    this.entries.forEach(entry => {
+      if (entry.scope !== scope) return;
+      const similarity = this.embeddingManager.calculateSimilarity(embedding, entry.embedding);
+      if (similarity >= this.config.threshold && (!best || similarity > best.similarity)) {
+        best = { entry, similarity };
+      }
+    });
+
+    return best;
+  }
+
+  shouldFetch(scope) {
+    const fetchedAt = this.fetchedScopes.get(scope);
+    return !fetchedAt || Date.now() - fetchedAt > this.config.refreshMs;
+  }
+
+  async fetchScope(scope) {
+    this.fetchedScopes.set(scope, Date.now());
+    const { data, error } = await DatabaseService.getCachedAnswers(scope);
+    if (error) return;
+
+    // Rows come newest first; entries are kept oldest first
+    const known = new Set(this.entries.map(entry => entry.id).filter(Boolean));
+    [...(data || [])]
+      .reverse()
+      .filter(row => !known.has(row.id))
+      .forEach(row => this.addEntry({
+        id: row.id,
+        scope,
+        question: row.question,
+        embedding: row.embedding,
+        result: row.result,
+        createdAt: new Date(row.created_at).getTime(),
+        expiresAt: new Date(row.expires_at).getTime(),
+        hits: 0
+      }));
+  }
+
+  async store(question, embedding, scope, result) {
+    const entry = {
+      id: null,
+      scope,
+      question,
+      embedding,
+      result,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.config.ttlMs,
+      hits: 0
+    };
+    this.addEntry(entry);
+
+    if (this.config.persist) {
+      const { data, error } = await DatabaseService.saveCachedAnswer({
+        scope,
+        question,
+        embedding,
+        result,
+        expires_at: new Date(entry.expiresAt).toISOString()
+      });
+      if (error) {
+        console.warn('⚠️ Could not store the cached answer; it stays cached on this device');
+      } else {
+        entry.id = data.id;
+      }
+    }
+  }
+
+  addEntry(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.config.maxEntries) {
+      // Entries are appended in time order, so this drops the oldest
+      this.entries.splice(0, this.entries.length - this.config.maxEntries);
+    }
+  }
+
+  removeExpired() {
+    const now = Date.now();
+    this.entries = this.entries.filter(entry => entry.expiresAt > now);
+  }
+
+  // Drop every entry made from another document set
+  invalidate(documentHash) {
+    if (documentHash === this.currentDocumentHash) return;
+
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.scope.startsWith(`${documentHash}|`));
+    this.fetchedScopes.clear();
+    this.currentDocumentHash = documentHash;
+
+    if (before > this.entries.length) {
+      console.log(`🧹 Documents changed, dropped ${before - this.entries.length} cached answers`);
+    }
+  }
+
+  clear() {
+    this.entries = [];
+    this.fetchedScopes.clear();
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.length,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : null,
+      threshold: this.config.threshold,
+      ttlHours: this.config.ttlMs / (60 * 60 * 1000),
+      persist: this.config.persist
+    };
+  }
+
+  // Update configuration
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
+}
@@ -0,0 +1,98 @@
+import { tokenize } from './tokenizer';
+
+// Okapi BM25 keyword index over chunks, keyed by chunk id
+export class BM25Index {
+  constructor(config = {}) {
+    this.k1 = config.k1 || 1.2;
+    this.b = config.b ?? 0.75;
+    this.postings = new Map(); // term -> Map(chunkId -> term frequency)
+    this.lengths = new Map(); // chunkId -> token count
+    this.contents = new Map(); // chunkId -> lowercased text, for phrase matching
+    this.totalLength = 0;
+  }
+
+  add(chunkId, content) {
+    if (this.lengths.has(chunkId)) {
+      this.remove(chunkId);
+    }
+
+    const terms = tokenize(content);
+    const termCounts = new Map();
+    terms.forEach(term => termCounts.set(term, (termCounts.get(term) || 0) + 1));
+
+    termCounts.forEach((count, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(chunkId, count);
+    });
+
+    this.lengths.set(chunkId, terms.length);
+    this.contents.set(chunkId, content.toLowerCase());
+    this.totalLength += terms.length;
+  }
+
+  remove(chunkId) {
+    if (!this.lengths.has(chunkId)) return;
+
+    tokenize(this.contents.get(chunkId)).forEach(term => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+      posting.delete(chunkId);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+
+    this.totalLength -= this.lengths.get(chunkId);
+    this.lengths.delete(chunkId);
+    this.contents.delete(chunkId);
+  }
+
+  clear() {
+    this.postings.clear();
+    this.lengths.clear();
+    this.contents.clear();
+    this.totalLength = 0;
+  }
+
+  // Returns [{ chunkId, score }] sorted by descending BM25 score; filter(chunkId)
+  // skips chunks before they are scored
+  search(query, topK = 50, filter = null) {
+    const documentCount = this.lengths.size;
+    if (documentCount === 0) return [];
+
+    const averageLength = this.totalLength / documentCount || 1;
+    const scores = new Map();
+
+    new Set(tokenize(query)).forEach(term => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+
+      const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+
+      posting.forEach((frequency, chunkId) => {
+        if (filter && !filter(chunkId)) return;
+
+        const lengthNorm = 1 - this.b + this.b * (this.lengths.get(chunkId) / averageLength);
+        const termScore = idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+        scores.set(chunkId, (scores.get(chunkId) || 0) + termScore);
+      });
+    });
+
+    // Quoted phrases in the question must appear verbatim to count fully
+    const phrases = [...query.matchAll(/["“]([^"”]+)["”]/g)].map(match => match[1].toLowerCase().trim());
+    if (phrases.length > 0) {
+      scores.forEach((score, chunkId) => {
+        const content = this.contents.get(chunkId);
+        const matched = phrases.filter(phrase => content.includes(phrase)).length;
+        scores.set(chunkId, score * (1 + matched));
+      });
+    }
+
+    return [...scores.entries()]
+      .map(([chunkId, score]) => ({ chunkId, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
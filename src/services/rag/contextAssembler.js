@@ -0,0 +1,127 @@
+import { countTokens, tokenize } from './tokenizer';
+
+// Context windows (tokens) of the chat models the app calls; other models get the default
+export const MODEL_CONTEXT_WINDOWS = {
+  'meta-llama/llama-3-2-90b-vision-instruct': 131072,
+  'meta-llama/llama-3-2-11b-vision-instruct': 131072,
+  'ibm/granite-3-8b-instruct': 131072,
+  'ibm/granite-13b-chat-v2': 8192,
+  default: 8192
+};
+
+export function getContextWindow(model) {
+  return MODEL_CONTEXT_WINDOWS[model] || MODEL_CONTEXT_WINDOWS.default;
+}
+
+// Splits the prompt budget of a model between the fixed parts of the prompt
+// (instructions, question, image analysis), the conversation summary and the
+// passages. Passages are kept in rerank order; the first one that does not fit is
+// condensed to its sentences that best match the question, and the rest are dropped,
+// so passage numbers stay contiguous. The same inputs always give the same prompt.
+export class ContextAssembler {
+  constructor(config = {}) {
+    this.config = {
+      model: null,
+      contextWindow: null, // Overrides the window looked up for the model
+      maxOutputTokens: 1200, // Kept free for the answer
+      reservedTokens: 200, // System prompt and chat template added by the service
+      maxPromptTokens: 6000, // Cap even on large windows, for latency and cost
+      maxImageAnalysisTokens: 400,
+      minPassageTokens: 60, // Smaller leftovers are not worth a condensed passage
+      ...config
+    };
+  }
+
+  // Tokens available for the whole user prompt
+  getBudget() {
+    const window = this.config.contextWindow || getContextWindow(this.config.model);
+    return Math.max(0, Math.min(window - this.config.maxOutputTokens - this.config.reservedTokens, this.config.maxPromptTokens));
+  }
+
+  // Passages that fit in budget tokens. measure(passages) returns the tokens the
+  // formatted passages take in the prompt.
+  fitPassages(passages, query, budget, measure) {
+    const fitted = [];
+
+    for (const passage of passages) {
+      if (measure([...fitted, passage]) <= budget) {
+        fitted.push(passage);
+        continue;
+      }
+
+      const room = budget - measure([...fitted, { ...passage, content: '' }]);
+      if (room >= this.config.minPassageTokens) {
+        const content = this.condense(passage.content, query, room);
+        if (content) {
+          fitted.push({ ...passage, content, truncated: true });
+        }
+      }
+
+      console.log(`✂️ Context budget reached: ${passages.length - fitted.length} passages dropped${fitted[fitted.length - 1]?.truncated ? ', last one condensed' : ''}`);
+      break;
+    }
+
+    return fitted;
+  }
+
+  // Extractive summary within maxTokens: the sentences sharing most terms with the
+  // query (earlier sentences win ties), shown in document order with gaps marked
+  condense(text, query, maxTokens) {
+    const sentences = (text || '').replace(/\s+/g, ' ').trim().match(/[^.!?]+(?:[.!?]+|$)/g) || [];
+    const queryTerms = new Set(tokenize(query));
+
+    const ranked = sentences
+      .map((sentence, index) => ({
+        index,
+        sentence: sentence.trim(),
+        tokens: countTokens(sentence),
+        score: new Set(tokenize(sentence).filter(term => queryTerms.has(term))).size
+      }))
+      .filter(item => item.sentence)
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const picked = [];
+    let used = 0;
+    for (const item of ranked) {
+      // One token for the gap marker that may follow the sentence
+      if (used + item.tokens + 1 <= maxTokens) {
+        picked.push(item);
+        used += item.tokens + 1;
+      }
+    }
+
+    if (picked.length === 0) {
+      return this.truncate(text, maxTokens);
+    }
+
+    picked.sort((a, b) => a.index - b.index);
+    return picked
+      .map((item, position) => {
+        const gap = position < picked.length - 1 && picked[position + 1].index !== item.index + 1;
+        return gap ? `${item.sentence} …` : item.sentence;
+      })
+      .join(' ') + (picked[picked.length - 1].index < sentences.length - 1 ? ' …' : '');
+  }
+
+  // First words of the text within maxTokens
+  truncate(text, maxTokens) {
+    const flat = (text || '').replace(/\s+/g, ' ').trim();
+    if (countTokens(flat) <= maxTokens) return flat;
+
+    const kept = [];
+    let used = 1; // The closing "…"
+    for (const word of flat.split(' ')) {
+      const tokens = countTokens(word);
+      if (used + tokens > maxTokens) break;
+      kept.push(word);
+      used += tokens;
+    }
+
+    return kept.length > 0 ? `${kept.join(' ')} …` : '';
+  }
+
+  // Update configuration
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
+}
@@ -1,59 +1,391 @@
 import { DatabaseService } from '../supabase';
+import { TextExtractor } from './textExtractor';
+import { FigureExtractor } from './figureExtractor';
+import { countTokens } from './tokenizer';
+
+const LIST_ITEM = /^([-*+\u2022\u25aa\u25cf\u25e6]|\d{1,3}[.)]|[a-zA-Z][.)]|\([a-z0-9]{1,4}\))\s+/;
+
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'cf', 'al', 'approx',
+  'fig', 'figs', 'eq', 'eqs', 'no', 'nos', 'vol', 'pp', 'ch', 'sec', 'inc', 'ltd', 'co', 'dept', 'ca'
+]);
 
 export class DocumentProcessor {
   constructor(config = {}) {
-    this.chunkSize = config.chunkSize || 500;
-    this.chunkOverlap = config.chunkOverlap || 50;
+    this.chunkSize = config.chunkSize || 300; // Model tokens per chunk
+    this.chunkOverlap = config.chunkOverlap ?? 40; // Model tokens repeated from the previous chunk
+    this.version = 'structured-1'; // Bump when chunk boundaries change
+    this.textExtractor = new TextExtractor();
+    this.figureExtractor = new FigureExtractor({ maxFigures: config.maxFigures || 20 });
+    this.figureCaptioner = config.figureCaptioner || null; // Figures are only indexed with a captioner
   }
 
-  // Extract text content from document for better context
-  extractDocumentContent(document) {
+  // Extract text content from document, one entry per page
+  async extractDocumentContent(document) {
     try {
-      // If document has base64 content, try to extract text
       if (document.file_url && document.file_url.startsWith('data:')) {
-        // For now, we'll use the document metadata as context
-        // In production, you'd want to extract actual text from PDFs/docs
-        return `Document Title: ${document.title}\nSubject: ${document.subject}\nThis document contains educational content about ${document.subject}.`;
+        const { pages } = await this.textExtractor.extract(document);
+
+        if (pages.length > 0) {
+          return pages;
+        }
+
+        console.warn(`⚠️ No text found in "${document.title}", using document metadata`);
       }
-      
-      // Fallback to basic document info
-      return `Document: "${document.title}" - Subject: ${document.subject}`;
     } catch (error) {
       console.error('Error extracting document content:', error);
-      return `Document: "${document.title}" - Subject: ${document.subject}`;
     }
+
+    // Fallback to basic document info
+    return [{
+      pageNumber: null,
+      text: `Document Title: ${document.title}\nSubject: ${document.subject}\nThis document contains educational content about ${document.subject}.`
+    }];
   }
 
-  // Split document content into chunks
-  splitIntoChunks(content) {
+  // Split page text into passages that follow the document's structure.
+  // Headings close the current chunk and become the section of the chunks after
+  // them; paragraphs, list items and table rows are packed whole until the next
+  // one would exceed chunkSize model tokens. Pass the same state for every page
+  // of a document so sections carry across page breaks.
+  splitIntoChunks(content, state = { headings: [] }) {
     const chunks = [];
-    const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    
-    let currentChunk = '';
-    
-    for (const sentence of sentences) {
-      const trimmedSentence = sentence.trim();
-      if (!trimmedSentence) continue;
-      
-      // If adding this sentence would exceed chunk size, save current chunk
-      if (currentChunk.length + trimmedSentence.length > this.chunkSize && currentChunk.length > 0) {
-        chunks.push(currentChunk.trim());
-        
-        // Start new chunk with overlap
-        const words = currentChunk.split(' ');
-        const overlapWords = words.slice(-Math.floor(this.chunkOverlap / 10)); // Approximate word overlap
-        currentChunk = overlapWords.join(' ') + ' ' + trimmedSentence;
-      } else {
-        currentChunk += (currentChunk ? ' ' : '') + trimmedSentence;
+    let current = [];
+    let currentTokens = 0;
+
+    const sectionTitle = () => state.headings.map(heading => heading.text).join(' > ') || null;
+
+    const flush = () => {
+      if (current.length === 0) return;
+
+      chunks.push({
+        content: current.map((unit, index) => (index === 0 ? '' : unit.separator) + unit.text).join(''),
+        section: sectionTitle()
+      });
+      current = [];
+      currentTokens = 0;
+    };
+
+    const push = (unit) => {
+      current.push(unit);
+      currentTokens += unit.tokens;
+    };
+
+    for (const block of this.parseBlocks(content)) {
+      if (block.type === 'heading') {
+        flush();
+        while (state.headings.length > 0 && state.headings[state.headings.length - 1].level >= block.level) {
+          state.headings.pop();
+        }
+        state.headings.push({ level: block.level, text: block.text });
+        continue;
+      }
+
+      for (const unit of this.blockUnits(block)) {
+        if (currentTokens + unit.tokens > this.chunkSize && current.length > 0) {
+          // A table header belongs with its rows, not at the end of a chunk
+          while (current.length > 0 && current[current.length - 1].isHeader) {
+            currentTokens -= current.pop().tokens;
+          }
+
+          const previous = current;
+          flush();
+
+          // Split tables repeat their header rows; everything else carries the
+          // closing units of the previous chunk as overlap
+          const header = unit.block.header;
+          const carried = header
+            ? header.slice(0, unit.isHeader ? header.indexOf(unit) : header.length)
+            : this.overlapUnits(previous);
+          carried.forEach(push);
+        }
+        push(unit);
       }
     }
-    
-    // Add the last chunk if it has content
-    if (currentChunk.trim()) {
-      chunks.push(currentChunk.trim());
+
+    flush();
+    return chunks;
+  }
+
+  // Break a document into headings, paragraphs, lists, tables and code blocks
+  parseBlocks(text) {
+    const blocks = [];
+    const lines = text.split('\n');
+    let block = null;
+
+    const close = () => {
+      if (block && block.lines.length > 0) blocks.push(block);
+      block = null;
+    };
+
+    const open = (type) => {
+      if (!block || block.type !== type) {
+        close();
+        block = { type, lines: [] };
+      }
+      return block;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      const nextLine = (lines[i + 1] || '').trim();
+
+      if (block?.type === 'code') {
+        block.lines.push(lines[i]);
+        if (line.startsWith('```')) close();
+        continue;
+      }
+
+      if (!line) {
+        close();
+        continue;
+      }
+
+      if (line.startsWith('```')) {
+        close();
+        open('code').lines.push(lines[i]);
+        continue;
+      }
+
+      const heading = this.detectHeading(line, nextLine, !block);
+      if (heading) {
+        close();
+        blocks.push({ type: 'heading', ...heading });
+        if (heading.underlined) i++;
+        continue;
+      }
+
+      // A lone rule line is decoration, not content
+      if (/^([-*_=])(\s*\1){2,}$/.test(line)) {
+        close();
+        continue;
+      }
+
+      if ((line.match(/\|/g) || []).length >= 2) {
+        open('table').lines.push(line);
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        open('list').lines.push(line);
+        continue;
+      }
+
+      if (block?.type === 'list') {
+        // Wrapped continuation of the previous list item
+        block.lines[block.lines.length - 1] += ' ' + line;
+        continue;
+      }
+
+      open('paragraph').lines.push(line);
     }
-    
-    return chunks.length > 0 ? chunks : [content]; // Fallback to original content
+
+    close();
+    return blocks;
+  }
+
+  // Markdown (# and underlined), "Chapter 3 ..." style, numbered "2.1 Title"
+  // and short all-caps lines count as headings
+  detectHeading(line, nextLine, startsBlock) {
+    const markdown = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+    if (markdown) {
+      return { level: markdown[1].length, text: markdown[2] };
+    }
+
+    if (startsBlock && /^(=+|-+)$/.test(nextLine) && line.length <= 100) {
+      return { level: nextLine.startsWith('=') ? 1 : 2, text: line, underlined: true };
+    }
+
+    if (line.length > 80 || /[.,;:]$/.test(line)) {
+      return null;
+    }
+
+    if (/^(chapter|unit|lesson|part)\s+([0-9]+|[ivxlc]+)\b/i.test(line)) {
+      return { level: 1, text: line };
+    }
+
+    const numbered = line.match(/^(\d+(?:\.\d+)+)\.?\s+\p{Lu}/u);
+    if (numbered) {
+      return { level: numbered[1].split('.').length, text: line };
+    }
+
+    const letters = line.replace(/[^\p{L}]/gu, '');
+    if (letters.length >= 3 && line.length <= 60 && letters === letters.toUpperCase() && letters !== letters.toLowerCase()) {
+      return { level: 2, text: line };
+    }
+
+    return null;
+  }
+
+  // Packing units for a block: sentences of a paragraph, items of a list,
+  // rows of a table, lines of a code block
+  blockUnits(block) {
+    const unit = (text, separator, extra = {}) => ({ text, separator, block, tokens: countTokens(text), ...extra });
+    const units = [];
+
+    if (block.type === 'paragraph') {
+      this.splitSentences(block.lines.join(' ')).forEach((sentence, index) => {
+        units.push(unit(sentence, index === 0 ? '\n\n' : ' '));
+      });
+    } else if (block.type === 'table') {
+      const separatorRow = block.lines.findIndex(line => /^\|?\s*:?-{2,}/.test(line));
+      const headerRows = separatorRow > 0 ? separatorRow + 1 : 0;
+
+      block.lines.forEach((line, index) => {
+        units.push(unit(line, index === 0 ? '\n\n' : '\n', { isHeader: index < headerRows }));
+      });
+      if (headerRows > 0) {
+        block.header = units.slice(0, headerRows);
+      }
+    } else {
+      block.lines.forEach((line, index) => {
+        units.push(unit(line, index === 0 ? '\n\n' : '\n'));
+      });
+    }
+
+    // A single unit longer than a whole chunk is cut at word boundaries
+    return units.flatMap(item => item.tokens > this.chunkSize ? this.splitByWords(item, unit) : [item]);
+  }
+
+  splitByWords(item, unit) {
+    const pieces = [];
+    let words = [];
+
+    item.text.split(/\s+/).forEach(word => {
+      if (words.length > 0 && countTokens([...words, word].join(' ')) > this.chunkSize) {
+        pieces.push(words.join(' '));
+        words = [];
+      }
+      words.push(word);
+    });
+    if (words.length > 0) pieces.push(words.join(' '));
+
+    return pieces.map((text, index) => unit(text, index === 0 ? item.separator : ' '));
+  }
+
+  // Sentence split that keeps the punctuation and does not break on decimals
+  // (3.14), abbreviations (e.g., Dr., Fig.), initials or mid-sentence periods
+  splitSentences(text) {
+    const sentences = [];
+    const boundary = /[.!?\u0964]+["'\u201d\u2019)\]]*(?=\s)/g;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(text)) !== null) {
+      const end = match.index + match[0].length;
+
+      if (match[0].startsWith('.') && match[0].length === 1) {
+        const previousWord = (text.slice(start, match.index).match(/(\S+)$/) || [])[1] || '';
+        const nextChar = text.slice(end).trimStart().charAt(0);
+
+        if (ABBREVIATIONS.has(previousWord.toLowerCase().replace(/^[("'\u201c]+/, ''))) continue;
+        if (/^\p{Lu}$/u.test(previousWord)) continue; // An initial, as in "A. Einstein"
+        if (/\p{Ll}/u.test(nextChar)) continue;
+      }
+
+      const sentence = text.slice(start, end).trim();
+      if (sentence) sentences.push(sentence);
+      start = end;
+    }
+
+    const rest = text.slice(start).trim();
+    if (rest) sentences.push(rest);
+
+    return sentences;
+  }
+
+  // Closing units of a chunk that fit in chunkOverlap tokens
+  overlapUnits(units) {
+    const overlap = [];
+    let tokens = 0;
+
+    for (let i = units.length - 1; i >= 0; i--) {
+      if (units[i].isHeader || tokens + units[i].tokens > this.chunkOverlap) break;
+      overlap.unshift(units[i]);
+      tokens += units[i].tokens;
+    }
+
+    // Never carry a whole chunk forward
+    return overlap.length < units.length ? overlap : [];
+  }
+
+  // One chunk entry per figure the captioner could describe, for addFigureChunks.
+  // A figure takes the section of the text chunk that holds its caption, else of the
+  // first chunk on its page. Figures are described in parallel; the request scheduler
+  // caps how many vision calls run at once.
+  async processFigures(doc, textChunks) {
+    if (!this.figureCaptioner?.isAvailable()) return [];
+
+    let figures = [];
+    try {
+      figures = await this.figureExtractor.extract(doc);
+    } catch (error) {
+      console.error(`Error extracting figures from document ${doc.id}:`, error);
+      return [];
+    }
+
+    const described = await Promise.all(figures.map(async figure => {
+      const captionText = (figure.caption || figure.altText || '').replace(/\s+/g, ' ').trim();
+      const anchor = (captionText && textChunks.find(chunk => chunk.content.replace(/\s+/g, ' ').includes(captionText)))
+        || textChunks.find(chunk => chunk.metadata.pageNumber === figure.pageNumber);
+      const section = anchor?.metadata.section || null;
+      const description = await this.figureCaptioner.describe({ ...figure, section }, doc);
+      if (!description) return null;
+
+      return {
+        content: `${figure.caption || figure.label} (page ${figure.pageNumber})\n${description}`,
+        section,
+        pageNumber: figure.pageNumber,
+        figure: { figureNumber: figure.figureNumber, figureLabel: figure.label }
+      };
+    }));
+    const entries = described.filter(Boolean);
+
+    if (figures.length > 0) {
+      console.log(`🖼️ Described ${entries.length}/${figures.length} figures of "${doc.title}"`);
+    }
+    return entries;
+  }
+
+  // Process a single document into chunks of its text. Figures take vision calls,
+  // so they are added separately (see addFigureChunks) once the text is searchable.
+  async processDocument(doc) {
+    const pages = await this.extractDocumentContent(doc);
+    const state = { headings: [] };
+    const entries = pages.flatMap(page =>
+      this.splitIntoChunks(page.text, state).map(chunk => ({ ...chunk, pageNumber: page.pageNumber }))
+    );
+
+    return this.toChunks(doc, entries);
+  }
+
+  // The document's text chunks followed by one chunk per described figure, numbered as a whole
+  async addFigureChunks(doc, textChunks) {
+    const figureEntries = await this.processFigures(doc, textChunks);
+    const textEntries = textChunks.map(chunk => ({
+      content: chunk.content,
+      section: chunk.metadata.section,
+      pageNumber: chunk.metadata.pageNumber
+    }));
+
+    return this.toChunks(doc, [...textEntries, ...figureEntries]);
+  }
+
+  toChunks(doc, entries) {
+    return entries.map((chunk, index) => ({
+      id: `${doc.id}-chunk-${index}`,
+      content: chunk.content,
+      metadata: {
+        documentId: doc.id,
+        title: doc.title,
+        subject: doc.subject,
+        pageNumber: chunk.pageNumber,
+        section: chunk.section,
+        ...(chunk.figure ? { contentType: 'figure', ...chunk.figure } : {}),
+        chunkIndex: index,
+        totalChunks: entries.length
+      }
+    }));
   }
 
   // Process documents for RAG
@@ -62,22 +394,7 @@ export class DocumentProcessor {
     
     for (const doc of documents) {
       try {
-        const content = this.extractDocumentContent(doc);
-        const chunks = this.splitIntoChunks(content);
-        
-        chunks.forEach((chunk, index) => {
-          processedDocs.push({
-            id: `${doc.id}-chunk-${index}`,
-            content: chunk,
-            metadata: {
-              documentId: doc.id,
-              title: doc.title,
-              subject: doc.subject,
-              chunkIndex: index,
-              totalChunks: chunks.length
-            }
-          });
-        });
+        processedDocs.push(...await this.processDocument(doc));
       } catch (error) {
         console.error(`Error processing document ${doc.id}:`, error);
       }
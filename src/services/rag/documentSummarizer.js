@@ -0,0 +1,362 @@
+import { DatabaseService } from '../supabase';
+import { countTokens } from './tokenizer';
+
+const SUMMARY_FORMAT = 'summary-1'; // Bump when prompts or the result shape change
+
+// Version a stored summary must have to be reused: changes when the document is
+// re-uploaded or edited, or when the summary format changes
+export function getSummaryVersion(doc) {
+  return `${SUMMARY_FORMAT}:${doc.created_at}:${doc.file_url?.length || 0}`;
+}
+
+// Builds a hierarchical summary of a document from its indexed chunks: each section
+// (heading path from the chunker, or a run of pages when the document has no
+// headings) is summarized, long sections part by part; the section summaries are
+// then combined into a document summary and a study guide with key terms, main
+// ideas and review questions. Results are cached per document version in memory
+// and in Supabase. Returns rows shaped like `document_summaries`:
+//   { document_id, version, summary, sections: [{ title, pages, summary }],
+//     study_guide: { keyTerms: [{ term, definition }], mainIdeas: [],
+//                    reviewQuestions: [{ question, answer }] }, created_at }
+export class DocumentSummarizer {
+  constructor(llm, config = {}) {
+    this.llm = llm; // Anything with sendMessage(prompt, ...), e.g. WatsonxService
+    this.config = {
+      maxInputTokens: 2500, // Source text per summarization prompt
+      maxKeyTerms: 8,
+      reviewQuestions: 5,
+      persist: true, // Store summaries in Supabase
+      ...config
+    };
+    this.cache = new Map(); // documentId -> row
+  }
+
+  // Cached summary of the current version, or a new one. loadChunks() resolves
+  // to the document's chunks and is only called when a summary has to be built.
+  async getSummary(doc, loadChunks, { refresh = false } = {}) {
+    const version = getSummaryVersion(doc);
+
+    if (!refresh) {
+      const cached = await this.getCached(doc.id, version);
+      if (cached) {
+        console.log(`📝 Using cached summary of "${doc.title}"`);
+        return cached;
+      }
+    }
+
+    const chunks = await loadChunks();
+    const { summary, sections, studyGuide, complete } = await this.summarize(doc, chunks);
+    const row = {
+      document_id: doc.id,
+      version,
+      summary,
+      sections,
+      study_guide: studyGuide,
+      created_at: new Date().toISOString()
+    };
+
+    // Partial results (some model calls failed) are shown but built again next time
+    if (!complete) {
+      console.warn(`⚠️ Summary of "${doc.title}" is incomplete; it will not be cached`);
+      return row;
+    }
+
+    this.cache.set(doc.id, row);
+    if (this.config.persist) {
+      const { error } = await DatabaseService.saveDocumentSummary(row);
+      if (error) {
+        // Typically RLS: only the uploading teacher may store summaries
+        console.warn(`⚠️ Could not store the summary of "${doc.title}"; it is cached for this session`);
+      }
+    }
+    return row;
+  }
+
+  async getCached(documentId, version) {
+    const cached = this.cache.get(documentId);
+    if (cached?.version === version) return cached;
+    if (!this.config.persist) return null;
+
+    const { data } = await DatabaseService.getDocumentSummaries([documentId]);
+    const stored = (data || []).find(row => row.version === version);
+    if (stored) this.cache.set(documentId, stored);
+    return stored || null;
+  }
+
+  async summarize(doc, chunks) {
+    const sections = this.groupSections(doc, chunks);
+    let complete = true;
+
+    console.log(`📝 Summarizing "${doc.title}" in ${sections.length} sections...`);
+
+    const sectionSummaries = [];
+    for (const section of sections) {
+      const result = await this.summarizeSection(doc, section);
+      complete = complete && result.complete;
+      sectionSummaries.push({ title: section.title, pages: section.pages, summary: result.summary });
+    }
+
+    const overview = await this.summarizeDocument(doc, sectionSummaries);
+    const studyGuide = await this.buildStudyGuide(doc, sectionSummaries);
+
+    return {
+      summary: overview.summary,
+      sections: sectionSummaries,
+      studyGuide: studyGuide.guide,
+      complete: complete && overview.complete && studyGuide.complete
+    };
+  }
+
+  // Chunks in reading order grouped by section; untitled text is grouped into
+  // runs of pages of about maxInputTokens. Figure descriptions join their section.
+  groupSections(doc, chunks) {
+    const sections = [];
+    const bySection = new Map();
+    let untitled = null;
+
+    [...chunks]
+      .sort((a, b) => a.metadata.chunkIndex - b.metadata.chunkIndex)
+      .forEach(chunk => {
+        const { section, pageNumber, figureLabel } = chunk.metadata;
+        const text = figureLabel ? `${figureLabel}: ${chunk.content}` : chunk.content;
+        let target;
+
+        if (section) {
+          target = bySection.get(section);
+          if (!target) {
+            target = { title: section, parts: [], pageNumbers: [] };
+            bySection.set(section, target);
+            sections.push(target);
+          }
+        } else {
+          if (!untitled || untitled.tokens + countTokens(text) > this.config.maxInputTokens) {
+            untitled = { title: null, parts: [], pageNumbers: [], tokens: 0 };
+            sections.push(untitled);
+          }
+          untitled.tokens += countTokens(text);
+          target = untitled;
+        }
+
+        target.parts.push(text);
+        if (pageNumber) target.pageNumbers.push(pageNumber);
+      });
+
+    return sections.map(section => {
+      const pages = section.pageNumbers.length > 0
+        ? { from: Math.min(...section.pageNumbers), to: Math.max(...section.pageNumbers) }
+        : null;
+      return {
+        title: section.title || (pages ? this.describePages(pages) : doc.title),
+        pages,
+        parts: section.parts
+      };
+    });
+  }
+
+  describePages({ from, to }) {
+    return from === to ? `Page ${from}` : `Pages ${from}–${to}`;
+  }
+
+  // Sections longer than one prompt are summarized in batches, then combined
+  async summarizeSection(doc, section) {
+    const batches = this.batchTexts(section.parts);
+    const summaries = [];
+    let complete = true;
+
+    for (const batch of batches) {
+      const prompt = `Summarize this part of a ${doc.subject} study document for a student.
+Document: "${doc.title}"
+Section: ${section.title}
+
+${batch.join('\n\n')}
+
+Write 3-5 sentences covering the main ideas, definitions and facts. Use only the text above. Respond with the summary only.`;
+
+      const result = await this.complete(prompt, () => this.leadSentences(batch.join(' '), 3));
+      complete = complete && result.complete;
+      summaries.push(result.text);
+    }
+
+    if (summaries.length === 1) {
+      return { summary: summaries[0], complete };
+    }
+
+    const combined = await this.combine(doc, section.title, summaries);
+    return { summary: combined.summary, complete: complete && combined.complete };
+  }
+
+  // Merge summaries of consecutive parts, in rounds when they do not fit one prompt
+  async combine(doc, title, summaries) {
+    let current = summaries;
+    let previousCount;
+    let complete = true;
+
+    do {
+      previousCount = current.length;
+      const next = [];
+      for (const batch of this.batchTexts(current)) {
+        if (batch.length === 1) {
+          next.push(batch[0]);
+          continue;
+        }
+
+        const prompt = `These are summaries of consecutive parts of "${title}" from the ${doc.subject} document "${doc.title}".
+
+${batch.map((summary, index) => `(${index + 1}) ${summary}`).join('\n\n')}
+
+Combine them into one summary of 4-6 sentences that keeps the most important ideas in order. Respond with the summary only.`;
+
+        const result = await this.complete(prompt, () => batch.map(summary => this.leadSentences(summary, 1)).join(' '));
+        complete = complete && result.complete;
+        next.push(result.text);
+      }
+      current = next;
+    } while (current.length > 1 && current.length < previousCount);
+
+    return { summary: current.join(' '), complete };
+  }
+
+  async summarizeDocument(doc, sectionSummaries) {
+    if (sectionSummaries.length === 1) {
+      return { summary: sectionSummaries[0].summary, complete: true };
+    }
+
+    const outline = this.formatOutline(sectionSummaries);
+    if (countTokens(outline) > this.config.maxInputTokens) {
+      return this.combine(doc, doc.title, sectionSummaries.map(section => `${section.title}: ${section.summary}`));
+    }
+
+    const prompt = `Below are summaries of each section of the ${doc.subject} document "${doc.title}", in order.
+
+${outline}
+
+Write a summary of the whole document in one paragraph of 4-6 sentences: what it is about, its main ideas and how the sections connect. Respond with the summary only.`;
+
+    const result = await this.complete(prompt, () => sectionSummaries.map(section => this.leadSentences(section.summary, 1)).join(' '));
+    return { summary: result.text, complete: result.complete };
+  }
+
+  async buildStudyGuide(doc, sectionSummaries) {
+    const fallback = () => ({
+      keyTerms: [],
+      mainIdeas: sectionSummaries.map(section => this.leadSentences(section.summary, 1)).slice(0, 6),
+      reviewQuestions: sectionSummaries.slice(0, this.config.reviewQuestions).map(section => ({
+        question: `What are the main points of "${section.title}"?`,
+        answer: section.summary
+      }))
+    });
+
+    const prompt = `Create a study guide for the ${doc.subject} document "${doc.title}" from these section summaries.
+
+${this.truncateOutline(sectionSummaries)}
+
+IMPORTANT: Respond with ONLY a valid JSON object in this exact format:
+{
+  "keyTerms": [{ "term": "Term from the document", "definition": "One-sentence definition" }],
+  "mainIdeas": ["One main idea per sentence"],
+  "reviewQuestions": [{ "question": "Question a student can answer from the document", "answer": "Short answer" }]
+}
+
+Requirements:
+- Up to ${this.config.maxKeyTerms} key terms that appear in the document
+- 3-6 main ideas
+- ${this.config.reviewQuestions} review questions with short answers taken from the document
+- Return ONLY the JSON object, no other text`;
+
+    try {
+      const response = await this.llm.sendMessage(prompt, '', false, null, false, { feature: 'summary' });
+      const guide = this.parseStudyGuide(response);
+      if (guide) return { guide, complete: true };
+
+      console.warn(`⚠️ Study guide for "${doc.title}" was not valid JSON, using section summaries`);
+    } catch (error) {
+      console.warn(`⚠️ Could not generate the study guide for "${doc.title}": ${error.message}`);
+    }
+    return { guide: fallback(), complete: false };
+  }
+
+  // Study guide from the model's JSON, or null when it is unusable
+  parseStudyGuide(response) {
+    try {
+      const cleanResponse = (response || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
+      const data = JSON.parse(jsonMatch ? jsonMatch[0] : cleanResponse);
+
+      const guide = {
+        keyTerms: (Array.isArray(data.keyTerms) ? data.keyTerms : [])
+          .filter(item => item?.term && item?.definition)
+          .slice(0, this.config.maxKeyTerms)
+          .map(({ term, definition }) => ({ term: String(term), definition: String(definition) })),
+        mainIdeas: (Array.isArray(data.mainIdeas) ? data.mainIdeas : [])
+          .filter(idea => typeof idea === 'string' && idea.trim())
+          .map(idea => idea.trim()),
+        reviewQuestions: (Array.isArray(data.reviewQuestions) ? data.reviewQuestions : [])
+          .filter(item => item?.question)
+          .map(({ question, answer }) => ({ question: String(question), answer: answer ? String(answer) : '' }))
+      };
+
+      return guide.mainIdeas.length > 0 || guide.reviewQuestions.length > 0 ? guide : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Model text for a prompt; falls back to an extractive text when the call fails
+  async complete(prompt, fallback) {
+    try {
+      const text = ((await this.llm.sendMessage(prompt, '', false, null, false, { feature: 'summary' })) || '').trim();
+      if (text) return { text, complete: true };
+    } catch (error) {
+      console.warn(`⚠️ Summarization call failed: ${error.message}`);
+    }
+    return { text: fallback(), complete: false };
+  }
+
+  // Group texts in order into batches of at most maxInputTokens
+  batchTexts(texts) {
+    const batches = [];
+    let current = [];
+    let tokens = 0;
+
+    texts.forEach(text => {
+      const textTokens = countTokens(text);
+      if (current.length > 0 && tokens + textTokens > this.config.maxInputTokens) {
+        batches.push(current);
+        current = [];
+        tokens = 0;
+      }
+      current.push(text);
+      tokens += textTokens;
+    });
+    if (current.length > 0) batches.push(current);
+
+    return batches;
+  }
+
+  formatOutline(sectionSummaries) {
+    return sectionSummaries.map(section => `## ${section.title}\n${section.summary}`).join('\n\n');
+  }
+
+  // Outline cut to the prompt budget, dropping the last sections first
+  truncateOutline(sectionSummaries) {
+    const kept = [];
+    let tokens = 0;
+    for (const section of sectionSummaries) {
+      const text = `## ${section.title}\n${section.summary}`;
+      tokens += countTokens(text);
+      if (kept.length > 0 && tokens > this.config.maxInputTokens) break;
+      kept.push(text);
+    }
+    return kept.join('\n\n');
+  }
+
+  leadSentences(text, count) {
+    const sentences = text.replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]+(\s|$)/g) || [text];
+    return sentences.slice(0, count).join('').trim();
+  }
+
+  // Update configuration
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
+}
@@ -0,0 +1,45 @@
+// Describes document figures with a vision model so they can be retrieved like text.
+// The description names the kind of figure first ("Diagram of ...") and spells out
+// its labels, so questions such as "explain the diagram of the cell" match it.
+export class FigureCaptioner {
+  constructor(visionService, config = {}) {
+    this.visionService = visionService; // Anything with captionImage(image, prompt, options), e.g. WatsonxService
+    this.config = {
+      maxDescriptionLength: 1500,
+      ...config
+    };
+  }
+
+  isAvailable() {
+    return typeof this.visionService?.captionImage === 'function';
+  }
+
+  // Text for the figure's chunk, or null when the model could not describe it
+  async describe(figure, document) {
+    const context = [
+      `Document: "${document.title}" (${document.subject})`,
+      figure.section ? `Section: ${figure.section}` : null,
+      figure.caption ? `Printed caption: ${figure.caption}` : null,
+      figure.altText ? `Alt text: ${figure.altText}` : null
+    ].filter(Boolean).join('\n');
+
+    const prompt = `This is ${figure.label} from a school study document.
+${context}
+
+Start with one line saying what kind of figure it is and what it shows, for example "Diagram of an animal cell" or "Map of the rivers of India". Then list every label, value and step it contains and explain what it teaches. Do not invent details that are not visible.`;
+
+    try {
+      const description = await this.visionService.captionImage(figure.imageDataUrl, prompt, { priority: 'background', feature: 'indexing' });
+      const text = (description || '').replace(/\n{3,}/g, '\n\n').trim();
+
+      if (!text) return null;
+
+      return text.length > this.config.maxDescriptionLength
+        ? text.substring(0, this.config.maxDescriptionLength) + '…'
+        : text;
+    } catch (error) {
+      console.warn(`⚠️ Could not describe ${figure.label} of "${document.title}": ${error.message}`);
+      return null;
+    }
+  }
+}
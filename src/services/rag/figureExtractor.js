@@ -0,0 +1,253 @@
+import { TextExtractor } from './textExtractor';
+
+// Caption lines such as "Figure 3.2: Structure of a plant cell" or "Map 1 - Rivers of India"
+const FIGURE_LABEL = /^(fig(?:ure)?s?\.?|diagram|map|chart|graph|illustration|image|plate)\s*(\d+(?:[.-]\d+)*[a-z]?)\b\s*[:.\-–]?\s*(.*)$/i;
+
+// Finds the images in a document (PDF image regions, DOCX and Markdown pictures,
+// or the upload itself when it is an image) as data URLs, each with the page it is
+// on, its figure number and any caption printed next to it. Needs a browser: PDF
+// regions are cropped from the rendered page on a canvas.
+export class FigureExtractor {
+  constructor(config = {}) {
+    this.config = {
+      maxFigures: 20, // Per document; captioning costs one vision call each
+      minFigureSize: 100, // Rendered pixels; smaller images are icons and bullets
+      renderScale: 1.5,
+      maxImageSide: 1024,
+      ...config
+    };
+    this.textExtractor = new TextExtractor();
+  }
+
+  // Returns [{ pageNumber, figureNumber, label, caption, altText, imageDataUrl }]
+  async extract(document) {
+    if (!document.file_url || !document.file_url.startsWith('data:') || typeof window === 'undefined') {
+      return [];
+    }
+
+    const { mimeType, bytes } = this.textExtractor.decodeDataUrl(document.file_url);
+    let figures = [];
+
+    switch (this.textExtractor.detectFormat(mimeType, bytes)) {
+      case 'image':
+        figures = [{ pageNumber: 1, label: null, caption: document.title, altText: null, imageDataUrl: document.file_url }];
+        break;
+      case 'pdf':
+        figures = await this.extractPdfFigures(bytes);
+        break;
+      case 'docx':
+        figures = await this.extractDocxFigures(bytes);
+        break;
+      case 'markdown':
+      case 'text':
+        figures = this.extractMarkdownFigures(bytes);
+        break;
+      default:
+        return [];
+    }
+
+    // Number figures in reading order unless the caption gives a number
+    const numbered = figures.slice(0, this.config.maxFigures).map((figure, index) => {
+      const match = figure.caption?.match(FIGURE_LABEL);
+      return {
+        ...figure,
+        figureNumber: match ? match[2] : String(index + 1),
+        label: match ? `${match[1].replace(/\.$/, '')} ${match[2]}` : `Figure ${index + 1}`
+      };
+    });
+
+    if (figures.length > 0) {
+      console.log(`🖼️ Found ${figures.length} figures in "${document.title}"${figures.length > numbered.length ? `, captioning the first ${numbered.length}` : ''}`);
+    }
+    return numbered;
+  }
+
+  async extractPdfFigures(bytes) {
+    const pdfjsLib = await import('pdfjs-dist');
+    const { default: workerUrl } = await import('pdfjs-dist/build/pdf.worker.min.mjs?url');
+    pdfjsLib.GlobalWorkerOptions.workerSrc = workerUrl;
+
+    // getDocument takes ownership of the buffer, so pass a copy
+    const pdf = await pdfjsLib.getDocument({ data: bytes.slice() }).promise;
+    const figures = [];
+
+    try {
+      for (let pageNumber = 1; pageNumber <= pdf.numPages && figures.length < this.config.maxFigures; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: this.config.renderScale });
+        const regions = this.findImageRegions(await page.getOperatorList(), pdfjsLib, viewport);
+
+        if (regions.length === 0) continue;
+
+        const canvas = window.document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+        const lines = this.getTextLines(await page.getTextContent(), viewport);
+
+        regions.forEach(region => {
+          figures.push({
+            pageNumber,
+            caption: this.findCaption(region, lines),
+            altText: null,
+            imageDataUrl: this.crop(canvas, region)
+          });
+        });
+      }
+    } finally {
+      await pdf.destroy();
+    }
+
+    return figures;
+  }
+
+  // Canvas rectangles [x1, y1, x2, y2] of the raster images painted on a page,
+  // tracking the transformation matrix through save/restore and form XObjects
+  findImageRegions(operatorList, pdfjsLib, viewport) {
+    const { OPS, Util } = pdfjsLib;
+    const regions = [];
+    const stack = [];
+    let matrix = [1, 0, 0, 1, 0, 0];
+
+    operatorList.fnArray.forEach((fn, index) => {
+      const args = operatorList.argsArray[index];
+
+      switch (fn) {
+        case OPS.save:
+          stack.push(matrix);
+          break;
+        case OPS.restore:
+          matrix = stack.pop() || [1, 0, 0, 1, 0, 0];
+          break;
+        case OPS.transform:
+          matrix = Util.transform(matrix, args);
+          break;
+        case OPS.paintFormXObjectBegin:
+          stack.push(matrix);
+          if (args?.[0]) matrix = Util.transform(matrix, args[0]);
+          break;
+        case OPS.paintFormXObjectEnd:
+          matrix = stack.pop() || [1, 0, 0, 1, 0, 0];
+          break;
+        case OPS.paintImageXObject:
+        case OPS.paintInlineImageXObject:
+        case OPS.paintJpegXObject: {
+          // Images are drawn into the unit square of the current matrix
+          const [a, b, c, d, e, f] = matrix;
+          const xs = [e, a + e, c + e, a + c + e];
+          const ys = [f, b + f, d + f, b + d + f];
+          const rect = viewport.convertToViewportRectangle([Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]);
+          const [x1, y1, x2, y2] = Util.normalizeRect(rect);
+
+          if (x2 - x1 >= this.config.minFigureSize && y2 - y1 >= this.config.minFigureSize) {
+            regions.push([Math.max(0, x1), Math.max(0, y1), Math.min(viewport.width, x2), Math.min(viewport.height, y2)]);
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    });
+
+    // Top to bottom, then left to right, as a reader would number them
+    return regions.sort((r1, r2) => r1[1] - r2[1] || r1[0] - r2[0]);
+  }
+
+  // Text lines of a page with their canvas position, for finding captions
+  getTextLines(textContent, viewport) {
+    const lines = [];
+    let current = null;
+
+    textContent.items.forEach(item => {
+      if (!current) {
+        const [x, y] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+        current = { text: '', x, y };
+      }
+      current.text += item.str || '';
+      if (item.hasEOL) {
+        lines.push(current);
+        current = null;
+      } else {
+        current.text += ' ';
+      }
+    });
+    if (current) lines.push(current);
+
+    return lines
+      .map(line => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }))
+      .filter(line => line.text);
+  }
+
+  // A "Figure n ..." line just below the image (or just above it, as for tables)
+  findCaption(region, lines) {
+    const [x1, y1, x2, y2] = region;
+    const nearby = lines
+      .filter(line => FIGURE_LABEL.test(line.text) && line.x >= x1 - 50 && line.x <= x2)
+      .map(line => ({ line, distance: line.y >= y2 ? line.y - y2 : y1 - line.y }))
+      .filter(({ distance }) => distance >= -10 && distance <= 80)
+      .sort((a, b) => a.distance - b.distance);
+
+    return nearby[0]?.line.text || null;
+  }
+
+  crop(canvas, [x1, y1, x2, y2]) {
+    const width = x2 - x1;
+    const height = y2 - y1;
+    const scale = Math.min(1, this.config.maxImageSide / Math.max(width, height));
+
+    const target = window.document.createElement('canvas');
+    target.width = Math.round(width * scale);
+    target.height = Math.round(height * scale);
+    target.getContext('2d').drawImage(canvas, x1, y1, width, height, 0, 0, target.width, target.height);
+
+    return target.toDataURL('image/jpeg', 0.85);
+  }
+
+  // Pictures with their alt text and the "Figure n" paragraph around them
+  async extractDocxFigures(bytes) {
+    const { default: mammoth } = await import('mammoth');
+    const { value: html } = await mammoth.convertToHtml({ arrayBuffer: bytes.buffer }, {
+      convertImage: mammoth.images.imgElement(async image => ({
+        src: `data:${image.contentType};base64,${await image.readAsBase64String()}`
+      }))
+    });
+
+    const body = new DOMParser().parseFromString(html, 'text/html').body;
+
+    return [...body.querySelectorAll('img')]
+      .filter(img => /^data:image\/(png|jpe?g|gif|webp)/.test(img.getAttribute('src') || ''))
+      .map(img => {
+        const block = img.closest('p, td, li') || img.parentElement;
+        const neighbours = [block?.textContent, block?.nextElementSibling?.textContent, block?.previousElementSibling?.textContent];
+        const caption = neighbours.map(text => (text || '').trim()).find(text => FIGURE_LABEL.test(text));
+
+        return {
+          // Word documents carry no fixed pagination
+          pageNumber: 1,
+          caption: caption || null,
+          altText: img.getAttribute('alt') || null,
+          imageDataUrl: img.getAttribute('src')
+        };
+      });
+  }
+
+  // ![alt](data:image/...) pictures embedded in Markdown; linked files cannot be read
+  extractMarkdownFigures(bytes) {
+    const text = new TextDecoder('utf-8').decode(bytes);
+    const figures = [];
+
+    text.split('\f').forEach((pageText, pageIndex) => {
+      for (const match of pageText.matchAll(/!\[([^\]]*)\]\((data:image\/[^)\s]+)\)/g)) {
+        figures.push({
+          pageNumber: pageIndex + 1,
+          caption: FIGURE_LABEL.test(match[1]) ? match[1] : null,
+          altText: match[1] || null,
+          imageDataUrl: match[2]
+        });
+      }
+    });
+
+    return figures;
+  }
+}
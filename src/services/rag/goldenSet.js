@@ -0,0 +1,158 @@
+// Default golden set for the RAG evaluation harness. Each question lists the
+// documents that should be retrieved for it (none for out-of-scope questions)
+// and a short reference answer. Custom sets use the same shape as JSON.
+export const DEFAULT_GOLDEN_SET = {
+  name: 'EduBot sample curriculum',
+  documents: [
+    {
+      id: 'golden-mughal-empire',
+      title: 'The Mughal Empire',
+      subject: 'History',
+      format: 'markdown',
+      content: `# The Mughal Empire
+
+## Foundation
+Babur founded the Mughal Empire after defeating Ibrahim Lodi at the First Battle of Panipat in 1526. His use of field artillery and cavalry tactics gave him the advantage.
+
+## Akbar's Reign
+Akbar ruled from 1556 to 1605. He introduced the mansabdari system to rank officials and reorganized land revenue under Raja Todar Mal. His policy of sulh-i-kul promoted tolerance between religions.
+
+## Trade and Economy
+Overland trade routes ran through Kabul and Kandahar to Central Asia and Persia. Sea trade left from Surat, the main port, for the Red Sea and the Persian Gulf. Indian cotton textiles and indigo were the most valuable exports.`
+    },
+    {
+      id: 'golden-photosynthesis',
+      title: 'Photosynthesis',
+      subject: 'Science',
+      format: 'markdown',
+      content: `# Photosynthesis
+
+Photosynthesis is the process by which green plants make glucose from carbon dioxide and water using light energy. Oxygen is released as a by-product.
+
+## Where it happens
+Photosynthesis takes place in chloroplasts. Chlorophyll, the green pigment in chloroplasts, absorbs mostly red and blue light and reflects green light.
+
+## Stages
+| Stage | Location | Products |
+|---|---|---|
+| Light-dependent reactions | Thylakoid membranes | ATP, NADPH, oxygen |
+| Calvin cycle | Stroma | Glucose |
+
+The overall equation is 6CO2 + 6H2O → C6H12O6 + 6O2.`
+    },
+    {
+      id: 'golden-newtons-laws',
+      title: "Newton's Laws of Motion",
+      subject: 'Science',
+      format: 'markdown',
+      content: `# Newton's Laws of Motion
+
+1. The first law (inertia): an object stays at rest or in uniform motion unless acted on by an unbalanced force.
+2. The second law: force equals mass times acceleration, F = ma. A force of 10 N on a 2 kg mass gives an acceleration of 5 m/s².
+3. The third law: for every action there is an equal and opposite reaction.
+
+Friction is a force that opposes motion between surfaces in contact.`
+    },
+    {
+      id: 'golden-quadratics',
+      title: 'Quadratic Equations',
+      subject: 'Mathematics',
+      format: 'markdown',
+      content: `# Quadratic Equations
+
+A quadratic equation has the form ax² + bx + c = 0 where a is not zero.
+
+## The quadratic formula
+The roots are x = (-b ± √(b² - 4ac)) / 2a.
+
+## The discriminant
+The discriminant is b² - 4ac. If it is positive the equation has two real roots, if it is zero there is one repeated root, and if it is negative there are no real roots.`
+    },
+    {
+      id: 'golden-figures-of-speech',
+      title: 'Figures of Speech',
+      subject: 'English',
+      format: 'markdown',
+      content: `# Figures of Speech
+
+A simile compares two things using "like" or "as", for example "as brave as a lion". A metaphor states that one thing is another, as in "time is a thief". Personification gives human qualities to objects or ideas. Alliteration repeats the same first consonant sound in nearby words.`
+    },
+    {
+      id: 'golden-binary-search',
+      title: 'Searching Algorithms',
+      subject: 'Computer Science',
+      format: 'markdown',
+      content: `# Searching Algorithms
+
+Linear search checks every element in turn and takes O(n) time.
+
+Binary search works only on a sorted array. It compares the target with the middle element and discards half of the remaining elements at each step, so it takes O(log n) time.`
+    }
+  ],
+  questions: [
+    {
+      id: 'q-panipat',
+      question: 'Who founded the Mughal Empire and in which battle?',
+      expectedDocumentIds: ['golden-mughal-empire'],
+      referenceAnswer: 'Babur founded the Mughal Empire after defeating Ibrahim Lodi at the First Battle of Panipat in 1526.'
+    },
+    {
+      id: 'q-trade-follow-up',
+      question: 'What about its trade routes?',
+      history: [
+        { role: 'user', content: 'Tell me about the Mughal Empire' },
+        { role: 'assistant', content: 'The Mughal Empire was founded by Babur in 1526 [1].' }
+      ],
+      expectedDocumentIds: ['golden-mughal-empire'],
+      referenceAnswer: 'Overland trade routes ran through Kabul and Kandahar, and sea trade left from Surat for the Red Sea and the Persian Gulf.'
+    },
+    {
+      id: 'q-mansabdari',
+      question: 'What was the mansabdari system?',
+      expectedDocumentIds: ['golden-mughal-empire'],
+      referenceAnswer: 'Akbar introduced the mansabdari system to rank officials.'
+    },
+    {
+      id: 'q-chlorophyll',
+      question: 'Which colours of light does chlorophyll absorb?',
+      expectedDocumentIds: ['golden-photosynthesis'],
+      referenceAnswer: 'Chlorophyll absorbs mostly red and blue light and reflects green light.'
+    },
+    {
+      id: 'q-calvin-cycle',
+      question: 'Where does the Calvin cycle take place?',
+      expectedDocumentIds: ['golden-photosynthesis'],
+      referenceAnswer: 'The Calvin cycle takes place in the stroma and produces glucose.'
+    },
+    {
+      id: 'q-second-law',
+      question: 'What acceleration does a 10 N force give a 2 kg mass?',
+      expectedDocumentIds: ['golden-newtons-laws'],
+      referenceAnswer: 'By the second law F = ma, a force of 10 N on a 2 kg mass gives an acceleration of 5 m/s².'
+    },
+    {
+      id: 'q-discriminant',
+      question: 'What does a negative discriminant tell you about a quadratic equation?',
+      expectedDocumentIds: ['golden-quadratics'],
+      referenceAnswer: 'If the discriminant b² - 4ac is negative there are no real roots.'
+    },
+    {
+      id: 'q-simile',
+      question: 'What is the difference between a simile and a metaphor?',
+      expectedDocumentIds: ['golden-figures-of-speech'],
+      referenceAnswer: 'A simile compares two things using like or as, while a metaphor states that one thing is another.'
+    },
+    {
+      id: 'q-binary-search',
+      question: 'Why is binary search faster than linear search?',
+      expectedDocumentIds: ['golden-binary-search'],
+      referenceAnswer: 'Binary search discards half of the remaining elements at each step of a sorted array, taking O(log n) time instead of O(n).'
+    },
+    {
+      id: 'q-out-of-scope',
+      question: 'Who won the football World Cup in 1998?',
+      expectedDocumentIds: [],
+      referenceAnswer: ''
+    }
+  ]
+};
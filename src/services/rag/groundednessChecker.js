@@ -0,0 +1,188 @@
+import { tokenize } from './tokenizer';
+
+// Sentences that talk to the student rather than state facts
+const NON_CLAIM = /^(feel free|let me know|i hope|hope this|happy to|good luck|great question|in summary|to summarize|study tips?|remember to|try to|you can|you should|ask your|if you have)/i;
+
+// Post-generation check that an answer is backed by the passages it was given.
+// The answer is split into claims (sentences that state something), and each claim
+// is judged supported, contradicted or unsupported against the reranked passages.
+//
+//   method 'llm'     - the model judges every claim in one prompt; falls back to lexical
+//   method 'lexical' - a claim is supported when a passage holds most of its terms and
+//                      all of its numbers (cannot detect contradictions)
+export class GroundednessChecker {
+  constructor(llm, documentProcessor, config = {}) {
+    this.llm = llm; // Anything with sendMessage(prompt, ...), e.g. WatsonxService
+    this.documentProcessor = documentProcessor; // For its sentence splitter
+    this.config = {
+      method: 'llm',
+      maxClaims: 12,
+      minClaimTerms: 3, // Shorter sentences are not checked
+      supportThreshold: 0.6, // Share of claim terms a passage must contain (lexical)
+      maxPassageLength: 800,
+      ...config
+    };
+  }
+
+  // Verdict for an answer: { status, method, score, supportedCount, claimCount, claims }
+  // status is 'grounded', 'partially_grounded', 'ungrounded' or 'not_checked'
+  async check(answer, passages) {
+    const claims = this.splitClaims(answer);
+
+    if (claims.length === 0 || passages.length === 0) {
+      return { status: 'not_checked', method: null, score: null, supportedCount: 0, claimCount: 0, claims: [] };
+    }
+
+    const passageTexts = passages.map(doc => doc.content);
+    let method = this.config.method;
+    let verdicts;
+
+    if (method === 'llm' && this.llm) {
+      try {
+        verdicts = await this.checkWithLLM(claims, passageTexts);
+      } catch (error) {
+        console.warn(`⚠️ Groundedness check by the model failed (${error.message}), using lexical check`);
+        method = 'lexical';
+      }
+    } else {
+      method = 'lexical';
+    }
+
+    if (!verdicts) {
+      verdicts = claims.map(claim => this.checkLexically(claim, passageTexts));
+    }
+
+    const checkedClaims = claims.map((claim, index) => ({ ...claim, ...verdicts[index] }));
+    const supportedCount = checkedClaims.filter(claim => claim.verdict === 'supported').length;
+    const score = supportedCount / checkedClaims.length;
+
+    let status = 'ungrounded';
+    if (supportedCount === checkedClaims.length) {
+      status = 'grounded';
+    } else if (score >= 0.5) {
+      status = 'partially_grounded';
+    }
+
+    console.log(`🔬 Groundedness (${method}): ${supportedCount}/${checkedClaims.length} claims supported → ${status}`);
+
+    return { status, method, score, supportedCount, claimCount: checkedClaims.length, claims: checkedClaims };
+  }
+
+  // Sentences of the answer that state something, with the passage markers they cite
+  splitClaims(answer) {
+    const text = (answer || '')
+      .replace(/^#+\s+.*$/gm, '') // Headings
+      .replace(/^\s*([-*•]|\d+[.)])\s+/gm, '') // List bullets
+      .replace(/\*\*|__|`/g, '');
+
+    // Lines first, so list items without a full stop stay separate claims
+    const sentences = text
+      .split(/\n+/)
+      .flatMap(line => this.documentProcessor.splitSentences(line.replace(/\s+/g, ' ').trim()));
+    const claims = [];
+
+    sentences.forEach(sentence => {
+      // A marker placed after the full stop ("... 1526. [1] Next") belongs to the previous sentence
+      const leading = sentence.match(/^((?:\[\d+\]\s*)+)(.*)$/);
+      let body = sentence;
+      if (leading) {
+        const markers = this.extractMarkers(leading[1]);
+        if (claims.length > 0) {
+          claims[claims.length - 1].markers.push(...markers);
+        }
+        body = leading[2];
+      }
+
+      const plain = body.replace(/\s*\[\d+\]/g, '').trim();
+      if (!plain || plain.endsWith('?') || NON_CLAIM.test(plain)) return;
+      if (tokenize(plain).length < this.config.minClaimTerms) return;
+
+      claims.push({ text: body.trim(), claim: plain, markers: this.extractMarkers(body) });
+    });
+
+    return claims.slice(0, this.config.maxClaims);
+  }
+
+  extractMarkers(text) {
+    return [...text.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1]));
+  }
+
+  checkLexically(claim, passageTexts) {
+    const claimTerms = [...new Set(tokenize(claim.claim))];
+    const numbers = claim.claim.match(/\d+(?:[.,]\d+)?/g) || [];
+    let best = { verdict: 'unsupported', passage: null, coverage: 0 };
+
+    // Cited passages first, so a tie credits the passage the answer points to
+    const order = [
+      ...claim.markers.map(marker => marker - 1).filter(index => index >= 0 && index < passageTexts.length),
+      ...passageTexts.map((_, index) => index)
+    ];
+
+    for (const index of new Set(order)) {
+      const passageTerms = new Set(tokenize(passageTexts[index]));
+      const coverage = claimTerms.filter(term => passageTerms.has(term)).length / claimTerms.length;
+      const numbersFound = numbers.every(number => passageTexts[index].includes(number));
+
+      if (coverage >= this.config.supportThreshold && numbersFound) {
+        return { verdict: 'supported', passage: index + 1, coverage };
+      }
+      if (coverage > best.coverage) {
+        best = { verdict: 'unsupported', passage: null, coverage };
+      }
+    }
+
+    return best;
+  }
+
+  async checkWithLLM(claims, passageTexts) {
+    const passages = passageTexts.map((text, index) => {
+      const flat = text.replace(/\s+/g, ' ').trim();
+      return `[${index + 1}] ${flat.length > this.config.maxPassageLength ? flat.substring(0, this.config.maxPassageLength) + '…' : flat}`;
+    });
+
+    const prompt = `Check each claim from a tutor's answer against the numbered source passages. For every claim, reply SUPPORTED if the passages state it, CONTRADICTED if the passages say something different, or NOT FOUND if the passages do not mention it. Use only the passages, not your own knowledge.
+
+Passages:
+${passages.join('\n\n')}
+
+Claims:
+${claims.map((claim, index) => `(${index + 1}) ${claim.claim}`).join('\n')}
+
+Reply with one line per claim in the form "(number) VERDICT [passage]", for example:
+(1) SUPPORTED [2]
+(2) NOT FOUND
+
+Verdicts:`;
+
+    // Runs after the answer is shown, so it waits behind interactive requests
+    const response = await this.llm.sendMessage(prompt, '', false, null, false, {
+      feature: 'grounding',
+      priority: 'background',
+      followUpHint: false
+    });
+    const verdicts = new Array(claims.length).fill(null);
+
+    for (const match of (response || '').matchAll(/\((\d+)\)\s*(SUPPORTED|CONTRADICTED|NOT[ _]FOUND|UNSUPPORTED)(?:\s*\[(\d+)\])?/gi)) {
+      const index = Number(match[1]) - 1;
+      if (index < 0 || index >= claims.length || verdicts[index]) continue;
+
+      const label = match[2].toUpperCase();
+      verdicts[index] = {
+        verdict: label === 'SUPPORTED' ? 'supported' : label === 'CONTRADICTED' ? 'contradicted' : 'unsupported',
+        passage: match[3] ? Number(match[3]) : null
+      };
+    }
+
+    if (verdicts.every(verdict => verdict === null)) {
+      throw new Error('model output contained no verdicts');
+    }
+
+    // Claims the model skipped get the lexical verdict
+    return verdicts.map((verdict, index) => verdict || this.checkLexically(claims[index], passageTexts));
+  }
+
+  // Update configuration
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
+}
@@ -0,0 +1,159 @@
+import { SubjectTaxonomyService } from '../subjectTaxonomy';
+
+// Reranking strategy that scores passages with subject-aware keyword heuristics:
+// subject match bonuses, title and content keyword hits, length adjustments and
+// word overlap with the question. Needs no model, so it is also the fallback.
+export class HeuristicReranker {
+  constructor(config = {}) {
+    this.id = 'heuristic';
+    this.taxonomy = config.taxonomy || null; // Fixed SubjectTaxonomy; defaults to the shared one
+    this.minPenaltyConfidence = config.minPenaltyConfidence ?? 0.5; // Detection confidence needed to penalize other subjects
+  }
+
+  getTaxonomy() {
+    return this.taxonomy || SubjectTaxonomyService.getTaxonomy();
+  }
+
+  // Subject-aware scoring; options.subjects: subjects the caller already filtered retrieval to
+  async score(query, documents, options = {}) {
+    const queryWords = query.toLowerCase()
+      .replace(/[^\w\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2);
+    
+    // An explicit subject filter replaces the keyword guess, which could only penalize filtered results
+    const subjectFiltered = options.subjects?.length > 0;
+    const detected = subjectFiltered ? null : this.detectQuerySubject(query);
+    const querySubject = detected?.subject || null;
+    // A narrow lead still earns matching passages the bonus, but is too weak to penalize the rest
+    const penalizeMismatch = Boolean(detected) && detected.confidence >= this.minPenaltyConfidence;
+    const taxonomy = this.getTaxonomy();
+    console.log(subjectFiltered
+      ? `🎯 Subject filter applied (${options.subjects.join(', ')}), skipping subject detection`
+      : `🎯 Detected query subject: ${querySubject}${detected ? ` (confidence ${detected.confidence.toFixed(2)})` : ''} for query: "${query}"`);
+    
+    // Score documents based on multiple factors; reasons explain the score in traces
+    const scoredDocs = documents.map(doc => {
+      let score = doc.similarity || 0; // Base similarity score
+      const reasons = [];
+      
+      const content = doc.content.toLowerCase();
+      const title = doc.metadata?.title?.toLowerCase() || '';
+      const subject = doc.metadata?.subject?.toLowerCase() || '';
+      // Taxonomy names are canonical, so compare whole names ("Science" is not "Computer Science")
+      const subjectMatch = Boolean(querySubject) && subject === querySubject.toLowerCase();
+      
+      // Subject matching bonus - heavily weighted
+      if (subjectMatch) {
+        score += 1.0; // Large bonus for subject match
+        reasons.push('subject match (+1.0)');
+        console.log(`📚 Subject match bonus for "${title}" (${subject})`);
+      } else if (penalizeMismatch) {
+        score *= 0.3; // Heavy penalty for subject mismatch
+        reasons.push(`subject mismatch with ${querySubject} (×0.3)`);
+        console.log(`❌ Subject mismatch penalty for "${title}" (${subject} vs ${querySubject})`);
+      }
+      
+      // Enhanced keyword matching with position weighting
+      const titleHits = [];
+      let contentHits = 0;
+      queryWords.forEach(word => {
+        // Title matches are most important
+        if (title.includes(word)) {
+          score += 0.5;
+          titleHits.push(word);
+        }
+        // Subject matches are also important
+        if (subject.includes(word)) {
+          score += 0.3;
+        }
+        // Content matches with position weighting
+        const contentMatches = this.findWordMatches(content, word);
+        score += contentMatches.score;
+        contentHits += contentMatches.count;
+      });
+      if (titleHits.length > 0) reasons.push(`title has ${titleHits.join(', ')}`);
+      reasons.push(`${contentHits} keyword hits in text`);
+      
+      // Boost score for documents filed under a subject of the taxonomy
+      if (taxonomy.findSubject(subject)) {
+        score += 0.1;
+      }
+      
+      // Penalize very short content
+      if (doc.content.length < 50) {
+        score *= 0.6;
+        reasons.push('very short passage (×0.6)');
+      }
+      
+      // Boost longer, more comprehensive content
+      if (doc.content.length > 500) {
+        score += 0.1;
+      }
+      
+      // Calculate relevance score based on query-document semantic similarity
+      const relevanceScore = this.calculateSemanticRelevance(query, doc.content);
+      score += relevanceScore * 0.5;
+      reasons.push(`word overlap ${relevanceScore.toFixed(2)}`);
+      
+      return {
+        ...doc,
+        rerankScore: score,
+        relevanceScore: relevanceScore,
+        subjectMatch,
+        rerankReason: `similarity ${(doc.similarity || 0).toFixed(2)}; ${reasons.join('; ')}`
+      };
+    });
+    
+    return scoredDocs;
+  }
+
+  // Detect the subject/domain of the query from the subject taxonomy's keywords;
+  // returns { subject, topic, score, confidence } or null
+  detectQuerySubject(query) {
+    const match = this.getTaxonomy().detectSubject(query);
+    if (match?.topic) {
+      console.log(`🏷️ Query topic: ${match.topic} (${match.subject})`);
+    }
+    return match;
+  }
+
+  // Find word matches with position and context weighting
+  findWordMatches(content, word) {
+    const regex = new RegExp(`\\b${word}\\b`, 'gi');
+    const matches = content.match(regex) || [];
+    
+    let score = 0;
+    matches.forEach(() => {
+      score += 0.1; // Base score per match
+    });
+    
+    // Check for matches in important positions (beginning of sentences/paragraphs)
+    const sentenceStartRegex = new RegExp(`(^|\\. )${word}\\b`, 'gi');
+    const sentenceStartMatches = content.match(sentenceStartRegex) || [];
+    score += sentenceStartMatches.length * 0.2; // Bonus for sentence start matches
+    
+    return {
+      count: matches.length,
+      score: score
+    };
+  }
+
+  // Calculate semantic relevance between query and document
+  calculateSemanticRelevance(query, content) {
+    const queryWords = new Set(query.toLowerCase().split(/\s+/).filter(w => w.length > 2));
+    const contentWords = new Set(content.toLowerCase().split(/\s+/).filter(w => w.length > 2));
+    
+    // Calculate Jaccard similarity
+    const intersection = new Set([...queryWords].filter(x => contentWords.has(x)));
+    const union = new Set([...queryWords, ...contentWords]);
+    
+    const jaccardSimilarity = intersection.size / union.size;
+    
+    // Calculate coverage (how much of the query is covered)
+    const coverage = intersection.size / queryWords.size;
+    
+    // Combine both metrics
+    return (jaccardSimilarity + coverage) / 2;
+  }
+}
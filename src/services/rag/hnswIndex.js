@@ -0,0 +1,232 @@
+// Hierarchical Navigable Small World graph for approximate nearest-neighbour search
+// (Malkov & Yashunin, 2018). Nodes are keyed by chunk id and can be inserted and
+// removed at any time; removed nodes have their neighbours re-linked so the graph
+// stays navigable.
+export class HNSWIndex {
+  constructor(distance, config = {}) {
+    this.distance = distance; // (vectorA, vectorB) => number, smaller is closer
+    this.M = config.M || 16;
+    this.maxM0 = this.M * 2;
+    this.efConstruction = config.efConstruction || 100;
+    this.efSearch = config.efSearch || 64;
+    this.levelMultiplier = 1 / Math.log(this.M);
+    this.random = this.createRandom(config.seed ?? 42);
+    this.nodes = new Map(); // key -> { key, vector, level, neighbors: [[keys] per level] }
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  // Seeded PRNG (mulberry32) so the same inserts always build the same graph
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  get size() {
+    return this.nodes.size;
+  }
+
+  maxConnections(level) {
+    return level === 0 ? this.maxM0 : this.M;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+  }
+
+  // Insert into a list kept sorted by ascending distance
+  insertSorted(list, item) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (list[mid].distance < item.distance) low = mid + 1;
+      else high = mid;
+    }
+    list.splice(low, 0, item);
+  }
+
+  // Greedy best-first search of one layer, returning up to ef closest nodes
+  searchLayer(vector, entryPoints, ef, level) {
+    const visited = new Set(entryPoints.map(entry => entry.key));
+    const candidates = [...entryPoints].sort((a, b) => a.distance - b.distance);
+    const results = [...candidates];
+
+    while (candidates.length > 0) {
+      const closest = candidates.shift();
+      const farthest = results[results.length - 1];
+
+      if (results.length >= ef && closest.distance > farthest.distance) break;
+
+      const node = this.nodes.get(closest.key);
+      const neighbors = node?.neighbors[level] || [];
+
+      for (const neighborKey of neighbors) {
+        if (visited.has(neighborKey)) continue;
+        visited.add(neighborKey);
+
+        const neighbor = this.nodes.get(neighborKey);
+        if (!neighbor) continue;
+
+        const distance = this.distance(vector, neighbor.vector);
+        if (results.length < ef || distance < results[results.length - 1].distance) {
+          const item = { key: neighborKey, distance };
+          this.insertSorted(candidates, item);
+          this.insertSorted(results, item);
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+
+    return results;
+  }
+
+  // Neighbour selection heuristic: prefer candidates that are not already
+  // covered by a closer selected neighbour, then top up with the nearest rest
+  selectNeighbors(candidates, count) {
+    const sorted = [...candidates].sort((a, b) => a.distance - b.distance);
+    const selected = [];
+    const skipped = [];
+
+    for (const candidate of sorted) {
+      if (selected.length >= count) break;
+
+      const candidateVector = this.nodes.get(candidate.key)?.vector;
+      if (!candidateVector) continue;
+
+      const dominated = selected.some(chosen =>
+        this.distance(candidateVector, this.nodes.get(chosen.key).vector) < candidate.distance
+      );
+
+      if (dominated) skipped.push(candidate);
+      else selected.push(candidate);
+    }
+
+    for (const candidate of skipped) {
+      if (selected.length >= count) break;
+      selected.push(candidate);
+    }
+
+    return selected;
+  }
+
+  // Re-pick a node's links at one level from the given candidate keys
+  relink(node, level, candidateKeys) {
+    const candidates = [...new Set(candidateKeys)]
+      .filter(key => key !== node.key && this.nodes.has(key))
+      .map(key => ({ key, distance: this.distance(node.vector, this.nodes.get(key).vector) }));
+
+    node.neighbors[level] = this.selectNeighbors(candidates, this.maxConnections(level)).map(n => n.key);
+  }
+
+  insert(key, vector) {
+    if (this.nodes.has(key)) {
+      this.remove(key);
+    }
+
+    const level = this.randomLevel();
+    const node = {
+      key,
+      vector,
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => [])
+    };
+    this.nodes.set(key, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = key;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entryPoints = [{
+      key: this.entryPoint,
+      distance: this.distance(vector, this.nodes.get(this.entryPoint).vector)
+    }];
+
+    // Descend through the layers above the new node's level
+    for (let currentLevel = this.maxLevel; currentLevel > level; currentLevel--) {
+      entryPoints = this.searchLayer(vector, entryPoints, 1, currentLevel);
+    }
+
+    // Link the node on every layer it belongs to
+    for (let currentLevel = Math.min(level, this.maxLevel); currentLevel >= 0; currentLevel--) {
+      const nearest = this.searchLayer(vector, entryPoints, this.efConstruction, currentLevel);
+      const neighbors = this.selectNeighbors(nearest, this.M);
+      node.neighbors[currentLevel] = neighbors.map(neighbor => neighbor.key);
+
+      neighbors.forEach(({ key: neighborKey }) => {
+        const neighbor = this.nodes.get(neighborKey);
+        neighbor.neighbors[currentLevel].push(key);
+
+        if (neighbor.neighbors[currentLevel].length > this.maxConnections(currentLevel)) {
+          this.relink(neighbor, currentLevel, neighbor.neighbors[currentLevel]);
+        }
+      });
+
+      entryPoints = nearest;
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = key;
+      this.maxLevel = level;
+    }
+  }
+
+  remove(key) {
+    const node = this.nodes.get(key);
+    if (!node) return;
+
+    this.nodes.delete(key);
+
+    // Reconnect the former neighbours through each other
+    node.neighbors.forEach((neighborKeys, level) => {
+      neighborKeys.forEach(neighborKey => {
+        const neighbor = this.nodes.get(neighborKey);
+        if (!neighbor || !neighbor.neighbors[level]) return;
+
+        const remaining = neighbor.neighbors[level].filter(k => k !== key);
+        this.relink(neighbor, level, [...remaining, ...neighborKeys]);
+      });
+    });
+
+    if (this.entryPoint === key) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      this.nodes.forEach(candidate => {
+        if (candidate.level > this.maxLevel) {
+          this.entryPoint = candidate.key;
+          this.maxLevel = candidate.level;
+        }
+      });
+    }
+  }
+
+  // Returns [{ key, distance }] for the k nearest nodes, closest first
+  search(vector, k, ef = this.efSearch) {
+    if (this.entryPoint === null) return [];
+
+    let entryPoints = [{
+      key: this.entryPoint,
+      distance: this.distance(vector, this.nodes.get(this.entryPoint).vector)
+    }];
+
+    for (let level = this.maxLevel; level > 0; level--) {
+      entryPoints = this.searchLayer(vector, entryPoints, 1, level);
+    }
+
+    return this.searchLayer(vector, entryPoints, Math.max(ef, k), 0).slice(0, k);
+  }
+
+  clear() {
+    this.nodes.clear();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+}
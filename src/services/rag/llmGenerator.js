@@ -1,7 +1,17 @@
+import { countTokens } from './tokenizer';
+import { ContextAssembler } from './contextAssembler';
+import { isQuotaError } from '../llm/usageMeter';
+
 export class LLMGenerator {
-  constructor(watsonxService) {
+  constructor(watsonxService, config = {}) {
     this.watsonxService = watsonxService;
     this.promptTemplate = this.getEnhancedPromptTemplate();
+    this.maxConversationTokens = config.maxConversationTokens || 300;
+    this.contextAssembler = new ContextAssembler({
+      model: config.model || watsonxService?.chatModel || null,
+      maxOutputTokens: watsonxService?.maxOutputTokens || 1200,
+      ...(config.maxPromptTokens ? { maxPromptTokens: config.maxPromptTokens } : {})
+    });
   }
 
   getEnhancedPromptTemplate() {
@@ -13,18 +23,24 @@ export class LLMGenerator {
 - Do NOT use general knowledge if it's not in the provided context
 - Be specific about which document or subject area your answer comes from
 - If there's a subject mismatch (e.g., math question but history context), acknowledge this
+- Cite the numbered passages you used inline, right after the statement they support, like [1] or [2][3]
+- Only cite passage numbers that appear in the context below
+- Use the conversation so far only to understand what the question refers to
+
+Conversation so far:
+{conversation}
 
 Context from documents:
 {context}
 
-Student question: {question}
+Student question: {question}{imageAnalysis}
 
 **Response Guidelines:**
 - Provide clear, educational responses using the context above
 - Use markdown formatting for better readability
 - Keep responses concise but informative
 - If context is insufficient, suggest asking about topics covered in the available documents
-- Encourage further learning and questions about the available material
+- Encourage further learning and questions about the available material{instructions}
 
 Answer:`;
   }
@@ -53,8 +69,12 @@ Answer:`;
       docs.forEach((doc) => {
         const title = doc.metadata?.title || 'Unknown Document';
         const relevanceInfo = doc.rerankScore ? ` (Relevance: ${doc.rerankScore.toFixed(2)})` : '';
+        const section = doc.metadata?.section ? ` - ${doc.metadata.section}` : '';
+        const page = doc.metadata?.pageNumber ? `, page ${doc.metadata.pageNumber}` : '';
+        const figure = doc.metadata?.figureLabel ? `, ${doc.metadata.figureLabel} (description of the figure)` : '';
         
-        contextParts.push(`Document: "${title}"${relevanceInfo}`);
+        // Passages are numbered in retrieval order so [n] maps back to context[n - 1]
+        contextParts.push(`[${doc.index + 1}] Document: "${title}"${page}${figure}${section}${relevanceInfo}`);
         contextParts.push(doc.content);
         contextParts.push('---');
       });
@@ -63,13 +83,105 @@ Answer:`;
     return contextParts.join('\n\n');
   }
 
-  // Generate response using the LLM with enhanced error handling
-  async generate(context, question) {
+  // Bounded summary of the recent conversation, newest turns kept first.
+  // Answers are cut to their opening sentences and stripped of citation markers.
+  formatConversation(history = [], maxTokens = this.maxConversationTokens) {
+    const turns = (history || []).filter(turn => turn?.content);
+    if (turns.length === 0) {
+      return 'No previous messages.';
+    }
+    
+    const lines = [];
+    let tokens = 0;
+    
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const turn = turns[i];
+      const text = turn.role === 'user'
+        ? this.shorten(turn.content, 200)
+        : this.shorten(turn.content.replace(/\s*\[\d+\]/g, '').replace(/[*#`]/g, ''), 300, 2);
+      const line = `${turn.role === 'user' ? 'Student' : 'EduBot'}: ${text}`;
+      const lineTokens = countTokens(line);
+      
+      if (tokens + lineTokens > maxTokens) {
+        lines.unshift(`(${i + 1} earlier messages omitted)`);
+        break;
+      }
+      
+      lines.unshift(line);
+      tokens += lineTokens;
+    }
+    
+    return lines.join('\n');
+  }
+
+  // Flatten whitespace and cut to a number of sentences and characters
+  shorten(text, maxLength, maxSentences = null) {
+    let flat = text.replace(/\s+/g, ' ').trim();
+    
+    if (maxSentences) {
+      const sentences = flat.match(/[^.!?]+[.!?]+(\s|$)/g);
+      if (sentences && sentences.length > maxSentences) {
+        flat = sentences.slice(0, maxSentences).join('').trim();
+      }
+    }
+    
+    return flat.length > maxLength ? flat.substring(0, maxLength) + '…' : flat;
+  }
+
+  // Fill the template within the model's token budget. The question, extra answer
+  // instructions (options.instructions, e.g. ELI5) and the analysis of an attached
+  // image (options.imageAnalysis, capped) are always included; the conversation gets
+  // up to maxConversationTokens of what is left, and the passages get the rest.
+  // Returns the prompt and the passages it holds, which may be fewer or condensed.
+  buildPrompt(context, question, history = [], searchQuery = null, options = {}) {
+    const assembler = this.contextAssembler;
+    const budget = assembler.getBudget();
+    const fullQuestion = searchQuery && searchQuery !== question
+      ? `${question}\n(Interpreted as: ${searchQuery})`
+      : question;
+    const imageAnalysis = options.imageAnalysis
+      ? `\n\nAnalysis of the image the student attached:\n${assembler.truncate(options.imageAnalysis, assembler.config.maxImageAnalysisTokens)}`
+      : '';
+    const instructions = options.instructions ? `\n- ${options.instructions}` : '';
+    
+    const fill = (conversation, formattedContext) => this.promptTemplate
+      .replace('{conversation}', conversation)
+      .replace('{context}', formattedContext)
+      .replace('{question}', fullQuestion)
+      .replace('{imageAnalysis}', imageAnalysis)
+      .replace('{instructions}', instructions);
+    
+    const fixedTokens = countTokens(fill('', ''));
+    // Passages matter more than history, so the conversation takes at most a third of the rest
+    const conversation = this.formatConversation(history, Math.min(this.maxConversationTokens, Math.max(0, Math.floor((budget - fixedTokens) / 3))));
+    const contextBudget = budget - fixedTokens - countTokens(conversation);
+    const passages = assembler.fitPassages(context || [], searchQuery || question, contextBudget, docs => countTokens(this.formatContext(docs)));
+    const prompt = fill(conversation, this.formatContext(passages));
+    
+    console.log(`🧮 Prompt ${countTokens(prompt)}/${budget} tokens (conversation ${countTokens(conversation)}, ${passages.length}/${(context || []).length} passages)`);
+    
+    return { prompt, passages };
+  }
+
+  // Generate response using the LLM with enhanced error handling.
+  // searchQuery is the standalone rewrite of a follow-up question, if any.
+  // context should already fit the prompt budget (see buildPrompt); passages that
+  // do not are condensed or dropped here as well.
+  // With options.onToken the answer is streamed: onToken(delta, textSoFar) runs
+  // for every chunk and options.signal cancels the stream.
+  // options.trace, if given, receives the prompt, the raw model output and any fallback used.
+  // options.builtPrompt passes the result of buildPrompt when the caller already built it.
+  async generate(context, question, history = [], searchQuery = null, options = {}) {
+    const trace = options.trace || {};
     try {
-      const formattedContext = this.formatContext(context);
-      const prompt = this.promptTemplate
-        .replace('{context}', formattedContext)
-        .replace('{question}', question);
+      const { prompt, passages } = options.builtPrompt || this.buildPrompt(context, question, history, searchQuery, options);
+      context = passages;
+      Object.assign(trace, {
+        prompt,
+        promptTokens: countTokens(prompt),
+        promptBudget: this.contextAssembler.getBudget(),
+        condensedPassages: passages.filter(passage => passage.truncated).length
+      });
       
       console.log('🤖 Generating response with enhanced context from', context.length, 'documents');
       
@@ -80,25 +192,72 @@ Answer:`;
       }
       
       // Use the existing Watsonx service
-      const response = await this.watsonxService.sendMessage(prompt);
+      let response = '';
+      if (options.onToken) {
+        for await (const delta of this.watsonxService.streamMessage(prompt, '', false, null, { signal: options.signal })) {
+          response += delta;
+          options.onToken(delta, response);
+        }
+      } else {
+        response = await this.watsonxService.sendMessage(prompt);
+      }
+      trace.output = response;
       
       // Enhanced response validation
       if (!response || response.trim().length === 0) {
+        trace.fallback = 'empty_response';
         return this.generateNoResponseFallback(question, context);
       }
       
       // Check if response indicates lack of relevant context
       if (this.isInsufficientContextResponse(response)) {
+        trace.fallback = 'insufficient_context';
         return this.generateInsufficientContextResponse(question, context);
       }
       
-      return response;
+      return this.validateCitations(response, context.length).response;
     } catch (error) {
+      if (error.name === 'AbortError' || isQuotaError(error)) throw error;
+      
       console.error('Error generating enhanced LLM response:', error);
+      trace.fallback = 'error';
+      trace.error = error.message;
       return this.generateErrorResponse(question, context, error);
     }
   }
 
+  // Normalize citation markers to [n] form and drop any that point past the
+  // numbered passages. Returns the cleaned response and the cited numbers.
+  validateCitations(response, passageCount) {
+    const cited = new Set();
+    const invalid = new Set();
+    
+    const cleaned = response.replace(/(\s*)\[(\d+(?:\s*[,;–-]\s*\d+)*)\]/g, (match, space, list) => {
+      const numbers = [];
+      list.split(/\s*[,;]\s*/).forEach(part => {
+        const [start, end = start] = part.split(/\s*[–-]\s*/).map(Number);
+        for (let n = start; n <= end && n - start < passageCount; n++) {
+          numbers.push(n);
+        }
+      });
+      
+      const valid = numbers.filter(n => n >= 1 && n <= passageCount);
+      numbers.filter(n => !valid.includes(n)).forEach(n => invalid.add(n));
+      valid.forEach(n => cited.add(n));
+      
+      return valid.length > 0 ? space + valid.map(n => `[${n}]`).join('') : '';
+    });
+    
+    if (invalid.size > 0) {
+      console.warn(`⚠️ Removed citations to missing passages: ${[...invalid].join(', ')}`);
+    }
+    
+    return {
+      response: cleaned,
+      cited: [...cited].sort((a, b) => a - b)
+    };
+  }
+
   // Check if the response indicates insufficient context
   isInsufficientContextResponse(response) {
     const insufficientIndicators = [
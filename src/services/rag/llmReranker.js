@@ -0,0 +1,148 @@
+// Reranking strategy that asks the language model how well each candidate passage
+// answers the question. Passages are graded 0-10 in batches, one prompt per batch,
+// and the scores are cached per question and chunk, so repeated questions cost no
+// model calls.
+export class LLMReranker {
+  constructor(llm, config = {}) {
+    this.id = 'llm';
+    this.llm = llm; // Anything with sendMessage(prompt, ...), e.g. WatsonxService
+    this.config = {
+      batchSize: 6, // Passages graded per prompt
+      maxCandidates: 12, // Only the best retrieved passages are graded
+      maxPassageLength: 600, // Characters of each passage shown to the model
+      minScore: 0.4, // Normalized score (grade / 10) a passage needs to be kept
+      maxCacheSize: 1000,
+      ...config
+    };
+    this.minScore = this.config.minScore;
+    this.cache = new Map();
+    this.cacheHits = 0;
+    this.cacheMisses = 0;
+  }
+
+  async score(query, documents) {
+    const candidates = documents.slice(0, this.config.maxCandidates);
+    const scores = new Array(candidates.length).fill(null);
+    const reasons = new Array(candidates.length).fill(null);
+    const pending = [];
+
+    candidates.forEach((doc, index) => {
+      const cached = this.cache.get(this.cacheKey(query, doc));
+      if (cached !== undefined) {
+        scores[index] = cached;
+        reasons[index] = `model grade ${Math.round(cached * 10)}/10 (cached)`;
+        this.cacheHits++;
+      } else {
+        pending.push(index);
+        this.cacheMisses++;
+      }
+    });
+
+    for (let i = 0; i < pending.length; i += this.config.batchSize) {
+      const batch = pending.slice(i, i + this.config.batchSize);
+      const batchScores = await this.scoreBatch(query, batch.map(index => candidates[index]));
+
+      batch.forEach((index, position) => {
+        const score = batchScores[position];
+        if (score === null) {
+          // The model skipped this passage; count it as irrelevant but ask again next time
+          scores[index] = 0;
+          reasons[index] = 'not graded by the model';
+          return;
+        }
+        scores[index] = score;
+        reasons[index] = `model grade ${Math.round(score * 10)}/10`;
+        this.cacheScore(this.cacheKey(query, candidates[index]), score);
+      });
+    }
+
+    console.log(`🧑‍⚖️ LLM reranker graded ${pending.length} passages (${candidates.length - pending.length} from cache)`);
+
+    return candidates.map((doc, index) => ({
+      ...doc,
+      rerankScore: scores[index],
+      relevanceScore: scores[index],
+      rerankReason: reasons[index]
+    }));
+  }
+
+  // Grade one batch; throws when the output has no usable scores so the caller can fall back
+  async scoreBatch(query, documents) {
+    const response = await this.llm.sendMessage(this.buildPrompt(query, documents), '', false, null, false, { feature: 'rerank', followUpHint: false });
+    const scores = this.parseScores(response, documents.length);
+
+    if (scores.every(score => score === null)) {
+      throw new Error('model output contained no relevance scores');
+    }
+
+    return scores;
+  }
+
+  buildPrompt(query, documents) {
+    const passages = documents.map((doc, index) => {
+      const text = doc.content.replace(/\s+/g, ' ').trim();
+      const shown = text.length > this.config.maxPassageLength
+        ? text.substring(0, this.config.maxPassageLength) + '…'
+        : text;
+      return `[${index + 1}] ${shown}`;
+    });
+
+    return `Rate how relevant each passage is to the student's question, from 0 (unrelated) to 10 (directly answers it). Judge only whether the passage helps answer the question.
+
+Question: ${query}
+
+Passages:
+${passages.join('\n\n')}
+
+Reply with one line per passage in the form "[number] score", for example:
+[1] 7
+[2] 0
+
+Scores:`;
+  }
+
+  // Normalized scores (0-1) by passage position; null where the model gave none
+  parseScores(response, count) {
+    const scores = new Array(count).fill(null);
+
+    for (const match of (response || '').matchAll(/(?:\[(\d+)\]|passage\s+(\d+))\s*[:=\-–]?\s*(\d+(?:\.\d+)?)/gi)) {
+      const position = Number(match[1] || match[2]) - 1;
+      if (position < 0 || position >= count || scores[position] !== null) continue;
+      scores[position] = Math.min(10, Math.max(0, Number(match[3]))) / 10;
+    }
+
+    return scores;
+  }
+
+  // Chunk ids are reused when a document is re-indexed, so the content length is
+  // part of the key to avoid serving a grade for old text
+  cacheKey(query, doc) {
+    return `${query.trim().toLowerCase()}\n${doc.chunkId}:${doc.content.length}`;
+  }
+
+  cacheScore(key, score) {
+    if (this.cache.size >= this.config.maxCacheSize) {
+      // Maps iterate in insertion order, so this evicts the oldest entry
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, score);
+  }
+
+  getStats() {
+    const lookups = this.cacheHits + this.cacheMisses;
+    return {
+      cacheSize: this.cache.size,
+      cacheHitRate: lookups > 0 ? this.cacheHits / lookups : null
+    };
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  // Update configuration
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+    this.minScore = this.config.minScore;
+  }
+}
@@ -0,0 +1,119 @@
+import { tokenize } from './tokenizer';
+
+// Deterministic stand-in for WatsonxService in evaluation runs. RAG prompts are
+// answered extractively: the context sentences that share the most terms with
+// the question are returned with the [n] marker of their passage. The same
+// prompt always produces the same answer, so metric changes come from the
+// retrieval configuration rather than model randomness.
+export class MockLLM {
+  constructor(config = {}) {
+    this.maxSentences = config.maxSentences || 2;
+    this.calls = 0;
+  }
+
+  async sendMessage(prompt) {
+    this.calls++;
+    return this.respond(prompt);
+  }
+
+  async *streamMessage(prompt) {
+    this.calls++;
+    for (const word of this.respond(prompt).match(/\S+\s*/g) || []) {
+      yield word;
+    }
+  }
+
+  respond(prompt) {
+    if (prompt.startsWith('Rewrite the student')) {
+      return this.rewriteFollowUp(prompt);
+    }
+
+    if (prompt.startsWith('Rate how relevant')) {
+      return this.gradePassages(prompt);
+    }
+
+    if (prompt.startsWith('Check each claim')) {
+      return this.judgeClaims(prompt);
+    }
+
+    const question = (prompt.match(/Student question: ([\s\S]*?)\n\n\*\*Response Guidelines/) || [])[1] || prompt;
+    const passages = this.parsePassages(prompt);
+    const questionTerms = new Set(tokenize(question));
+
+    const scored = passages.flatMap(passage =>
+      passage.content
+        .split(/(?<=[.!?])\s+/)
+        .map(sentence => ({
+          marker: passage.marker,
+          sentence: sentence.trim(),
+          score: tokenize(sentence).filter(term => questionTerms.has(term)).length
+        }))
+    )
+      .filter(item => item.score > 0 && item.sentence.length > 0)
+      .sort((a, b) => b.score - a.score || a.marker - b.marker);
+
+    if (scored.length === 0) {
+      return "I don't have enough information in the uploaded documents to answer this question.";
+    }
+
+    return scored
+      .slice(0, this.maxSentences)
+      .map(item => `${item.sentence} [${item.marker}]`)
+      .join(' ');
+  }
+
+  // Numbered passages as written by LLMGenerator.formatContext
+  parsePassages(prompt) {
+    return [...prompt.matchAll(/\[(\d+)\] Document: [^\n]*\n\n([\s\S]*?)\n\n---/g)]
+      .map(match => ({ marker: Number(match[1]), content: match[2] }));
+  }
+
+  // Grade LLMReranker passages 0-10 by the share of question terms they contain
+  gradePassages(prompt) {
+    const question = (prompt.match(/^Question: (.*)$/m) || [])[1] || '';
+    const questionTerms = new Set(tokenize(question));
+    const passages = [...prompt.matchAll(/^\[(\d+)\] (.*)$/gm)]
+      .filter(match => !/^\d+$/.test(match[2].trim())); // Skip the "[1] 7" format example
+
+    return passages.map(match => {
+      const passageTerms = new Set(tokenize(match[2]));
+      const shared = [...questionTerms].filter(term => passageTerms.has(term)).length;
+      const grade = questionTerms.size > 0 ? Math.round((10 * shared) / questionTerms.size) : 0;
+      return `[${match[1]}] ${grade}`;
+    }).join('\n');
+  }
+
+  // GroundednessChecker verdicts: a claim is supported when one passage holds
+  // at least 60% of its terms
+  judgeClaims(prompt) {
+    const passages = [...prompt.matchAll(/^\[(\d+)\] (.*)$/gm)].map(match => ({
+      marker: Number(match[1]),
+      terms: new Set(tokenize(match[2]))
+    }));
+    const claims = [...prompt.matchAll(/^\((\d+)\) (.*)$/gm)]
+      .filter(match => !/^(SUPPORTED|NOT FOUND)/.test(match[2]));
+
+    return claims.map(match => {
+      const claimTerms = new Set(tokenize(match[2]));
+      const best = passages
+        .map(passage => ({
+          marker: passage.marker,
+          coverage: [...claimTerms].filter(term => passage.terms.has(term)).length / (claimTerms.size || 1)
+        }))
+        .sort((a, b) => b.coverage - a.coverage)[0];
+
+      return best && best.coverage >= 0.6
+        ? `(${match[1]}) SUPPORTED [${best.marker}]`
+        : `(${match[1]}) NOT FOUND`;
+    }).join('\n');
+  }
+
+  // Prefix the last student question, as QueryRewriter's own fallback does
+  rewriteFollowUp(prompt) {
+    const followUp = (prompt.match(/Follow-up question: (.*)/) || [])[1] || '';
+    const studentLines = [...prompt.matchAll(/^Student: (.*)$/gm)].map(match => match[1]);
+    const previous = studentLines[studentLines.length - 1];
+
+    return previous ? `${previous} ${followUp}` : followUp;
+  }
+}
@@ -0,0 +1,111 @@
+// Turns follow-up questions ("what about its trade routes?") into standalone
+// search queries using the recent conversation
+export class QueryRewriter {
+  constructor(watsonxService, config = {}) {
+    this.watsonxService = watsonxService;
+    this.config = {
+      maxHistoryTurns: 3, // Exchanges considered when rewriting
+      maxQueryLength: 300,
+      ...config
+    };
+  }
+
+  // Questions that lean on earlier turns: pronouns, "what about ...", or too short to stand alone
+  isFollowUp(question) {
+    const text = question.trim().toLowerCase();
+    const words = text.split(/\s+/).filter(Boolean);
+
+    if (/^(and|but|also|so|then|what about|how about|why|why not|what else|tell me more|explain (that|it|this)|more)\b/.test(text)) {
+      return true;
+    }
+
+    if (/\b(it|its|it's|they|them|their|theirs|this|that|these|those|he|him|his|she|her|hers|there|then|former|latter|same)\b/.test(text)) {
+      return true;
+    }
+
+    return words.length <= 3;
+  }
+
+  // Standalone version of the question for retrieval; returns the question
+  // unchanged when there is no history or it already stands alone
+  async rewrite(question, history = []) {
+    const recentTurns = this.getRecentTurns(history);
+
+    if (recentTurns.length === 0 || !this.isFollowUp(question)) {
+      return question;
+    }
+
+    try {
+      const prompt = `Rewrite the student's follow-up question as a single standalone question that can be understood without the conversation. Replace pronouns and vague references with the topics they refer to. Do not answer the question.
+
+Conversation:
+${recentTurns.map(turn => `${turn.role === 'user' ? 'Student' : 'Assistant'}: ${this.truncate(turn.content, 400)}`).join('\n')}
+
+Follow-up question: ${question}
+
+Standalone question:`;
+
+      // Metered on its own, so the usage page tells rewrites apart from answers
+      const response = await this.watsonxService.sendMessage(prompt, '', false, null, false, { feature: 'rewrite', followUpHint: false });
+      const rewritten = this.cleanRewrite(response);
+
+      if (rewritten) {
+        console.log(`✏️ Rewrote follow-up "${question}" as "${rewritten}"`);
+        return rewritten;
+      }
+    } catch (error) {
+      console.warn('⚠️ Query rewriting failed, using conversation fallback:', error.message);
+    }
+
+    return this.fallbackRewrite(question, recentTurns);
+  }
+
+  // Take the first line of the model output and strip labels and quotes;
+  // null when it doesn't look like a question rewrite
+  cleanRewrite(response) {
+    if (!response) return null;
+
+    const line = response
+      .split('\n')
+      .map(text => text.trim())
+      .find(text => text.length > 0);
+
+    if (!line) return null;
+
+    const cleaned = line
+      .replace(/^(standalone question|question|rewritten question)\s*:\s*/i, '')
+      .replace(/^["'“]+|["'”]+$/g, '')
+      .trim();
+
+    if (cleaned.length < 3 || cleaned.length > this.config.maxQueryLength) {
+      return null;
+    }
+
+    return cleaned;
+  }
+
+  // Without a model, prefix the previous student question so retrieval still
+  // sees the topic the follow-up refers to
+  fallbackRewrite(question, recentTurns) {
+    const previousQuestion = [...recentTurns].reverse().find(turn => turn.role === 'user');
+    if (!previousQuestion) return question;
+
+    return `${this.truncate(previousQuestion.content, 200)} ${question}`;
+  }
+
+  getRecentTurns(history) {
+    return (history || [])
+      .filter(turn => turn && turn.content && (turn.role === 'user' || turn.role === 'assistant'))
+      .slice(-this.config.maxHistoryTurns * 2);
+  }
+
+  truncate(text, maxLength) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return flat.length > maxLength ? flat.substring(0, maxLength) + '…' : flat;
+  }
+
+  // Update configuration
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
+}
@@ -0,0 +1,246 @@
+import { RAGPipeline } from './ragPipeline';
+import { MockLLM } from './mockLLM';
+import { tokenize } from './tokenizer';
+
+const METRICS = [
+  { key: 'mrr', label: 'MRR' },
+  { key: 'citationAccuracy', label: 'Citation accuracy' },
+  { key: 'answerOverlap', label: 'Answer overlap (F1)' },
+  { key: 'groundedness', label: 'Grounded claims' },
+  { key: 'abstentionAccuracy', label: 'Out-of-scope abstention' },
+  { key: 'avgLatencyMs', label: 'Avg latency (ms)' }
+];
+
+// Runs a golden question set through RAGPipeline.query with a deterministic mock
+// LLM and scores retrieval (recall@k, MRR), citations and answers, so chunking
+// and retrieval settings can be compared side by side.
+//
+// Golden set shape:
+//   { name, documents: [{ id, title, subject, content, format? }],
+//     questions: [{ id, question, history?, expectedDocumentIds, referenceAnswer }] }
+export class RAGEvaluator {
+  constructor(goldenSet, options = {}) {
+    this.goldenSet = RAGEvaluator.validateGoldenSet(goldenSet);
+    this.ks = options.ks || [1, 3, 5];
+    this.createLLM = options.createLLM || (() => new MockLLM());
+    this.documents = this.goldenSet.documents.map(doc => this.toDocument(doc));
+  }
+
+  // Throws with a readable message when a set is malformed
+  static validateGoldenSet(goldenSet) {
+    if (!goldenSet || !Array.isArray(goldenSet.documents) || !Array.isArray(goldenSet.questions)) {
+      throw new Error('Golden set must have "documents" and "questions" arrays');
+    }
+
+    const documentIds = new Set();
+    goldenSet.documents.forEach((doc, index) => {
+      if (!doc.id || !doc.title || typeof doc.content !== 'string') {
+        throw new Error(`Golden document ${index + 1} needs an id, title and content`);
+      }
+      documentIds.add(doc.id);
+    });
+
+    goldenSet.questions.forEach((question, index) => {
+      if (!question.question || !Array.isArray(question.expectedDocumentIds)) {
+        throw new Error(`Golden question ${index + 1} needs a question and expectedDocumentIds`);
+      }
+      const unknown = question.expectedDocumentIds.filter(id => !documentIds.has(id));
+      if (unknown.length > 0) {
+        throw new Error(`Golden question "${question.id || index + 1}" expects unknown documents: ${unknown.join(', ')}`);
+      }
+    });
+
+    return goldenSet;
+  }
+
+  // Shape a golden document like a row of the documents table
+  toDocument(doc) {
+    const bytes = new TextEncoder().encode(doc.content);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+
+    const mimeType = doc.format === 'text' ? 'text/plain' : 'text/markdown';
+
+    return {
+      id: doc.id,
+      title: doc.title,
+      subject: doc.subject || 'General',
+      created_at: 'golden',
+      file_url: `data:${mimeType};base64,${btoa(binary)}`
+    };
+  }
+
+  // Standard variants of a base configuration for side-by-side runs
+  static defaultVariants(baseConfig) {
+    return [
+      { name: 'Current', config: baseConfig },
+      { name: 'Small chunks', config: { ...baseConfig, chunkSize: 150, chunkOverlap: 20 } },
+      { name: 'Wider retrieval', config: { ...baseConfig, retrievalTopK: 15 } },
+      { name: 'Lower threshold', config: { ...baseConfig, minRelevanceThreshold: 0.15 } },
+      { name: 'Vector only', config: { ...baseConfig, hybridSearch: false } },
+      { name: 'LLM reranker', config: { ...baseConfig, rerankerStrategy: 'llm' } }
+    ];
+  }
+
+  // Evaluate one configuration
+  async evaluate(config = {}, name = 'Default') {
+    console.log(`🧪 Evaluating RAG configuration "${name}" on ${this.goldenSet.questions.length} questions...`);
+
+    // Every question is answered fresh, so paraphrases in the set cannot hit the answer cache
+    const pipeline = new RAGPipeline(this.createLLM(), { ...config, persistIndex: false, answerCache: false });
+    await pipeline.initialize(this.documents);
+
+    const questions = [];
+    for (const item of this.goldenSet.questions) {
+      const startTime = performance.now();
+      const result = await pipeline.query(item.question, this.documents, item.history || []);
+      const latencyMs = performance.now() - startTime;
+
+      questions.push(this.scoreQuestion(item, result, latencyMs));
+    }
+
+    const report = {
+      name,
+      config,
+      questionCount: questions.length,
+      chunkCount: pipeline.vectorStore.getDocumentCount(),
+      metrics: this.aggregate(questions),
+      questions
+    };
+
+    console.log(`📊 "${name}": ${this.ks.map(k => `recall@${k} ${this.formatValue(report.metrics[`recall@${k}`])}`).join(', ')}, MRR ${this.formatValue(report.metrics.mrr)}`);
+    return report;
+  }
+
+  // Evaluate several configurations in turn: [{ name, config }]
+  async compare(configs) {
+    const reports = [];
+    for (const { name, config } of configs) {
+      reports.push(await this.evaluate(config, name));
+    }
+    return reports;
+  }
+
+  scoreQuestion(item, result, latencyMs) {
+    const expected = new Set(item.expectedDocumentIds);
+
+    // Document ranking by first appearance among retrieved chunks
+    const ranking = [];
+    (result.retrievedDocuments || []).forEach(doc => {
+      if (doc.id && !ranking.includes(doc.id)) ranking.push(doc.id);
+    });
+
+    const cited = (result.sourceDocuments || []).filter(source => source.cited);
+    const scores = { id: item.id, question: item.question, rewrittenQuery: result.rewrittenQuery, latencyMs, ranking };
+
+    if (expected.size === 0) {
+      // Out-of-scope: the answer should not cite any passage
+      scores.abstained = cited.length === 0;
+      return scores;
+    }
+
+    this.ks.forEach(k => {
+      const found = ranking.slice(0, k).filter(id => expected.has(id)).length;
+      scores[`recall@${k}`] = found / expected.size;
+    });
+
+    const firstRelevant = ranking.findIndex(id => expected.has(id));
+    scores.reciprocalRank = firstRelevant === -1 ? 0 : 1 / (firstRelevant + 1);
+
+    scores.citationAccuracy = cited.length > 0
+      ? cited.filter(source => expected.has(source.id)).length / cited.length
+      : 0;
+
+    scores.groundedness = result.groundedness?.score ?? null;
+
+    scores.answerOverlap = item.referenceAnswer
+      ? this.tokenF1(result.response || '', item.referenceAnswer)
+      : null;
+
+    return scores;
+  }
+
+  // Token-level F1 between an answer and the reference, ignoring citation markers
+  tokenF1(answer, reference) {
+    const answerTerms = tokenize(answer.replace(/\[\d+\]/g, ''));
+    const referenceTerms = tokenize(reference);
+    if (answerTerms.length === 0 || referenceTerms.length === 0) return 0;
+
+    const remaining = new Map();
+    referenceTerms.forEach(term => remaining.set(term, (remaining.get(term) || 0) + 1));
+
+    let overlap = 0;
+    answerTerms.forEach(term => {
+      if (remaining.get(term) > 0) {
+        overlap++;
+        remaining.set(term, remaining.get(term) - 1);
+      }
+    });
+
+    if (overlap === 0) return 0;
+    const precision = overlap / answerTerms.length;
+    const recall = overlap / referenceTerms.length;
+    return (2 * precision * recall) / (precision + recall);
+  }
+
+  aggregate(questions) {
+    const average = (values) => {
+      const present = values.filter(value => value !== null && value !== undefined);
+      return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+    };
+
+    const answerable = questions.filter(question => question.abstained === undefined);
+    const outOfScope = questions.filter(question => question.abstained !== undefined);
+
+    const metrics = {};
+    this.ks.forEach(k => {
+      metrics[`recall@${k}`] = average(answerable.map(question => question[`recall@${k}`]));
+    });
+    metrics.mrr = average(answerable.map(question => question.reciprocalRank));
+    metrics.citationAccuracy = average(answerable.map(question => question.citationAccuracy));
+    metrics.answerOverlap = average(answerable.map(question => question.answerOverlap));
+    metrics.groundedness = average(answerable.map(question => question.groundedness));
+    metrics.abstentionAccuracy = average(outOfScope.map(question => (question.abstained ? 1 : 0)));
+    metrics.avgLatencyMs = average(questions.map(question => question.latencyMs));
+
+    return metrics;
+  }
+
+  // Rows of metric values, one column per report, for tables
+  getComparisonRows(reports) {
+    const metrics = [
+      ...this.ks.map(k => ({ key: `recall@${k}`, label: `Recall@${k}` })),
+      ...METRICS
+    ];
+
+    return metrics.map(({ key, label }) => {
+      const values = reports.map(report => report.metrics[key]);
+      const scored = values.filter(value => value !== null);
+      // Highest score wins, except latency where lowest wins
+      const best = scored.length > 1
+        ? (key === 'avgLatencyMs' ? Math.min(...scored) : Math.max(...scored))
+        : null;
+
+      return { key, label, values, best };
+    });
+  }
+
+  // Markdown table comparing reports side by side
+  formatComparison(reports) {
+    const header = `| Metric | ${reports.map(report => report.name).join(' | ')} |`;
+    const divider = `|---|${reports.map(() => '---').join('|')}|`;
+    const rows = this.getComparisonRows(reports).map(row =>
+      `| ${row.label} | ${row.values.map(value => this.formatValue(value, row.key)).join(' | ')} |`
+    );
+
+    return [header, divider, ...rows].join('\n');
+  }
+
+  formatValue(value, key = null) {
+    if (value === null || value === undefined) return 'n/a';
+    if (key === 'avgLatencyMs') return value.toFixed(0);
+    return value.toFixed(3);
+  }
+}
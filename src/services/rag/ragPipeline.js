@@ -3,6 +3,15 @@ import { EmbeddingManager } from './embeddingManager';
 import { VectorStore } from './vectorStore';
 import { Reranker } from './reranker';
 import { LLMGenerator } from './llmGenerator';
+import { QueryRewriter } from './queryRewriter';
+import { GroundednessChecker } from './groundednessChecker';
+import { FigureCaptioner } from './figureCaptioner';
+import { RAGTrace } from './ragTrace';
+import { SemanticAnswerCache } from './answerCache';
+import { DocumentSummarizer } from './documentSummarizer';
+import { hasFilters, matchesFilters, describeFilters } from './retrievalFilters';
+import { DatabaseService } from '../supabase';
+import { isQuotaError } from '../llm/usageMeter';
 
 export class RAGPipeline {
   constructor(watsonxService, config = {}) {
@@ -10,56 +19,169 @@ export class RAGPipeline {
     
     // Enhanced configuration with better defaults
     this.config = {
-      chunkSize: 500,
-      chunkOverlap: 50,
+      chunkSize: 300, // Model tokens
+      chunkOverlap: 40,
       retrievalTopK: 15, // Increased for better recall
+      hybridSearch: true, // Fuse BM25 keyword ranking with vector ranking
+      vectorWeight: 1.0,
+      lexicalWeight: 1.0,
+      rrfK: 60,
+      vectorIndex: 'auto', // 'exact', 'hnsw', or 'auto' (HNSW once annThreshold chunks are indexed)
+      annThreshold: 5000,
+      annEfSearch: 64,
       rerankerTopN: 3,
-      embeddingModel: 'enhanced',
+      rerankerStrategy: 'heuristic', // 'heuristic' (keyword scoring) or 'llm' (model-graded, falls back to heuristic)
+      llmRerankerBatchSize: 6,
+      llmRerankerMinScore: 0.4, // Grade / 10 a passage needs under the LLM strategy
+      embeddingModel: 'tfidf', // 'tfidf' (learned from the corpus) or 'sentence' (local model)
+      embeddingEndpoint: null,
+      embeddingModelName: null,
+      persistIndex: true, // Load and save chunk embeddings in Supabase (off for evaluation runs)
+      figureIndexing: true, // Describe document figures with the vision model and index them as chunks
+      maxFiguresPerDocument: 20,
+      embeddingBatchSize: 64, // Chunks embedded between progress reports
       minRelevanceThreshold: 0.3, // Filter out irrelevant documents
+      queryRewriting: true, // Rewrite follow-up questions into standalone queries
+      maxHistoryTurns: 3, // Chat exchanges used for rewriting
+      maxConversationTokens: 300, // Budget for the conversation summary in the prompt
+      maxPromptTokens: 6000, // Prompt cap; lowered further to fit the model's context window
+      generationModel: null, // Model id for the context window; defaults to the service's chat model
+      groundednessCheck: true, // Verify answer claims against the passages after generation
+      groundednessMethod: 'llm', // 'llm' (model judges claims, falls back to lexical) or 'lexical'
+      answerCache: true, // Answer near-identical questions about the same documents from a cache
+      answerCacheThreshold: 0.92, // Question embedding similarity needed for a cache hit
+      answerCacheTtlHours: 24,
+      persistAnswerCache: true, // Keep each user's cached answers in Supabase (needs persistIndex)
       subjectAwareRanking: true,
       semanticFiltering: true,
       ...config
     };
     
     // Initialize components with enhanced configurations
+    this.figureCaptioner = new FigureCaptioner(watsonxService);
     this.documentProcessor = new DocumentProcessor({
       chunkSize: this.config.chunkSize,
-      chunkOverlap: this.config.chunkOverlap
+      chunkOverlap: this.config.chunkOverlap,
+      maxFigures: this.config.maxFiguresPerDocument,
+      figureCaptioner: this.config.figureIndexing ? this.figureCaptioner : null
     });
     
     this.embeddingManager = new EmbeddingManager({
-      model: this.config.embeddingModel
+      model: this.config.embeddingModel,
+      endpoint: this.config.embeddingEndpoint,
+      modelName: this.config.embeddingModelName
     });
     
-    this.vectorStore = new VectorStore(this.embeddingManager);
+    this.vectorStore = new VectorStore(this.embeddingManager, this.getRetrievalConfig());
     
-    this.reranker = new Reranker({
-      topN: this.config.rerankerTopN,
-      minRelevanceThreshold: this.config.minRelevanceThreshold
+    this.watsonxService = watsonxService;
+    this.reranker = new Reranker(this.getRerankerConfig());
+    
+    this.llmGenerator = new LLMGenerator(watsonxService, {
+      maxConversationTokens: this.config.maxConversationTokens,
+      maxPromptTokens: this.config.maxPromptTokens,
+      model: this.config.generationModel
     });
     
-    this.llmGenerator = new LLMGenerator(watsonxService);
+    this.queryRewriter = new QueryRewriter(watsonxService, {
+      maxHistoryTurns: this.config.maxHistoryTurns
+    });
+    
+    this.answerCache = new SemanticAnswerCache(this.embeddingManager, this.getAnswerCacheConfig());
+    
+    this.summarizer = new DocumentSummarizer(watsonxService, {
+      persist: this.config.persistIndex
+    });
+    
+    this.groundednessChecker = new GroundednessChecker(watsonxService, this.documentProcessor, {
+      method: this.config.groundednessMethod
+    });
     
     // State
     this.isInitialized = false;
     this.lastDocumentLoad = null;
     this.lastDocumentHash = null;
     this.documentSubjects = new Map(); // Track document subjects for better filtering
+    this.documentFilterFields = new Map(); // documentId -> document fields used by retrieval filters
+    this.indexedVersions = new Map(); // documentId -> index version currently in the vector store
+    this.contentHashes = new Map(); // documentId -> { content, hash } of the stored file
+    this.figureJobs = new Map(); // documentId -> { version, promise } while its figures are captioned
+    this.pendingInitialization = null; // { hash, promise } while documents are being indexed
+    this.progressListeners = new Set();
     
     console.log('✅ Enhanced RAG Pipeline components initialized');
   }
 
+  // 32-bit FNV-1a fingerprint of a string, hex encoded
+  fingerprint(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
   // Enhanced document hash generation with subject tracking
   generateDocumentHash(documents) {
+    this.documentFilterFields.clear();
     if (!documents || documents.length === 0) return 'empty';
     
     const docInfo = documents.map(doc => {
-      // Track subjects for filtering
+      // Track subjects and filter fields
       this.documentSubjects.set(doc.id, doc.subject?.toLowerCase() || 'general');
-      return `${doc.id}-${doc.title}-${doc.subject}-${doc.created_at}`;
+      this.documentFilterFields.set(doc.id, {
+        id: doc.id,
+        subject: doc.subject,
+        uploaded_by: doc.uploaded_by,
+        class_section: doc.class_section,
+        created_at: doc.created_at
+      });
+      return `${doc.id}-${doc.title}-${doc.subject}-${doc.class_section}-${doc.created_at}`;
     }).join('|');
     
-    return btoa(docInfo).substring(0, 16);
+    return this.fingerprint(docInfo);
+  }
+
+  // Fingerprint of everything that shapes a document's chunks and embeddings.
+  // withFigures: false gives the version of its text chunks alone, which is what the
+  // stored index holds while figures are still being captioned.
+  getIndexVersion(doc, withFigures = true) {
+    const source = `${doc.title}|${doc.subject}|${doc.created_at}|${this.getContentHash(doc)}`;
+    const figures = withFigures && this.documentProcessor.figureCaptioner?.isAvailable() ? '+figures' : '';
+    const chunking = `${this.documentProcessor.version}${figures}-${this.config.chunkSize}/${this.config.chunkOverlap}`;
+    return `${this.embeddingManager.getModelId()}:${chunking}:${this.fingerprint(source)}`;
+  }
+
+  // Fingerprint of the stored file, remembered per document so large files are hashed once
+  getContentHash(doc) {
+    const content = doc.file_url || '';
+    const cached = this.contentHashes.get(doc.id);
+    if (cached?.content === content) return cached.hash;
+    
+    const hash = this.fingerprint(content);
+    this.contentHashes.set(doc.id, { content, hash });
+    return hash;
+  }
+
+  // Subscribe to indexing progress; returns the unsubscribe function.
+  // Listeners get { stage: 'indexing' | 'ready', completed, total, percentage,
+  // chunksEmbedded, currentDocument } where completed/total count documents.
+  onProgress(listener) {
+    this.progressListeners.add(listener);
+    return () => this.progressListeners.delete(listener);
+  }
+
+  reportProgress(stage, completed, total, chunksEmbedded, currentDocument = null) {
+    const progress = {
+      stage,
+      completed,
+      total,
+      percentage: total > 0 ? Math.round((completed / total) * 100) : 100,
+      chunksEmbedded,
+      currentDocument
+    };
+    this.progressListeners.forEach(listener => listener(progress));
   }
 
   // Enhanced initialization with subject indexing
@@ -75,50 +197,266 @@ export class RAGPipeline {
       // Generate hash to track document changes
       const currentHash = this.generateDocumentHash(documents);
       
-      if (documents.length === 0) {
-        console.warn('⚠️ No documents available for RAG pipeline');
-        this.isInitialized = true;
-        this.lastDocumentHash = currentHash;
-        return;
-      }
-      
       // Check if we need to reprocess documents
       if (this.lastDocumentHash === currentHash && this.isInitialized) {
         console.log('📋 Documents unchanged, skipping reprocessing');
         return;
       }
       
-      console.log(`📚 Processing ${documents.length} documents with subject tracking...`);
+      // A query arriving while the same documents are being indexed waits for that run
+      if (this.pendingInitialization?.hash === currentHash) {
+        console.log('⏳ Documents are already being indexed, waiting...');
+        await this.pendingInitialization.promise;
+        return;
+      }
+      
+      // Otherwise start after any run for an older document set
+      const previous = this.pendingInitialization?.promise || Promise.resolve();
+      const promise = previous.catch(() => {}).then(() => this.indexDocuments(documents, currentHash));
+      this.pendingInitialization = { hash: currentHash, promise };
+      try {
+        await promise;
+      } finally {
+        if (this.pendingInitialization?.promise === promise) {
+          this.pendingInitialization = null;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error initializing enhanced RAG pipeline:', error);
+      this.isInitialized = false;
+    }
+  }
+
+  // Index one document set; initialize() keeps runs from overlapping
+  async indexDocuments(documents, currentHash) {
+    if (documents.length === 0) {
+      console.warn('⚠️ No documents available for RAG pipeline');
+    }
+    
+    console.log(`📚 Syncing ${documents.length} documents with subject tracking...`);
+    
+    // Log document subjects for debugging
+    const subjectCounts = {};
+    documents.forEach(doc => {
+      const subject = doc.subject || 'Unknown';
+      subjectCounts[subject] = (subjectCounts[subject] || 0) + 1;
+    });
+    console.log('📊 Document subjects:', subjectCounts);
+    
+    await this.syncIndex(documents);
+    
+    this.isInitialized = true;
+    this.lastDocumentLoad = new Date();
+    this.lastDocumentHash = currentHash;
+    this.answerCache.invalidate(currentHash);
+    
+    console.log(`✅ Enhanced RAG Pipeline initialized with ${documents.length} documents (${this.vectorStore.getDocumentCount()} chunks)`);
+    console.log(`🎯 Subject-aware ranking: ${this.config.subjectAwareRanking ? 'enabled' : 'disabled'}`);
+  }
+
+  // Bring the vector store in line with the document list, embedding only what changed
+  async syncIndex(documents) {
+    const wantedVersions = new Map(documents.map(doc => [doc.id, this.getIndexVersion(doc)]));
+    
+    // 1. Drop deleted or changed documents from memory
+    const staleIds = [...this.indexedVersions.keys()]
+      .filter(id => wantedVersions.get(id) !== this.indexedVersions.get(id));
+    
+    if (staleIds.length > 0) {
+      this.vectorStore.removeDocuments(staleIds);
+      staleIds.forEach(id => this.indexedVersions.delete(id));
+      console.log(`🗑️ Removed ${staleIds.length} deleted or changed documents from the index`);
+    }
+    
+    const pendingDocs = documents.filter(doc => !this.indexedVersions.has(doc.id));
+    let completed = documents.length - pendingDocs.length;
+    let chunksEmbedded = 0;
+    
+    if (pendingDocs.length > 0) {
+      this.reportProgress('indexing', completed, documents.length, chunksEmbedded);
       
-      // Log document subjects for debugging
-      const subjectCounts = {};
-      documents.forEach(doc => {
-        const subject = doc.subject || 'Unknown';
-        subjectCounts[subject] = (subjectCounts[subject] || 0) + 1;
+      // 2. Load chunks persisted in Supabase when they match the current version
+      const { data: storedChunks } = this.config.persistIndex
+        ? await DatabaseService.getDocumentChunks(pendingDocs.map(doc => doc.id))
+        : { data: [] };
+      const chunksByDocument = new Map();
+      (storedChunks || []).forEach(row => {
+        if (!chunksByDocument.has(row.document_id)) {
+          chunksByDocument.set(row.document_id, []);
+        }
+        chunksByDocument.get(row.document_id).push(row);
       });
-      console.log('📊 Document subjects:', subjectCounts);
       
-      // Process documents into chunks with enhanced metadata
-      const processedDocs = await this.documentProcessor.processDocuments(documents);
+      const docsToEmbed = [];
+      let loadedCount = 0;
       
-      // Clear existing vector store and add new documents
-      this.vectorStore.clear();
-      this.vectorStore.addDocuments(processedDocs);
+      for (const doc of pendingDocs) {
+        const rows = chunksByDocument.get(doc.id) || [];
+        const version = wantedVersions.get(doc.id);
+        const textVersion = this.getIndexVersion(doc, false);
+        const storedVersion = rows[0]?.index_version;
+        
+        // A stored index of the text alone is used as is while its figures are captioned
+        if (rows.length > 0 && [version, textVersion].includes(storedVersion) && rows.every(row => row.index_version === storedVersion)) {
+          const chunks = rows.map(row => ({
+            id: `${doc.id}-chunk-${row.chunk_index}`,
+            content: row.content,
+            metadata: row.metadata
+          }));
+          const embeddings = rows.map(row => row.embedding);
+          await this.vectorStore.addDocuments(chunks, embeddings);
+          this.indexedVersions.set(doc.id, version);
+          if (storedVersion !== version) {
+            this.queueFigureIndexing(doc, chunks, embeddings, version);
+          }
+          loadedCount++;
+        } else {
+          docsToEmbed.push(doc);
+        }
+      }
       
-      this.isInitialized = true;
-      this.lastDocumentLoad = new Date();
-      this.lastDocumentHash = currentHash;
+      console.log(`💾 Loaded ${loadedCount} documents from the stored index, ${docsToEmbed.length} need embedding`);
+      completed += loadedCount;
       
-      console.log(`✅ Enhanced RAG Pipeline initialized with ${documents.length} documents (${processedDocs.length} chunks)`);
-      console.log(`🎯 Subject-aware ranking: ${this.config.subjectAwareRanking ? 'enabled' : 'disabled'}`);
-    } catch (error) {
-      console.error('❌ Error initializing enhanced RAG pipeline:', error);
-      this.isInitialized = false;
+      // 3. Chunk, embed and persist new or changed documents
+      for (const doc of docsToEmbed) {
+        this.reportProgress('indexing', completed, documents.length, chunksEmbedded, doc.title);
+        try {
+          chunksEmbedded += await this.indexChunks(doc, embedded => {
+            this.reportProgress('indexing', completed, documents.length, chunksEmbedded + embedded, doc.title);
+          });
+        } catch (error) {
+          console.error(`Error indexing document ${doc.id}:`, error);
+        }
+        completed++;
+      }
+    } else {
+      console.log('📋 All documents already indexed');
+    }
+    
+    // 4. Refresh corpus statistics for the new set of chunks
+    this.embeddingManager.fit(this.vectorStore.getContents());
+    this.reportProgress('ready', documents.length, documents.length, chunksEmbedded);
+  }
+
+  // Chunk and embed the text of one document, replace it in memory and persist it.
+  // Its figures are captioned afterwards in the background (see queueFigureIndexing).
+  // onEmbedded(count) is called after each batch of embeddingBatchSize chunks.
+  async indexChunks(doc, onEmbedded = null) {
+    const version = this.getIndexVersion(doc);
+    const chunks = await this.documentProcessor.processDocument(doc);
+    const embeddings = [];
+    for (let i = 0; i < chunks.length; i += this.config.embeddingBatchSize) {
+      const batch = chunks.slice(i, i + this.config.embeddingBatchSize);
+      embeddings.push(...await this.embeddingManager.getEmbeddings(batch.map(chunk => chunk.content)));
+      onEmbedded?.(embeddings.length);
+    }
+    
+    this.vectorStore.removeDocuments([doc.id]);
+    await this.vectorStore.addDocuments(chunks, embeddings);
+    this.indexedVersions.set(doc.id, version);
+    this.documentSubjects.set(doc.id, doc.subject?.toLowerCase() || 'general');
+    
+    await this.persistChunks(doc, chunks, embeddings, this.getIndexVersion(doc, false));
+    this.queueFigureIndexing(doc, chunks, embeddings, version);
+    
+    console.log(`🧩 Indexed "${doc.title}" into ${chunks.length} chunks`);
+    return chunks.length;
+  }
+
+  async persistChunks(doc, chunks, embeddings, version) {
+    if (!this.config.persistIndex) return;
+    
+    const { error } = await DatabaseService.saveDocumentChunks(doc.id, chunks.map((chunk, index) => ({
+      chunk_index: chunk.metadata.chunkIndex,
+      content: chunk.content,
+      metadata: chunk.metadata,
+      embedding: embeddings[index],
+      embedding_model: this.embeddingManager.getModelId()
+    })), version);
+    
+    if (error) {
+      // Typically RLS: only the uploading teacher may write chunks
+      console.warn(`⚠️ Could not persist chunks for "${doc.title}"; they will be embedded again on the next load`);
+    }
+  }
+
+  // Caption a document's figures without holding up indexing or the upload, then
+  // add them to its chunks in memory and in the stored index, which only now gets
+  // the full version. Results for a document that changed meanwhile are dropped.
+  queueFigureIndexing(doc, textChunks, textEmbeddings, version) {
+    if (version === this.getIndexVersion(doc, false)) return; // Figure indexing is off
+    if (this.figureJobs.get(doc.id)?.version === version) return;
+    
+    const isCurrent = () => this.indexedVersions.get(doc.id) === version;
+    const promise = (async () => {
+      const chunks = await this.documentProcessor.addFigureChunks(doc, textChunks);
+      const figureChunks = chunks.slice(textChunks.length);
+      const embeddings = [
+        ...textEmbeddings,
+        ...await this.embeddingManager.getEmbeddings(figureChunks.map(chunk => chunk.content))
+      ];
+      if (!isCurrent()) return;
+      
+      if (figureChunks.length > 0) {
+        this.vectorStore.removeDocuments([doc.id]);
+        await this.vectorStore.addDocuments(chunks, embeddings);
+        this.embeddingManager.fit(this.vectorStore.getContents());
+        console.log(`🖼️ Added ${figureChunks.length} figure chunks to "${doc.title}"`);
+      }
+      await this.persistChunks(doc, chunks, embeddings, version);
+    })().catch(error => {
+      console.error(`Error indexing figures of document ${doc.id}:`, error);
+    }).finally(() => {
+      if (this.figureJobs.get(doc.id)?.promise === promise) {
+        this.figureJobs.delete(doc.id);
+      }
+    });
+    
+    this.figureJobs.set(doc.id, { version, promise });
+  }
+
+  // Index a single newly uploaded or changed document
+  async indexDocument(doc) {
+    this.reportProgress('indexing', 0, 1, 0, doc.title);
+    let chunkCount = 0;
+    try {
+      chunkCount = await this.indexChunks(doc, embedded => {
+        this.reportProgress('indexing', 0, 1, embedded, doc.title);
+      });
+      this.embeddingManager.fit(this.vectorStore.getContents());
+      return chunkCount;
+    } finally {
+      this.reportProgress('ready', 1, 1, chunkCount);
     }
   }
 
-  // Enhanced query method with better relevance filtering
-  async query(question, documents = null) {
+  // Section summaries, document summary and study guide of one document, built
+  // from its indexed chunks (indexing it first if needed) and cached per version
+  async summarizeDocument(doc, options = {}) {
+    return this.summarizer.getSummary(doc, async () => {
+      if (this.indexedVersions.get(doc.id) !== this.getIndexVersion(doc)) {
+        await this.indexDocument(doc);
+      }
+      return this.vectorStore.getChunks(doc.id);
+    }, options);
+  }
+
+  // Page texts of a document, from the same extraction cache as indexing
+  async extractDocumentContent(doc) {
+    return this.documentProcessor.extractDocumentContent(doc);
+  }
+
+  // Enhanced query method with better relevance filtering.
+  // history is the recent chat as [{ role: 'user' | 'assistant', content }], oldest first.
+  // options.onToken / options.signal stream the answer (see LLMGenerator.generate).
+  // options.filters restricts retrieval to matching documents (see retrievalFilters.js).
+  // options.imageAnalysis describes an attached image; it is searched with the question.
+  // options.instructions adds answer instructions, e.g. for ELI5 mode.
+  // options.user ('<id>:<role>') keeps cached answers apart per signed-in user.
+  // Every result carries a trace of the query (see ragTrace.js).
+  async query(question, documents = null, history = [], options = {}) {
+    const trace = new RAGTrace(question, this.config);
     try {
       console.log(`\n🔍 --- Enhanced RAG Query ---`);
       console.log(`❓ Question: ${question}`);
@@ -128,39 +466,124 @@ export class RAGPipeline {
         await this.initialize(documents);
       }
       
+      // Resolve follow-ups against the conversation before retrieval
+      const recentHistory = (history || []).slice(-this.config.maxHistoryTurns * 2);
+      const searchQuery = this.config.queryRewriting
+        ? await this.queryRewriter.rewrite(question, recentHistory)
+        : question;
+      
+      // Structured filters narrow the candidate chunks before any scoring
+      const filters = options.filters || null;
+      const allowedIds = this.getFilteredDocumentIds(filters);
+      trace.record('rewrite', {
+        original: question,
+        rewritten: searchQuery,
+        historyTurns: recentHistory.length,
+        filters: hasFilters(filters) ? describeFilters(filters) : null,
+        matchingDocuments: allowedIds ? allowedIds.size : null,
+        imageAnalysis: options.imageAnalysis ? options.imageAnalysis.substring(0, 500) : null
+      });
+      const generationTrace = {};
+      
       // If no documents available, use fallback
       if (this.vectorStore.getDocumentCount() === 0) {
         console.log('📭 No documents in vector store, using direct LLM response');
-        const response = await this.llmGenerator.generate([], question);
+        const response = await this.llmGenerator.generate([], question, recentHistory, searchQuery, { ...options, trace: generationTrace });
+        trace.record('generation', generationTrace);
         return {
           response,
-          sourceDocuments: []
+          sourceDocuments: [],
+          rewrittenQuery: searchQuery,
+          trace: trace.finish('no_index')
         };
       }
       
+      if (allowedIds && allowedIds.size === 0) {
+        console.log('🚫 No documents match the retrieval filters');
+        return {
+          response: this.generateNoMatchResponse(filters),
+          sourceDocuments: [],
+          retrievedDocuments: [],
+          rewrittenQuery: searchQuery,
+          trace: trace.finish('no_filter_match')
+        };
+      }
+      
+      // Near-identical questions about the same documents reuse an earlier answer.
+      // Answers about an attached image are never cached.
+      let cacheKey = null;
+      if (this.config.answerCache && !options.imageAnalysis) {
+        const embedding = await this.embeddingManager.getEmbedding(searchQuery);
+        const scope = this.answerCache.makeScope(this.lastDocumentHash, {
+          documents: allowedIds ? this.fingerprint([...allowedIds].sort().join(',')) : null,
+          instructions: options.instructions,
+          // The pipeline outlives sign-outs, so one user's answers must not match another's
+          user: options.user || 'anonymous'
+        });
+        cacheKey = { embedding, scope };
+        
+        const match = await this.answerCache.lookup(embedding, scope);
+        trace.record('cache', match
+          ? { hit: true, similarity: Number(match.similarity.toFixed(3)), cachedQuestion: match.entry.question, ageMs: Date.now() - match.entry.createdAt }
+          : { hit: false });
+        
+        if (match) {
+          console.log(`⚡ Answer cache hit (similarity ${match.similarity.toFixed(3)}) for "${match.entry.question}"`);
+          options.onToken?.(match.entry.result.response, match.entry.result.response);
+          return {
+            ...match.entry.result,
+            rewrittenQuery: searchQuery,
+            cached: true,
+            trace: trace.finish('cache_hit')
+          };
+        }
+      }
+      
+      const chunkFilter = allowedIds ? (chunk) => allowedIds.has(chunk.metadata?.documentId) : null;
+      const retrievalQuery = options.imageAnalysis ? `${searchQuery}\n${options.imageAnalysis}` : searchQuery;
+      
       // 1. Enhanced retrieval with subject-aware filtering
-      console.log(`🔎 Searching vector store with ${this.vectorStore.getDocumentCount()} documents...`);
-      const retrievedDocs = this.vectorStore.search(question, this.config.retrievalTopK);
+      console.log(`🔎 Searching vector store with ${this.vectorStore.getDocumentCount()} documents${allowedIds ? ` (filtered to ${allowedIds.size} documents)` : ''}...`);
+      const retrievedDocs = await this.vectorStore.search(retrievalQuery, this.config.retrievalTopK, chunkFilter);
       console.log(`📄 Retrieved ${retrievedDocs.length} documents`);
+      trace.record('retrieval', {
+        query: retrievalQuery,
+        indexedChunks: this.vectorStore.getDocumentCount(),
+        vectorIndex: this.vectorStore.annIndex ? 'hnsw' : 'exact',
+        hits: retrievedDocs.map((doc, index) => RAGTrace.describePassage(doc, index + 1))
+      });
       
       if (retrievedDocs.length === 0) {
         console.log('🚫 No relevant documents found, using direct LLM response');
-        const response = await this.llmGenerator.generate([], question);
+        const response = await this.llmGenerator.generate([], question, recentHistory, searchQuery, { ...options, trace: generationTrace });
+        trace.record('generation', generationTrace);
         return {
           response,
-          sourceDocuments: []
+          sourceDocuments: [],
+          rewrittenQuery: searchQuery,
+          trace: trace.finish('no_retrieval')
         };
       }
       
       // Log retrieved documents with similarity scores
       retrievedDocs.forEach((doc, index) => {
-        console.log(`📋 Retrieved ${index + 1}: "${doc.metadata?.title}" (${doc.metadata?.subject}) - Similarity: ${doc.similarity?.toFixed(3)}`);
+        console.log(`📋 Retrieved ${index + 1}: "${doc.metadata?.title}" (${doc.metadata?.subject}) - Similarity: ${doc.similarity?.toFixed(3)}, BM25: ${doc.lexicalScore?.toFixed(3) ?? 'n/a'}`);
       });
       
+      // Retrieval ranking, reported for evaluation and debugging
+      const retrievedDocuments = retrievedDocs.map(doc => ({
+        id: doc.metadata?.documentId,
+        chunkId: doc.chunkId,
+        similarity: doc.similarity,
+        fusionScore: doc.fusionScore
+      }));
+      
       // 2. Enhanced reranking with subject-aware scoring
       console.log('🎯 Applying enhanced reranking with subject awareness...');
-      const rerankedDocs = this.reranker.rerank(question, retrievedDocs);
+      const rerankTrace = {};
+      const rerankedDocs = await this.reranker.rerank(retrievalQuery, retrievedDocs, { subjects: filters?.subjects, trace: rerankTrace });
       console.log(`🏆 Reranked to ${rerankedDocs.length} highly relevant documents`);
+      trace.record('rerank', rerankTrace);
       
       // Check if we have any relevant documents after reranking
       if (rerankedDocs.length === 0) {
@@ -168,7 +591,10 @@ export class RAGPipeline {
         const fallbackResponse = await this.generateFallbackResponse(question, retrievedDocs);
         return {
           response: fallbackResponse,
-          sourceDocuments: []
+          sourceDocuments: [],
+          retrievedDocuments,
+          rewrittenQuery: searchQuery,
+          trace: trace.finish('below_threshold')
         };
       }
       
@@ -177,15 +603,39 @@ export class RAGPipeline {
         console.log(`🏆 Final ${index + 1}: "${doc.metadata?.title}" (${doc.metadata?.subject}) - Score: ${doc.rerankScore?.toFixed(3)}`);
       });
       
-      // 3. Generate response with enhanced context
+      // 3. Fit the passages into the prompt budget and generate the response
+      const builtPrompt = this.llmGenerator.buildPrompt(rerankedDocs, question, recentHistory, searchQuery, options);
+      const contextDocs = builtPrompt.passages;
       console.log('🤖 Generating enhanced LLM response...');
-      const response = await this.llmGenerator.generate(rerankedDocs, question);
+      const response = await this.llmGenerator.generate(contextDocs, question, recentHistory, searchQuery, { ...options, builtPrompt, trace: generationTrace });
+      trace.record('generation', { ...generationTrace, passages: contextDocs.map(doc => doc.chunkId) });
+      
+      // 4. Check the answer's claims against the passages it was given
+      const groundedness = this.config.groundednessCheck && !this.llmGenerator.isInsufficientContextResponse(response)
+        ? await this.groundednessChecker.check(response, contextDocs)
+        : null;
+      if (groundedness) {
+        trace.record('groundedness', {
+          status: groundedness.status,
+          method: groundedness.method,
+          supportedCount: groundedness.supportedCount,
+          claimCount: groundedness.claimCount
+        });
+      }
       
-      // 4. Return response with enhanced metadata
-      const sourceDocuments = rerankedDocs.map(doc => ({
+      // 5. Return response with one source per numbered context passage
+      const { cited } = this.llmGenerator.validateCitations(response, contextDocs.length);
+      const sourceDocuments = contextDocs.map((doc, index) => ({
         id: doc.metadata?.documentId,
+        chunkId: doc.chunkId,
+        marker: index + 1,
+        cited: cited.includes(index + 1),
         title: doc.metadata?.title,
         subject: doc.metadata?.subject,
+        pageNumber: doc.metadata?.pageNumber ?? null,
+        section: doc.metadata?.section ?? null,
+        figure: doc.metadata?.figureLabel ?? null,
+        snippet: this.createSnippet(doc.content),
         similarity: doc.similarity,
         rerankScore: doc.rerankScore,
         relevanceScore: doc.relevanceScore,
@@ -195,22 +645,71 @@ export class RAGPipeline {
       console.log(`✅ Enhanced RAG query completed successfully`);
       console.log(`📖 Source documents: ${sourceDocuments.map(d => `${d.title} (${d.subject})`).join(', ')}`);
       
+      // Only real answers are cached, not fallbacks or answers the check found unsupported
+      if (cacheKey && !generationTrace.fallback && groundedness?.status !== 'ungrounded') {
+        await this.answerCache.store(searchQuery, cacheKey.embedding, cacheKey.scope, {
+          response,
+          sourceDocuments,
+          retrievedDocuments,
+          groundedness
+        });
+      }
+      
       return {
         response,
-        sourceDocuments
+        sourceDocuments,
+        retrievedDocuments,
+        rewrittenQuery: searchQuery,
+        groundedness,
+        trace: trace.finish('answered')
       };
       
     } catch (error) {
+      if (error.name === 'AbortError' || isQuotaError(error)) throw error;
+      
       console.error('❌ Error in enhanced RAG pipeline query:', error);
       
       // Enhanced fallback response
       return {
         response: await this.generateErrorFallbackResponse(question, error),
-        sourceDocuments: []
+        sourceDocuments: [],
+        trace: trace.finish('error', error)
       };
     }
   }
 
+  // Ids of the indexed documents that pass the filters, or null when none are set
+  getFilteredDocumentIds(filters) {
+    if (!hasFilters(filters)) return null;
+    
+    const ids = new Set();
+    this.documentFilterFields.forEach((doc, documentId) => {
+      if (matchesFilters(doc, filters)) ids.add(documentId);
+    });
+    
+    console.log(`🔖 Retrieval filters (${describeFilters(filters)}) matched ${ids.size} of ${this.documentFilterFields.size} documents`);
+    return ids;
+  }
+
+  // Answer when the filters leave nothing to search
+  generateNoMatchResponse(filters) {
+    return `None of the uploaded documents match your search filters (${describeFilters(filters)}).
+
+**Suggestions:**
+• Clear or widen the filters above the chat
+• Check that your teacher has uploaded materials for this subject or class
+• Turn on General Knowledge mode to ask without the documents`;
+  }
+
+  // Short excerpt of a passage for citation previews
+  createSnippet(content, maxLength = 280) {
+    const text = content.replace(/\s+/g, ' ').trim();
+    if (text.length <= maxLength) return text;
+    
+    const cut = text.lastIndexOf(' ', maxLength);
+    return text.substring(0, cut > maxLength / 2 ? cut : maxLength) + '…';
+  }
+
   // Generate fallback response when no relevant documents are found
   async generateFallbackResponse(question, retrievedDocs) {
     const availableSubjects = [...new Set(retrievedDocs.map(doc => doc.metadata?.subject).filter(Boolean))];
@@ -282,15 +781,68 @@ Please try again in a moment!`;
     return needsRefresh;
   }
 
+  // Retrieval settings handed to the vector store
+  getRetrievalConfig() {
+    return {
+      hybridSearch: this.config.hybridSearch,
+      vectorWeight: this.config.vectorWeight,
+      lexicalWeight: this.config.lexicalWeight,
+      rrfK: this.config.rrfK,
+      vectorIndex: this.config.vectorIndex,
+      annThreshold: this.config.annThreshold,
+      annEfSearch: this.config.annEfSearch
+    };
+  }
+
+  // Reranking settings; the LLM strategy grades passages through the same service as generation
+  getRerankerConfig() {
+    return {
+      strategy: this.config.rerankerStrategy,
+      topN: this.config.rerankerTopN,
+      minRelevanceThreshold: this.config.minRelevanceThreshold,
+      llm: this.watsonxService,
+      llmOptions: {
+        batchSize: this.config.llmRerankerBatchSize,
+        minScore: this.config.llmRerankerMinScore
+      }
+    };
+  }
+
+  // Answers are only stored in Supabase when the index itself is persisted
+  getAnswerCacheConfig() {
+    return {
+      threshold: this.config.answerCacheThreshold,
+      ttlMs: this.config.answerCacheTtlHours * 60 * 60 * 1000,
+      persist: this.config.persistAnswerCache && this.config.persistIndex
+    };
+  }
+
+  // Measure ANN recall and latency against the exact scan on the current index
+  async benchmarkVectorIndex(queries = null, topK = 10) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    return this.vectorStore.benchmark(queries, topK);
+  }
+
   // Update configuration
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
     
     // Update component configurations
-    this.reranker.updateConfig({ 
-      topN: this.config.rerankerTopN,
-      minRelevanceThreshold: this.config.minRelevanceThreshold
+    this.vectorStore.updateConfig(this.getRetrievalConfig());
+    this.reranker.updateConfig(this.getRerankerConfig());
+    this.queryRewriter.updateConfig({ maxHistoryTurns: this.config.maxHistoryTurns });
+    this.llmGenerator.maxConversationTokens = this.config.maxConversationTokens;
+    this.llmGenerator.contextAssembler.updateConfig({
+      maxPromptTokens: this.config.maxPromptTokens,
+      ...(this.config.generationModel ? { model: this.config.generationModel } : {})
     });
+    this.groundednessChecker.updateConfig({ method: this.config.groundednessMethod });
+    this.documentProcessor.figureCaptioner = this.config.figureIndexing ? this.figureCaptioner : null;
+    this.answerCache.updateConfig(this.getAnswerCacheConfig());
+    this.summarizer.updateConfig({ persist: this.config.persistIndex });
     
     console.log('⚙️ Enhanced RAG Pipeline configuration updated');
   }
@@ -300,11 +852,20 @@ Please try again in a moment!`;
     return {
       isInitialized: this.isInitialized,
       documentCount: this.vectorStore.getDocumentCount(),
+      indexedDocumentCount: this.indexedVersions.size,
       lastDocumentLoad: this.lastDocumentLoad,
       lastDocumentHash: this.lastDocumentHash,
       config: this.config,
+      embeddingModel: this.embeddingManager.getModelId(),
       availableSubjects: Array.from(this.documentSubjects.values()),
       enhancedFeatures: {
+        hybridSearch: this.config.hybridSearch,
+        vectorIndex: this.vectorStore.annIndex ? 'hnsw' : 'exact',
+        reranker: this.reranker.getStatus(),
+        groundednessCheck: this.config.groundednessCheck ? this.config.groundednessMethod : false,
+        figureIndexing: !!this.documentProcessor.figureCaptioner?.isAvailable(),
+        answerCache: this.config.answerCache ? this.answerCache.getStats() : false,
+        promptBudget: this.llmGenerator.contextAssembler.getBudget(),
         subjectAwareRanking: this.config.subjectAwareRanking,
         semanticFiltering: this.config.semanticFiltering,
         relevanceThreshold: this.config.minRelevanceThreshold
@@ -318,6 +879,9 @@ Please try again in a moment!`;
     this.isInitialized = false;
     this.lastDocumentHash = null;
     this.documentSubjects.clear();
+    this.documentFilterFields.clear();
+    this.indexedVersions.clear();
+    this.vectorStore.clear();
     await this.initialize(documents);
   }
 }
\ No newline at end of file
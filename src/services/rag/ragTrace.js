@@ -0,0 +1,68 @@
+const PREVIEW_LENGTH = 160;
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+const round = (value, digits = 3) => (typeof value === 'number' ? Number(value.toFixed(digits)) : value ?? null);
+
+// Structured record of one RAG query, saved with the chat so a teacher can see
+// whether retrieval, reranking or generation went wrong. Steps are recorded as
+// they finish, each with the milliseconds since the previous step:
+//   rewrite    - original and standalone question, filters
+//   cache      - whether an earlier answer was reused, and for which question
+//   retrieval  - top-K hits with vector similarity, BM25 and fused scores
+//   rerank     - strategy, threshold and every candidate's score, reason and outcome
+//   generation - final prompt, its token count and the raw model output
+//   groundedness - claim check summary
+// outcome says where the query ended: 'answered', 'cache_hit', 'no_index',
+// 'no_filter_match', 'no_retrieval', 'below_threshold' or 'error'.
+export class RAGTrace {
+  constructor(question, config = {}) {
+    this.startedAt = now();
+    this.lastStep = this.startedAt;
+    this.data = {
+      version: 1,
+      question,
+      createdAt: new Date().toISOString(),
+      config: {
+        retrievalTopK: config.retrievalTopK,
+        rerankerStrategy: config.rerankerStrategy,
+        rerankerTopN: config.rerankerTopN,
+        minRelevanceThreshold: config.minRelevanceThreshold,
+        embeddingModel: config.embeddingModel,
+        hybridSearch: config.hybridSearch
+      },
+      outcome: null
+    };
+  }
+
+  record(step, details) {
+    const time = now();
+    this.data[step] = { ...details, durationMs: Math.round(time - this.lastStep) };
+    this.lastStep = time;
+  }
+
+  // Compact view of a retrieved or reranked passage
+  static describePassage(doc, rank) {
+    return {
+      rank,
+      chunkId: doc.chunkId,
+      documentId: doc.metadata?.documentId ?? null,
+      title: doc.metadata?.title ?? null,
+      pageNumber: doc.metadata?.pageNumber ?? null,
+      section: doc.metadata?.section ?? null,
+      figure: doc.metadata?.figureLabel ?? null,
+      similarity: round(doc.similarity),
+      lexicalScore: round(doc.lexicalScore),
+      fusionScore: round(doc.fusionScore, 5),
+      preview: doc.content.replace(/\s+/g, ' ').trim().substring(0, PREVIEW_LENGTH)
+    };
+  }
+
+  finish(outcome, error = null) {
+    this.data.outcome = outcome;
+    this.data.durationMs = Math.round(now() - this.startedAt);
+    if (error) {
+      this.data.error = error.message || String(error);
+    }
+    return this.data;
+  }
+}
@@ -0,0 +1,87 @@
+import { RAGPipeline } from './ragPipeline';
+import { WorkerChannel } from './workerChannel';
+import { PROXIED_DATABASE_METHODS } from './ragWorkerClient';
+import { DatabaseService } from '../supabase';
+import { SubjectTaxonomyService } from '../subjectTaxonomy';
+
+// Worker entry for RAGWorkerClient: runs the RAG pipeline (extraction, chunking,
+// embedding, search, reranking and prompting) off the main thread. The worker has
+// no Supabase session, no DOM and no AI credentials, so database reads and writes,
+// figure extraction and model calls are sent back to the page. The subject taxonomy
+// is loaded on the page too and sent here whenever it changes.
+
+let pipeline = null;
+
+const channel = new WorkerChannel(self, {
+  create: ([config, llmSettings]) => {
+    pipeline = new RAGPipeline(createRemoteLLM(llmSettings), config);
+    pipeline.documentProcessor.figureExtractor = {
+      extract: document => channel.call('extractFigures', [document])
+    };
+    pipeline.onProgress(progress => channel.notify('progress', [progress]));
+  },
+  // The worker has its own copy of SubjectTaxonomyService, which the reranker reads
+  setSubjects: ([subjects]) => SubjectTaxonomyService.setSubjects(subjects),
+  initialize: ([documents]) => pipeline.initialize(documents),
+  indexDocument: ([document]) => pipeline.indexDocument(document),
+  reinitialize: ([documents]) => pipeline.reinitialize(documents),
+  extractDocumentContent: ([document]) => pipeline.extractDocumentContent(document),
+  summarizeDocument: ([document, options]) => pipeline.summarizeDocument(document, options),
+  benchmarkVectorIndex: ([queries, topK]) => pipeline.benchmarkVectorIndex(queries, topK),
+  updateConfig: ([config]) => pipeline.updateConfig(config),
+  getStatus: () => pipeline.getStatus(),
+  query: ([question, documents, history, options], { emit, signal }) => {
+    const { stream, ...queryOptions } = options;
+    return pipeline.query(question, documents, history, {
+      ...queryOptions,
+      signal,
+      onToken: stream ? (delta, text) => emit({ delta, text }) : undefined
+    });
+  }
+});
+
+// The pipeline's database calls, answered by the page's signed-in client
+PROXIED_DATABASE_METHODS.forEach(method => {
+  DatabaseService[method] = (...args) => channel.call(`database.${method}`, args);
+});
+
+// Stand-in for WatsonxService with the methods the pipeline uses
+function createRemoteLLM({ chatModel, maxOutputTokens }) {
+  return {
+    chatModel,
+    maxOutputTokens,
+
+    sendMessage: (...args) => channel.call('llm.sendMessage', args),
+
+    captionImage: (...args) => channel.call('llm.captionImage', args),
+
+    async *streamMessage(message, context = '', isTeacher = false, imageInput = null, options = {}) {
+      const deltas = [];
+      let wake = null;
+      let done = false;
+
+      const finished = channel.call('llm.streamMessage', [message, context, isTeacher, imageInput], {
+        signal: options.signal,
+        onEvent: delta => {
+          deltas.push(delta);
+          wake?.();
+        }
+      }).then(() => null, error => error).finally(() => {
+        done = true;
+        wake?.();
+      });
+
+      while (deltas.length > 0 || !done) {
+        if (deltas.length === 0) {
+          await new Promise(resolve => { wake = resolve; });
+          wake = null;
+          continue;
+        }
+        yield deltas.shift();
+      }
+
+      const error = await finished;
+      if (error) throw error;
+    }
+  };
+}
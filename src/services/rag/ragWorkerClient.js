@@ -0,0 +1,164 @@
+import { WorkerChannel } from './workerChannel';
+import { FigureExtractor } from './figureExtractor';
+import { DatabaseService } from '../supabase';
+import { SubjectTaxonomyService } from '../subjectTaxonomy';
+
+// DatabaseService methods the pipeline uses; the worker sends these calls to the page
+export const PROXIED_DATABASE_METHODS = [
+  'getDocuments',
+  'getDocumentChunks',
+  'saveDocumentChunks',
+  'getCachedAnswers',
+  'saveCachedAnswer',
+  'getDocumentSummaries',
+  'saveDocumentSummary'
+];
+
+// Page-side handle on the RAG pipeline running in ragWorker.js. It has the same
+// methods as RAGPipeline, so indexing a large library no longer freezes the UI.
+// Model calls, database calls and figure extraction from the worker are answered
+// here with the given service (WatsonxService) and the signed-in Supabase client.
+export class RAGWorkerClient {
+  constructor(watsonxService, config = {}) {
+    this.watsonxService = watsonxService;
+    this.config = { ...config };
+    this.figureExtractor = new FigureExtractor({ maxFigures: config.maxFiguresPerDocument || 20 });
+    this.progressListeners = new Set();
+    this.lastProgress = null;
+    this.status = null; // Last status from the worker, for synchronous getStatus()
+    this.sentDocumentsKey = null;
+
+    const databaseHandlers = Object.fromEntries(PROXIED_DATABASE_METHODS.map(method => [
+      `database.${method}`,
+      args => DatabaseService[method](...args)
+    ]));
+
+    this.worker = new Worker(new URL('./ragWorker.js', import.meta.url), { type: 'module' });
+    this.channel = new WorkerChannel(this.worker, {
+      ...databaseHandlers,
+      progress: ([progress]) => {
+        this.lastProgress = progress;
+        this.progressListeners.forEach(listener => listener(progress));
+      },
+      extractFigures: ([document]) => this.figureExtractor.extract(document),
+      'llm.sendMessage': (args) => watsonxService.sendMessage(...args),
+      'llm.captionImage': ([imageInput, prompt, options]) => (
+        watsonxService.captionImage(imageInput, prompt, options)
+      ),
+      'llm.streamMessage': async ([message, context, isTeacher, imageInput], { emit, signal }) => {
+        for await (const delta of watsonxService.streamMessage(message, context, isTeacher, imageInput, { signal })) {
+          emit(delta);
+        }
+      }
+    });
+
+    this.worker.addEventListener('error', event => {
+      console.error('❌ RAG worker failed:', event.message);
+      this.channel.rejectAll(new Error(`RAG worker failed: ${event.message || 'unknown error'}`));
+    });
+
+    this.channel.call('create', [this.config, {
+      chatModel: watsonxService.chatModel,
+      maxOutputTokens: watsonxService.maxOutputTokens
+    }]).catch(error => console.error('❌ Could not create the RAG pipeline in the worker:', error));
+
+    // Subject detection in the worker uses the taxonomy loaded on this page
+    this.sendSubjects(SubjectTaxonomyService.getTaxonomy());
+    this.unsubscribeTaxonomy = SubjectTaxonomyService.subscribe(taxonomy => this.sendSubjects(taxonomy));
+    console.log('🧵 RAG pipeline started in a Web Worker');
+  }
+
+  sendSubjects(taxonomy) {
+    this.channel.notify('setSubjects', [taxonomy.subjects]);
+  }
+
+  // Same shape as RAGPipeline.onProgress; new listeners get the latest progress at once
+  onProgress(listener) {
+    this.progressListeners.add(listener);
+    if (this.lastProgress) listener(this.lastProgress);
+    return () => this.progressListeners.delete(listener);
+  }
+
+  // Documents carry their files as data URLs, so a list is only copied to the
+  // worker when it differs from the last one sent. With null the worker keeps its
+  // current index (or loads the documents itself if it has none).
+  documentsToSend(documents) {
+    if (!documents) return null;
+
+    // Same fields as RAGPipeline.generateDocumentHash
+    const key = documents.map(doc => `${doc.id}-${doc.title}-${doc.subject}-${doc.class_section}-${doc.created_at}`).join('|');
+    if (key === this.sentDocumentsKey) return null;
+
+    this.sentDocumentsKey = key;
+    return documents;
+  }
+
+  async initialize(documents = null) {
+    const changedDocuments = this.documentsToSend(documents);
+    if (documents && !changedDocuments) return;
+
+    await this.channel.call('initialize', [changedDocuments]);
+    await this.refreshStatus();
+  }
+
+  async indexDocument(document) {
+    const chunkCount = await this.channel.call('indexDocument', [document]);
+    await this.refreshStatus();
+    return chunkCount;
+  }
+
+  async reinitialize(documents = null) {
+    this.sentDocumentsKey = null;
+    await this.channel.call('reinitialize', [this.documentsToSend(documents)]);
+    await this.refreshStatus();
+  }
+
+  // Functions cannot be posted: onToken becomes streamed events and signal an abort message
+  async query(question, documents = null, history = [], options = {}) {
+    const { onToken, signal, ...queryOptions } = options;
+    const result = await this.channel.call('query', [question, this.documentsToSend(documents), history, { ...queryOptions, stream: !!onToken }], {
+      signal,
+      onEvent: ({ delta, text }) => onToken?.(delta, text)
+    });
+    this.refreshStatus();
+    return result;
+  }
+
+  extractDocumentContent(document) {
+    return this.channel.call('extractDocumentContent', [document]);
+  }
+
+  summarizeDocument(document, options = {}) {
+    return this.channel.call('summarizeDocument', [document, options]);
+  }
+
+  benchmarkVectorIndex(queries = null, topK = 10) {
+    return this.channel.call('benchmarkVectorIndex', [queries, topK]);
+  }
+
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+    this.channel.call('updateConfig', [newConfig])
+      .catch(error => console.error('❌ Could not update the RAG worker configuration:', error));
+  }
+
+  async refreshStatus() {
+    try {
+      this.status = await this.channel.call('getStatus');
+    } catch (error) {
+      console.warn('⚠️ Could not read RAG worker status:', error.message);
+    }
+    return this.status;
+  }
+
+  // Status as of the last call; use refreshStatus() for the current one
+  getStatus() {
+    return this.status || { isInitialized: false, documentCount: 0, config: this.config };
+  }
+
+  terminate() {
+    this.unsubscribeTaxonomy();
+    this.worker.terminate();
+    this.channel.rejectAll(new Error('RAG worker terminated'));
+  }
+}
@@ -0,0 +1,48 @@
+// Structured retrieval filters, shared by RAGPipeline and the chat filter picker.
+//
+// Filter shape (every key optional):
+//   { subjects, uploadedBy, classSections, documentIds, dateFrom, dateTo }
+// List filters match when the document has any of the listed values; dateFrom and
+// dateTo are inclusive YYYY-MM-DD bounds on the upload date.
+
+const LIST_FILTERS = ['subjects', 'uploadedBy', 'classSections', 'documentIds'];
+
+export function hasFilters(filters) {
+  if (!filters) return false;
+  return LIST_FILTERS.some(key => filters[key]?.length > 0) || Boolean(filters.dateFrom) || Boolean(filters.dateTo);
+}
+
+// doc is a row of the documents table
+export function matchesFilters(doc, filters) {
+  if (!hasFilters(filters)) return true;
+
+  const matchesAny = (values, value, ignoreCase = false) => {
+    if (!values || values.length === 0) return true;
+    if (!value) return false;
+    return ignoreCase
+      ? values.some(candidate => candidate.toLowerCase() === value.toLowerCase())
+      : values.includes(value);
+  };
+
+  const uploadDay = doc.created_at ? String(doc.created_at).substring(0, 10) : null;
+
+  return matchesAny(filters.documentIds, doc.id) &&
+    matchesAny(filters.subjects, doc.subject, true) &&
+    matchesAny(filters.uploadedBy, doc.uploaded_by) &&
+    matchesAny(filters.classSections, doc.class_section, true) &&
+    (!filters.dateFrom || (uploadDay !== null && uploadDay >= filters.dateFrom)) &&
+    (!filters.dateTo || (uploadDay !== null && uploadDay <= filters.dateTo));
+}
+
+// Short human-readable summary, e.g. "subject: History; class: 10-A"
+export function describeFilters(filters) {
+  if (!hasFilters(filters)) return '';
+
+  const parts = [];
+  if (filters.subjects?.length > 0) parts.push(`subject: ${filters.subjects.join(', ')}`);
+  if (filters.classSections?.length > 0) parts.push(`class: ${filters.classSections.join(', ')}`);
+  if (filters.uploadedBy?.length > 0) parts.push(`${filters.uploadedBy.length} selected teacher(s)`);
+  if (filters.documentIds?.length > 0) parts.push(`${filters.documentIds.length} selected document(s)`);
+  if (filters.dateFrom || filters.dateTo) parts.push(`uploaded ${filters.dateFrom || '…'} to ${filters.dateTo || '…'}`);
+  return parts.join('; ');
+}
@@ -0,0 +1,77 @@
+// Dense embeddings from a locally hosted sentence-embedding model.
+//
+// By default this talks to an OpenAI-compatible /v1/embeddings endpoint, which
+// Ollama, llama.cpp, LocalAI and text-embeddings-inference all expose. Pass
+// `embedFn` instead to plug in an in-browser model: it receives an array of
+// texts and must resolve to an array of number arrays.
+export class SentenceEmbedder {
+  constructor(config = {}) {
+    this.endpoint = config.endpoint || import.meta.env.VITE_EMBEDDING_URL || 'http://localhost:11434/v1/embeddings';
+    this.modelName = config.modelName || import.meta.env.VITE_EMBEDDING_MODEL || 'nomic-embed-text';
+    this.batchSize = config.batchSize || 32;
+    this.embedFn = config.embedFn || null;
+    this.id = `sentence-${this.modelName}`;
+  }
+
+  async embed(texts) {
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const vectors = this.embedFn
+        ? await this.embedFn(batch)
+        : await this.requestEmbeddings(batch);
+
+      if (!Array.isArray(vectors) || vectors.length !== batch.length) {
+        throw new Error(`Embedding model returned ${vectors?.length ?? 0} vectors for ${batch.length} texts`);
+      }
+
+      embeddings.push(...vectors.map(vector => this.normalize(vector)));
+    }
+
+    return embeddings;
+  }
+
+  async requestEmbeddings(texts) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 30000);
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: this.modelName, input: texts }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Embedding API Error (${response.status}): ${errorText}`);
+      }
+
+      const data = await response.json();
+      return (data.data || [])
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .map(item => item.embedding);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? Array.from(vector) : Array.from(vector, value => value / norm);
+  }
+
+  // Nothing to learn: the model's vector space is fixed
+  fit() {}
+
+  // Vectors are unit length, so the dot product is the cosine similarity
+  similarity(embedding1, embedding2) {
+    let dotProduct = 0;
+    for (let i = 0; i < embedding1.length; i++) {
+      dotProduct += embedding1[i] * embedding2[i];
+    }
+    return dotProduct;
+  }
+}
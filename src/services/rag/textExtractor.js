@@ -0,0 +1,159 @@
+// Extracts readable text from the base64 data URLs stored in documents.file_url
+export class TextExtractor {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  // Extract text page by page. Returns { format, pages: [{ pageNumber, text }] }
+  async extract(document) {
+    const cacheKey = `${document.id}-${document.created_at || ''}`;
+
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const { mimeType, bytes } = this.decodeDataUrl(document.file_url);
+    const format = this.detectFormat(mimeType, bytes);
+
+    let pages = [];
+
+    switch (format) {
+      case 'pdf':
+        pages = await this.extractPdf(bytes);
+        break;
+      case 'docx':
+        pages = await this.extractDocx(bytes);
+        break;
+      case 'markdown':
+      case 'text':
+        pages = this.extractText(bytes);
+        break;
+      case 'image':
+        // No text layer; the picture is described by the figure indexer
+        break;
+      default:
+        console.warn(`⚠️ Unsupported document format for "${document.title}" (${mimeType})`);
+    }
+
+    pages = pages
+      .map(page => ({ ...page, text: this.normalizeWhitespace(page.text) }))
+      .filter(page => page.text.length > 0);
+
+    const result = { format, pages };
+    this.cache.set(cacheKey, result);
+
+    console.log(`📄 Extracted ${pages.length} pages (${format}) from "${document.title}"`);
+    return result;
+  }
+
+  // Split a data URL into its MIME type and raw bytes
+  decodeDataUrl(dataUrl) {
+    if (!dataUrl || !dataUrl.startsWith('data:')) {
+      throw new Error('Document content is not a data URL');
+    }
+
+    const commaIndex = dataUrl.indexOf(',');
+    const header = dataUrl.substring(5, commaIndex);
+    const payload = dataUrl.substring(commaIndex + 1);
+    const mimeType = header.split(';')[0] || 'application/octet-stream';
+
+    if (header.includes(';base64')) {
+      const binary = atob(payload);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return { mimeType, bytes };
+    }
+
+    return { mimeType, bytes: new TextEncoder().encode(decodeURIComponent(payload)) };
+  }
+
+  // Work out the document format from the MIME type, falling back to magic bytes
+  detectFormat(mimeType, bytes) {
+    if (mimeType === 'application/pdf') return 'pdf';
+    if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') return 'docx';
+    if (mimeType === 'text/markdown' || mimeType === 'text/x-markdown') return 'markdown';
+    if (mimeType.startsWith('text/')) return 'text';
+    if (mimeType.startsWith('image/')) return 'image';
+
+    // Browsers often report an empty or generic type for .md and .docx files
+    if (bytes[0] === 0x25 && bytes[1] === 0x50 && bytes[2] === 0x44 && bytes[3] === 0x46) return 'pdf'; // %PDF
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b) return 'docx'; // PK zip container
+    if (this.looksLikeText(bytes)) return 'text';
+
+    return 'unknown';
+  }
+
+  // Heuristic: no NUL bytes in the first few KB means it is probably text
+  looksLikeText(bytes) {
+    const sample = bytes.subarray(0, 4096);
+    return sample.length > 0 && !sample.includes(0);
+  }
+
+  async extractPdf(bytes) {
+    const pdfjsLib = await import('pdfjs-dist');
+    const { default: workerUrl } = await import('pdfjs-dist/build/pdf.worker.min.mjs?url');
+    pdfjsLib.GlobalWorkerOptions.workerSrc = workerUrl;
+
+    const pdf = await pdfjsLib.getDocument({ data: bytes }).promise;
+    const pages = [];
+
+    try {
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const textContent = await page.getTextContent();
+
+        const text = textContent.items
+          .map(item => (item.str || '') + (item.hasEOL ? '\n' : ' '))
+          .join('');
+
+        pages.push({ pageNumber, text });
+      }
+    } finally {
+      await pdf.destroy();
+    }
+
+    return pages;
+  }
+
+  async extractDocx(bytes) {
+    const { default: mammoth } = await import('mammoth');
+    const { value, messages } = await mammoth.extractRawText({ arrayBuffer: bytes.buffer });
+
+    if (messages && messages.length > 0) {
+      console.log('📝 DOCX extraction notes:', messages.map(m => m.message).join('; '));
+    }
+
+    // Word documents carry no fixed pagination, so the whole body is page 1
+    return [{ pageNumber: 1, text: value }];
+  }
+
+  // Plain text and Markdown; form feeds mark page breaks when present.
+  // Embedded pictures are reduced to their alt text.
+  extractText(bytes) {
+    const text = new TextDecoder('utf-8')
+      .decode(bytes)
+      .replace(/!\[([^\]]*)\]\(data:image\/[^)\s]+\)/g, (match, alt) => (alt ? `[Image: ${alt}]` : ''));
+
+    return text.split('\f').map((pageText, index) => ({
+      pageNumber: index + 1,
+      text: pageText
+    }));
+  }
+
+  // Collapse runs of spaces but keep paragraph breaks for the chunker
+  normalizeWhitespace(text) {
+    return (text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // Clear cache
+  clearCache() {
+    this.cache.clear();
+  }
+}
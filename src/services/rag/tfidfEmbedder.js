@@ -0,0 +1,94 @@
+import { tokenize } from './tokenizer';
+
+// Corpus-learned TF-IDF embeddings using the hashing trick.
+//
+// Every term is hashed into a fixed number of dimensions, so a vector never
+// depends on which other documents happen to be indexed and stays comparable
+// across page loads. What is learned from the corpus is the document
+// frequency of each dimension; the resulting IDF weights are applied when
+// vectors are compared, not when they are built.
+export class TfidfEmbedder {
+  constructor(config = {}) {
+    this.dimensions = config.dimensions || 1024;
+    this.id = `tfidf-hash-${this.dimensions}`;
+    this.documentFrequency = new Float32Array(this.dimensions);
+    this.documentCount = 0;
+    this.idfWeights = new Float32Array(this.dimensions).fill(1);
+    this.weightsVersion = 0; // Bumped by every fit(), since the weights change similarity
+  }
+
+  // 32-bit FNV-1a hash
+  hash(term) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < term.length; i++) {
+      hash ^= term.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Sublinear term frequencies hashed into a signed, L2-normalised vector
+  embedText(text) {
+    const termCounts = new Map();
+    tokenize(text).forEach(term => {
+      termCounts.set(term, (termCounts.get(term) || 0) + 1);
+    });
+
+    const vector = new Array(this.dimensions).fill(0);
+    termCounts.forEach((count, term) => {
+      const hash = this.hash(term);
+      const index = hash % this.dimensions;
+      // The top bit picks a sign so colliding terms tend to cancel out rather than pile up
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[index] += sign * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  // Learn document frequencies from the indexed chunks
+  fit(texts) {
+    this.documentFrequency = new Float32Array(this.dimensions);
+    this.documentCount = texts.length;
+
+    texts.forEach(text => {
+      const seen = new Set(tokenize(text).map(term => this.hash(term) % this.dimensions));
+      seen.forEach(index => {
+        this.documentFrequency[index] += 1;
+      });
+    });
+
+    // Smoothed IDF, as in scikit-learn: rare dimensions weigh more, unseen ones the most
+    for (let i = 0; i < this.dimensions; i++) {
+      this.idfWeights[i] = Math.log((1 + this.documentCount) / (1 + this.documentFrequency[i])) + 1;
+    }
+
+    this.weightsVersion++;
+    console.log(`📖 TF-IDF weights learned from ${texts.length} chunks`);
+  }
+
+  // Cosine similarity with each dimension weighted by its IDF
+  similarity(embedding1, embedding2) {
+    let dotProduct = 0;
+    let norm1 = 0;
+    let norm2 = 0;
+
+    for (let i = 0; i < embedding1.length; i++) {
+      const weight = this.idfWeights[i];
+      const weighted1 = embedding1[i] * weight;
+      const weighted2 = embedding2[i] * weight;
+
+      dotProduct += weighted1 * weighted2;
+      norm1 += weighted1 * weighted1;
+      norm2 += weighted2 * weighted2;
+    }
+
+    const magnitude = Math.sqrt(norm1) * Math.sqrt(norm2);
+    return magnitude === 0 ? 0 : dotProduct / magnitude;
+  }
+}
@@ -0,0 +1,52 @@
+// Shared tokenization for the lexical parts of the RAG pipeline
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could',
+  'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has',
+  'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
+  'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once',
+  'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such',
+  'than', 'that', 'the', 'their', 'theirs', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+  'through', 'to', 'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours'
+]);
+
+// Light suffix stripping so "civilizations" and "civilization" share a term
+export function stem(word) {
+  if (word.length <= 4 || /\d/.test(word)) return word;
+
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ing') && word.length > 6) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+  if (word.endsWith('es') && /(ch|sh|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us') && !word.endsWith('is')) return word.slice(0, -1);
+
+  return word;
+}
+
+// Lowercase, split on non-word characters, drop stop words and stem.
+// Unicode-aware so regional-language documents tokenize too.
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKC')
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// Estimate of how many tokens a subword (BPE/SentencePiece) model spends on the text:
+// roughly one token per four letters of a word, one per short digit group, and one
+// per punctuation mark. Used for chunk sizing and prompt budgets, where being
+// consistent matters more than matching a specific vocabulary exactly.
+export function countTokens(text) {
+  const pieces = (text || '').match(/[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{M}\p{N}]/gu) || [];
+
+  return pieces.reduce((total, piece) => {
+    if (/^\p{N}/u.test(piece)) return total + Math.ceil(piece.length / 3);
+    if (/^[\p{L}\p{M}]/u.test(piece)) return total + Math.ceil(piece.length / 4);
+    return total + 1;
+  }, 0);
+}
@@ -1,60 +1,294 @@
+import { BM25Index } from './bm25Index';
+import { HNSWIndex } from './hnswIndex';
+
 export class VectorStore {
-  constructor(embeddingManager) {
+  constructor(embeddingManager, config = {}) {
     this.embeddingManager = embeddingManager;
     this.documents = [];
     this.embeddings = [];
+    this.positions = new Map(); // chunk id -> position in documents/embeddings
+    this.lexicalIndex = new BM25Index();
+    this.annIndex = null; // Built lazily once the library outgrows exact search
+    this.annIndexVersion = null; // Similarity version the ANN graph was built with
+    this.config = {
+      hybridSearch: true,
+      vectorWeight: 1.0, // Weight of the embedding ranking in rank fusion
+      lexicalWeight: 1.0, // Weight of the BM25 ranking in rank fusion
+      rrfK: 60, // Reciprocal rank fusion damping constant
+      minSimilarity: 0.1, // Vector-only hits below this are dropped
+      vectorIndex: 'auto', // 'exact', 'hnsw', or 'auto' (HNSW once annThreshold chunks are stored)
+      annThreshold: 5000,
+      annEfSearch: 64,
+      ...config
+    };
   }
 
-  // Add documents to the vector store
-  addDocuments(documents) {
+  // Add documents to the vector store; pass embeddings to skip re-embedding stored chunks
+  async addDocuments(documents, embeddings = null) {
     console.log(`Adding ${documents.length} documents to vector store...`);
-    
-    documents.forEach(doc => {
-      const embedding = this.embeddingManager.getEmbedding(doc.content);
+
+    if (!embeddings) {
+      embeddings = await this.embeddingManager.getEmbeddings(documents.map(doc => doc.content));
+    }
+
+    documents.forEach((doc, index) => {
+      this.positions.set(doc.id, this.documents.length);
       this.documents.push(doc);
-      this.embeddings.push(embedding);
+      this.embeddings.push(embeddings[index]);
+      this.lexicalIndex.add(doc.id, doc.content);
+      this.annIndex?.insert(doc.id, embeddings[index]);
     });
-    
+
     console.log(`Vector store now contains ${this.documents.length} documents`);
   }
 
-  // Search for similar documents
-  search(query, topK = 5) {
+  // Hybrid search: embedding similarity and BM25 rankings merged by reciprocal rank fusion.
+  // filter(chunk) narrows the candidate chunks before anything is scored.
+  async search(query, topK = 5, filter = null) {
     if (this.documents.length === 0) {
       console.warn('Vector store is empty');
       return [];
     }
-    
-    const queryEmbedding = this.embeddingManager.getEmbedding(query);
+
+    const allowed = filter ? this.getAllowedIndexes(filter) : null;
+    if (allowed) {
+      console.log(`🔖 Retrieval filters matched ${allowed.size} of ${this.documents.length} chunks`);
+      if (allowed.size === 0) return [];
+    }
+
+    const candidatePool = Math.max(topK * 4, 50);
+    const vectorResults = await this.vectorSearch(query, candidatePool, allowed);
+
+    if (!this.config.hybridSearch) {
+      const results = vectorResults
+        .filter(result => result.similarity > this.config.minSimilarity)
+        .slice(0, topK);
+
+      console.log(`Found ${results.length} relevant documents for query: "${query.substring(0, 50)}..."`);
+      return results.map(result => this.formatResult(result));
+    }
+
+    const lexicalResults = this.lexicalIndex.search(
+      query,
+      candidatePool,
+      allowed ? (chunkId) => allowed.has(this.positions.get(chunkId)) : null
+    );
+    const { vectorWeight, lexicalWeight, rrfK } = this.config;
+    const fused = new Map();
+
+    const entryFor = (index) => {
+      if (!fused.has(index)) {
+        fused.set(index, { index, similarity: 0, lexicalScore: 0, vectorRank: null, lexicalRank: null, fusionScore: 0 });
+      }
+      return fused.get(index);
+    };
+
+    vectorResults.forEach((result, rank) => {
+      const entry = entryFor(result.index);
+      entry.similarity = result.similarity;
+      entry.vectorRank = rank + 1;
+      entry.fusionScore += vectorWeight / (rrfK + rank + 1);
+    });
+
+    lexicalResults.forEach((result, rank) => {
+      const index = this.positions.get(result.chunkId);
+      if (index === undefined) return;
+
+      const entry = entryFor(index);
+      entry.lexicalScore = result.score;
+      entry.lexicalRank = rank + 1;
+      entry.fusionScore += lexicalWeight / (rrfK + rank + 1);
+    });
+
+    // Keyword hits always qualify; embedding-only hits still need a minimum similarity
+    const results = [...fused.values()]
+      .filter(entry => entry.lexicalRank !== null || entry.similarity > this.config.minSimilarity)
+      .sort((a, b) => b.fusionScore - a.fusionScore)
+      .slice(0, topK);
+
+    console.log(`Found ${results.length} relevant documents for query: "${query.substring(0, 50)}..." (${lexicalResults.length} keyword hits)`);
+
+    return results.map(result => this.formatResult(result));
+  }
+
+  // Positions of the chunks a filter lets through
+  getAllowedIndexes(filter) {
+    const allowed = new Set();
+    this.documents.forEach((doc, index) => {
+      if (filter(doc)) allowed.add(index);
+    });
+    return allowed;
+  }
+
+  // Nearest chunks by embedding, through the ANN index when it is in use.
+  // A filtered subset below the ANN threshold is cheaper to scan exactly.
+  async vectorSearch(query, topK, allowed = null) {
+    const queryEmbedding = await this.embeddingManager.getEmbedding(query);
+
+    if (this.shouldUseAnn() && !(allowed && allowed.size < this.config.annThreshold)) {
+      return this.annSearch(queryEmbedding, topK, allowed);
+    }
+
+    return this.exactSearch(queryEmbedding, topK, allowed);
+  }
+
+  shouldUseAnn() {
+    if (this.config.vectorIndex === 'exact') return false;
+    if (this.config.vectorIndex === 'auto' && this.documents.length < this.config.annThreshold) return false;
+
+    this.ensureAnnIndex();
+    return true;
+  }
+
+  // The graph's links are distances under the embedder's current weights, so a
+  // refit (e.g. TF-IDF after an upload) leaves them stale: rebuild it then
+  ensureAnnIndex() {
+    if (!this.annIndex || this.annIndexVersion !== this.embeddingManager.getSimilarityVersion()) {
+      this.buildAnnIndex();
+    }
+  }
+
+  buildAnnIndex() {
+    const startTime = Date.now();
+    this.annIndexVersion = this.embeddingManager.getSimilarityVersion();
+    this.annIndex = new HNSWIndex(
+      (a, b) => 1 - this.embeddingManager.calculateSimilarity(a, b),
+      { efSearch: this.config.annEfSearch }
+    );
+
+    this.documents.forEach((doc, index) => {
+      this.annIndex.insert(doc.id, this.embeddings[index]);
+    });
+
+    console.log(`🕸️ Built HNSW index over ${this.documents.length} chunks in ${Date.now() - startTime}ms`);
+  }
+
+  annSearch(queryEmbedding, topK, allowed = null) {
+    // Over-fetch in proportion to the filtered share so enough allowed chunks survive
+    const fetchK = allowed
+      ? Math.min(this.documents.length, Math.ceil(topK * this.documents.length / allowed.size))
+      : topK;
+
+    return this.annIndex.search(queryEmbedding, fetchK, Math.max(this.config.annEfSearch, fetchK))
+      .map(result => ({
+        similarity: 1 - result.distance,
+        index: this.positions.get(result.key)
+      }))
+      .filter(result => result.index !== undefined && (!allowed || allowed.has(result.index)))
+      .slice(0, topK);
+  }
+
+  // Exact cosine scan over every stored embedding, or only the allowed ones
+  exactSearch(queryEmbedding, topK, allowed = null) {
     const similarities = [];
-    
-    // Calculate similarity with all documents
-    for (let i = 0; i < this.embeddings.length; i++) {
+    const indexes = allowed ? [...allowed] : this.embeddings.keys();
+
+    // Calculate similarity with all candidate documents
+    for (const i of indexes) {
       const similarity = this.embeddingManager.calculateSimilarity(
         queryEmbedding,
         this.embeddings[i]
       );
-      
+
       similarities.push({
-        document: this.documents[i],
         similarity: similarity,
         index: i
       });
     }
-    
-    // Sort by similarity and return top K
-    const results = similarities
+
+    return similarities
       .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, topK)
-      .filter(result => result.similarity > 0.1); // Minimum similarity threshold
-    
-    console.log(`Found ${results.length} relevant documents for query: "${query.substring(0, 50)}..."`);
-    
-    return results.map(result => ({
-      content: result.document.content,
-      metadata: result.document.metadata,
-      similarity: result.similarity
-    }));
+      .slice(0, topK);
+  }
+
+  // Benchmark mode: recall@K of the ANN index against the exact scan.
+  // Without queries, the opening words of a sample of stored chunks are used.
+  async benchmark(queries = null, topK = 10) {
+    if (this.documents.length === 0) {
+      return { queries: 0, topK, recall: null, exactMs: 0, annMs: 0 };
+    }
+
+    this.ensureAnnIndex();
+
+    if (!queries) {
+      const step = Math.max(1, Math.floor(this.documents.length / 50));
+      queries = this.documents
+        .filter((doc, index) => index % step === 0)
+        .map(doc => doc.content.split(/\s+/).slice(0, 12).join(' '));
+    }
+
+    let recallTotal = 0;
+    let exactMs = 0;
+    let annMs = 0;
+
+    for (const query of queries) {
+      const queryEmbedding = await this.embeddingManager.getEmbedding(query);
+
+      let startTime = performance.now();
+      const exact = this.exactSearch(queryEmbedding, topK);
+      exactMs += performance.now() - startTime;
+
+      startTime = performance.now();
+      const approximate = this.annSearch(queryEmbedding, topK);
+      annMs += performance.now() - startTime;
+
+      const exactIndexes = new Set(exact.map(result => result.index));
+      const found = approximate.filter(result => exactIndexes.has(result.index)).length;
+      recallTotal += exactIndexes.size === 0 ? 1 : found / exactIndexes.size;
+    }
+
+    const report = {
+      queries: queries.length,
+      topK,
+      chunks: this.documents.length,
+      recall: recallTotal / queries.length,
+      exactMs: exactMs / queries.length,
+      annMs: annMs / queries.length
+    };
+
+    console.log(`📏 ANN benchmark: recall@${topK} ${(report.recall * 100).toFixed(1)}% over ${report.queries} queries, exact ${report.exactMs.toFixed(2)}ms vs HNSW ${report.annMs.toFixed(2)}ms per query`);
+    return report;
+  }
+
+  formatResult(result) {
+    const document = this.documents[result.index];
+
+    return {
+      chunkId: document.id,
+      content: document.content,
+      metadata: document.metadata,
+      similarity: result.similarity,
+      lexicalScore: result.lexicalScore,
+      fusionScore: result.fusionScore
+    };
+  }
+
+  // Remove every chunk belonging to the given source documents
+  removeDocuments(documentIds) {
+    const ids = new Set(documentIds);
+    const keep = [];
+    this.documents.forEach((doc, index) => {
+      if (ids.has(doc.metadata?.documentId)) {
+        this.lexicalIndex.remove(doc.id);
+        this.annIndex?.remove(doc.id);
+      } else {
+        keep.push(index);
+      }
+    });
+
+    this.embeddings = keep.map(index => this.embeddings[index]);
+    this.documents = keep.map(index => this.documents[index]);
+    this.positions = new Map(this.documents.map((doc, index) => [doc.id, index]));
+  }
+
+  // Chunks of one source document
+  getChunks(documentId) {
+    return this.documents.filter(doc => doc.metadata?.documentId === documentId);
+  }
+
+  // Get all stored chunk contents (used to fit corpus statistics)
+  getContents() {
+    return this.documents.map(doc => doc.content);
   }
 
   // Get document count
@@ -62,10 +296,22 @@ export class VectorStore {
     return this.documents.length;
   }
 
+  // Update configuration
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+
+    if (this.annIndex) {
+      this.annIndex.efSearch = this.config.annEfSearch;
+    }
+  }
+
   // Clear the vector store
   clear() {
     this.documents = [];
     this.embeddings = [];
+    this.positions.clear();
+    this.lexicalIndex.clear();
+    this.annIndex = null;
     this.embeddingManager.clearCache();
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,115 @@
+// Request/response messaging over a Worker (page side) or the worker's global
+// scope (worker side). Either side can call the other's handlers:
+//   call(method, args, { onEvent, signal }) - resolves to the handler's result
+//   notify(method, args)                   - fire and forget
+// A handler receives (args, { emit, signal }): emit(event) sends an event to the
+// caller's onEvent while the call runs (streamed tokens), and signal aborts when
+// the caller's signal does. Errors cross over with their name and message, so
+// AbortError checks keep working on the other side.
+//
+// Messages: { type: 'call' | 'notify' | 'event' | 'reply' | 'abort', id, ... }
+export class WorkerChannel {
+  constructor(port, handlers = {}) {
+    this.port = port;
+    this.handlers = handlers;
+    this.nextId = 1;
+    this.pending = new Map(); // id -> outgoing call waiting for its reply
+    this.running = new Map(); // id -> AbortController of an incoming call
+
+    this.port.addEventListener('message', event => this.handleMessage(event.data));
+  }
+
+  call(method, args = [], { onEvent = null, signal = null } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createError({ name: 'AbortError', message: 'The operation was aborted' }));
+        return;
+      }
+
+      const id = this.nextId++;
+      const onAbort = () => this.port.postMessage({ type: 'abort', id });
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.pending.set(id, {
+        resolve,
+        reject,
+        onEvent,
+        cleanup: () => signal?.removeEventListener('abort', onAbort)
+      });
+      this.port.postMessage({ type: 'call', id, method, args });
+    });
+  }
+
+  notify(method, args = []) {
+    this.port.postMessage({ type: 'notify', method, args });
+  }
+
+  handleMessage(message) {
+    switch (message?.type) {
+      case 'call':
+        this.handleCall(message);
+        break;
+      case 'notify':
+        this.handlers[message.method]?.(message.args, {});
+        break;
+      case 'event':
+        this.pending.get(message.id)?.onEvent?.(message.event);
+        break;
+      case 'abort':
+        this.running.get(message.id)?.abort();
+        break;
+      case 'reply': {
+        const call = this.pending.get(message.id);
+        if (!call) break;
+
+        this.pending.delete(message.id);
+        call.cleanup();
+        if (message.error) {
+          call.reject(createError(message.error));
+        } else {
+          call.resolve(message.result);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  async handleCall({ id, method, args }) {
+    const controller = new AbortController();
+    this.running.set(id, controller);
+
+    try {
+      const handler = this.handlers[method];
+      if (!handler) {
+        throw new Error(`No handler for "${method}"`);
+      }
+
+      const result = await handler(args, {
+        signal: controller.signal,
+        emit: event => this.port.postMessage({ type: 'event', id, event })
+      });
+      this.port.postMessage({ type: 'reply', id, result });
+    } catch (error) {
+      this.port.postMessage({ type: 'reply', id, error: { name: error.name, message: error.message } });
+    } finally {
+      this.running.delete(id);
+    }
+  }
+
+  // Fail every outstanding call, e.g. when the worker crashed
+  rejectAll(error) {
+    this.pending.forEach(call => {
+      call.cleanup();
+      call.reject(error);
+    });
+    this.pending.clear();
+  }
+}
+
+function createError({ name, message }) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
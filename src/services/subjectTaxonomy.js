@@ -0,0 +1,184 @@
+import { DatabaseService } from './supabase';
+
+// Built-in taxonomy, used until the subjects table has loaded and whenever it is
+// unreachable. Mirrors the rows seeded by the subjects migration.
+export const DEFAULT_SUBJECT_TAXONOMY = [
+  {
+    name: 'Mathematics',
+    keywords: ['math', 'maths', 'calculate', 'number', 'formula', 'equation', 'theorem', 'proof', 'graph', 'variable', 'function'],
+    topics: [
+      { name: 'Algebra', keywords: ['algebra', 'polynomial', 'quadratic', 'linear equation', 'expression', 'factor'] },
+      { name: 'Geometry', keywords: ['geometry', 'triangle', 'circle', 'angle', 'coordinate', 'perimeter', 'volume'] },
+      { name: 'Calculus', keywords: ['calculus', 'derivative', 'integral', 'limit', 'differentiation'] },
+      { name: 'Statistics', keywords: ['statistics', 'probability', 'median', 'standard deviation', 'variance', 'data set'] },
+      { name: 'Trigonometry', keywords: ['trigonometry', 'sine', 'cosine', 'tangent'] },
+      { name: 'Matrices', keywords: ['matrix', 'matrices', 'vector', 'determinant'] }
+    ]
+  },
+  {
+    name: 'Science',
+    keywords: ['science', 'experiment', 'hypothesis', 'energy', 'scientific'],
+    topics: [
+      { name: 'Biology', keywords: ['biology', 'cell', 'organism', 'photosynthesis', 'evolution', 'genetics', 'dna', 'protein', 'ecosystem', 'botany', 'zoology'] },
+      { name: 'Chemistry', keywords: ['chemistry', 'molecule', 'atom', 'reaction', 'compound', 'element', 'acid', 'alkali', 'periodic table'] },
+      { name: 'Physics', keywords: ['physics', 'force', 'motion', 'velocity', 'acceleration', 'gravity', 'electricity', 'optics', 'refraction'] }
+    ]
+  },
+  {
+    name: 'History',
+    keywords: ['history', 'historical', 'civilization', 'ancient', 'empire', 'dynasty', 'monarch', 'world war', 'century'],
+    topics: [
+      { name: 'Ancient civilizations', keywords: ['harappan', 'indus', 'mesopotamia', 'egypt', 'rome', 'greece', 'bronze', 'pottery', 'settlement'] },
+      { name: 'Archaeology', keywords: ['archaeology', 'artifact', 'excavation'] },
+      { name: 'Society and economy', keywords: ['culture', 'society', 'trade', 'agriculture'] }
+    ]
+  },
+  {
+    name: 'English',
+    keywords: ['english', 'writing', 'grammar', 'sentence', 'paragraph', 'essay'],
+    topics: [
+      { name: 'Literature', keywords: ['literature', 'literary', 'novel', 'poetry', 'author', 'character', 'plot', 'theme', 'narrative', 'dialogue'] },
+      { name: 'Figures of speech', keywords: ['metaphor', 'simile', 'symbolism', 'personification', 'alliteration'] }
+    ]
+  },
+  {
+    name: 'Computer Science',
+    keywords: ['computer', 'programming', 'code', 'coding', 'software', 'hardware', 'technology', 'digital'],
+    topics: [
+      { name: 'Algorithms', keywords: ['algorithm', 'binary search', 'sorting', 'complexity', 'recursion'] },
+      { name: 'Data structures', keywords: ['data structure', 'array', 'stack', 'queue', 'linked list', 'binary tree'] },
+      { name: 'Databases', keywords: ['database', 'sql', 'primary key'] },
+      { name: 'Networks', keywords: ['network', 'internet', 'protocol'] },
+      { name: 'Object-oriented programming', keywords: ['object-oriented', 'encapsulation', 'polymorphism', 'inheritance'] }
+    ]
+  }
+];
+
+// Lowercase, keep letters, combining marks and digits of any script, pad with spaces
+// so keywords can be matched at word starts
+const normalize = (text) => ` ${(text || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim()} `;
+
+// Subjects, their topics and the keywords that identify them
+export class SubjectTaxonomy {
+  constructor(subjects = DEFAULT_SUBJECT_TAXONOMY) {
+    this.subjects = subjects
+      .filter(subject => subject && subject.name)
+      .map(subject => ({
+        id: subject.id || null,
+        name: subject.name.trim(),
+        keywords: (subject.keywords || []).filter(Boolean),
+        topics: (subject.topics || []).filter(topic => topic && topic.name)
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  getSubjectNames() {
+    return this.subjects.map(subject => subject.name);
+  }
+
+  // Case-insensitive lookup by subject name
+  findSubject(name) {
+    if (!name) return null;
+    const wanted = name.trim().toLowerCase();
+    return this.subjects.find(subject => subject.name.toLowerCase() === wanted) || null;
+  }
+
+  // Score how strongly a text points at each subject. Keywords match at word starts
+  // ("equation" matches "equations" but "cell" does not match "excellent"); whole-word
+  // matches count extra. Returns { subject, topic, score, confidence }
+  // for the best subject, or null when no subject leads the runner-up by minMargin.
+  // confidence is the best subject's lead as a share of its score (1 when it is the only match).
+  detectSubject(text, minMargin = 1) {
+    const normalized = normalize(text);
+
+    const scoreTerms = (terms) => {
+      let score = 0;
+      terms.forEach(term => {
+        const keyword = normalize(term).trim();
+        if (!keyword || !normalized.includes(` ${keyword}`)) return;
+        score += 1;
+        if (normalized.includes(` ${keyword} `)) score += 0.5;
+      });
+      return score;
+    };
+
+    const matches = [];
+    this.subjects.forEach(subject => {
+      let score = scoreTerms([subject.name, ...subject.keywords]);
+      let bestTopic = null;
+      let bestTopicScore = 0;
+
+      subject.topics.forEach(topic => {
+        const topicScore = scoreTerms([topic.name, ...(topic.keywords || [])]);
+        score += topicScore;
+        if (topicScore > bestTopicScore) {
+          bestTopicScore = topicScore;
+          bestTopic = topic.name;
+        }
+      });
+
+      if (score > 0) {
+        matches.push({ subject: subject.name, topic: bestTopic, score });
+      }
+    });
+
+    if (matches.length === 0) return null;
+
+    matches.sort((a, b) => b.score - a.score);
+    const [best, runnerUp] = matches;
+    const lead = best.score - (runnerUp?.score || 0);
+
+    // A tie or a narrow lead is a guess, not a detection
+    if (lead < minMargin) return null;
+
+    return { ...best, confidence: lead / best.score };
+  }
+}
+
+// Shared taxonomy for the whole app. SubjectsProvider loads it from the database;
+// the reranker and the UI read it from here.
+export const SubjectTaxonomyService = {
+  taxonomy: new SubjectTaxonomy(),
+  listeners: new Set(),
+
+  getTaxonomy() {
+    return this.taxonomy;
+  },
+
+  setSubjects(subjects) {
+    this.taxonomy = new SubjectTaxonomy(subjects);
+    this.listeners.forEach(listener => listener(this.taxonomy));
+  },
+
+  // Call with a listener(taxonomy); returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  },
+
+  // Load the taxonomy from Supabase, keeping the current one if that fails
+  async load() {
+    const { data, error } = await DatabaseService.getSubjects();
+
+    if (error || !data || data.length === 0) {
+      console.warn('⚠️ Subject taxonomy unavailable, using built-in subjects');
+      return this.taxonomy;
+    }
+
+    this.setSubjects(data);
+    console.log(`🏷️ Loaded ${data.length} subjects from the taxonomy`);
+    return this.taxonomy;
+  },
+
+  async saveSubject(subject, userId) {
+    const { data, error } = await DatabaseService.saveSubject(subject, userId);
+    if (!error) await this.load();
+    return { data, error };
+  },
+
+  async deleteSubject(subjectId) {
+    const { error } = await DatabaseService.deleteSubject(subjectId);
+    if (!error) await this.load();
+    return { error };
+  }
+};
@@ -10,8 +10,7 @@ const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
 export const supabase = createClient(supabaseUrl, supabaseAnonKey);
 
-// Hardcoded subjects as requested
-export const SUBJECTS = ['Mathematics', 'Science', 'History', 'English', 'Computer Science'];
+// Subjects come from the configurable taxonomy: see services/subjectTaxonomy.js
 
 // Database helper functions
 export const DatabaseService = {
@@ -75,13 +74,17 @@ export const DatabaseService = {
                 {
                   ...metadata,
                   file_url: base64Content, // Store as base64 for now
-                  vector: [] // Placeholder for embeddings
+                  vector: [] // Unused: chunk embeddings are stored in document_chunks
                 }
               ])
               .select()
               .single();
 
             if (error) throw error;
+
+            // Chunk and embed right away so the chat never has to do it for this version
+            await this.indexDocument(data);
+
             resolve({ data, error: null });
           } catch (error) {
             console.error('Error saving document:', error);
@@ -120,7 +123,8 @@ export const DatabaseService = {
 
   async deleteDocument(documentId) {
     try {
-      // Delete document record (file is stored as base64 in database)
+      // Delete document record (file is stored as base64 in database);
+      // its chunks, summaries and cached answers go with it through ON DELETE CASCADE
       const { error } = await supabase
         .from('documents')
         .delete()
@@ -134,6 +138,314 @@ export const DatabaseService = {
     }
   },
 
+  // Build the RAG chunk index for a newly uploaded document
+  async indexDocument(document) {
+    try {
+      // Import the AI service here to avoid circular dependencies
+      const { WatsonxService } = await import('./watsonx');
+      await WatsonxService.initializeRAG().indexDocument(document);
+    } catch (error) {
+      // Not fatal: the RAG pipeline indexes any missing document on its next load
+      console.error('Error indexing document:', error);
+    }
+  },
+
+  // Document chunks (persisted RAG index)
+  async getDocumentChunks(documentIds) {
+    try {
+      const chunks = [];
+
+      // Keep the id list short enough for the query string
+      for (let i = 0; i < documentIds.length; i += 50) {
+        const { data, error } = await supabase
+          .from('document_chunks')
+          .select('document_id, chunk_index, content, metadata, embedding, embedding_model, index_version')
+          .in('document_id', documentIds.slice(i, i + 50))
+          .order('chunk_index', { ascending: true });
+
+        if (error) throw error;
+        chunks.push(...data);
+      }
+
+      return { data: chunks, error: null };
+    } catch (error) {
+      console.error('Error getting document chunks:', error);
+      return { data: null, error };
+    }
+  },
+
+  // Rows are written without a version and stamped with indexVersion only once
+  // every batch is in, so a half-written index never looks current
+  async saveDocumentChunks(documentId, chunks, indexVersion) {
+    try {
+      const { error: deleteError } = await this.deleteDocumentChunks(documentId);
+      if (deleteError) throw deleteError;
+
+      for (let i = 0; i < chunks.length; i += 100) {
+        const { error } = await supabase
+          .from('document_chunks')
+          .insert(chunks.slice(i, i + 100).map(chunk => ({ ...chunk, document_id: documentId, index_version: '' })));
+
+        if (error) throw error;
+      }
+
+      const { error } = await supabase
+        .from('document_chunks')
+        .update({ index_version: indexVersion })
+        .eq('document_id', documentId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Error saving document chunks:', error);
+      await this.deleteDocumentChunks(documentId);
+      return { error };
+    }
+  },
+
+  async deleteDocumentChunks(documentId) {
+    try {
+      const { error } = await supabase
+        .from('document_chunks')
+        .delete()
+        .eq('document_id', documentId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Error deleting document chunks:', error);
+      return { error };
+    }
+  },
+
+  // Summaries and study guides (see rag/documentSummarizer.js); rows of any version
+  async getDocumentSummaries(documentIds) {
+    try {
+      const { data, error } = await supabase
+        .from('document_summaries')
+        .select('*')
+        .in('document_id', documentIds);
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Error getting document summaries:', error);
+      return { data: [], error };
+    }
+  },
+
+  async saveDocumentSummary(summary) {
+    try {
+      const { data, error } = await supabase
+        .from('document_summaries')
+        .upsert([summary], { onConflict: 'document_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Error saving document summary:', error);
+      return { data: null, error };
+    }
+  },
+
+  // Semantic answer cache; RLS limits reads to the signed-in user's own answers
+  async getCachedAnswers(scope, limit = 200) {
+    try {
+      const { data, error } = await supabase
+        .from('answer_cache')
+        .select('id, question, embedding, result, created_at, expires_at')
+        .eq('scope', scope)
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Error getting cached answers:', error);
+      return { data: [], error };
+    }
+  },
+
+  async saveCachedAnswer(entry) {
+    try {
+      const { data, error } = await supabase
+        .from('answer_cache')
+        .insert([entry])
+        .select('id')
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Error saving cached answer:', error);
+      return { data: null, error };
+    }
+  },
+
+  // Subject taxonomy: subjects with keywords and topics, shared by every teacher
+  async getSubjects() {
+    try {
+      const { data, error } = await supabase
+        .from('subjects')
+        .select('id, name, keywords, topics')
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Error getting subjects:', error);
+      return { data: null, error };
+    }
+  },
+
+  async saveSubject(subject, userId) {
+    try {
+      const row = {
+        name: subject.name.trim(),
+        keywords: subject.keywords || [],
+        topics: subject.topics || [],
+        updated_at: new Date().toISOString()
+      };
+
+      // Built-in subjects shown before the table loaded have no id: find their row by name
+      let id = subject.id;
+      if (!id && subject.originalName) {
+        const { data: existing, error: lookupError } = await supabase
+          .from('subjects')
+          .select('id')
+          .eq('name', subject.originalName)
+          .maybeSingle();
+
+        if (lookupError) throw lookupError;
+        id = existing?.id;
+      }
+
+      // Renames are carried over to documents and question papers by a trigger
+      const query = id
+        ? supabase.from('subjects').update(row).eq('id', id)
+        : supabase.from('subjects').upsert([{ ...row, created_by: userId }], { onConflict: 'name' });
+
+      const { data, error } = await query.select().single();
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Error saving subject:', error);
+      return { data: null, error };
+    }
+  },
+
+  async deleteSubject(subjectId) {
+    try {
+      const { error } = await supabase
+        .from('subjects')
+        .delete()
+        .eq('id', subjectId);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Error deleting subject:', error);
+      return { error };
+    }
+  },
+
+  // AI usage: one row per AI request, written by WatsonxService's usage meter
+  async recordAIUsage(entry) {
+    try {
+      const { error } = await supabase
+        .from('ai_usage')
+        .insert([entry]);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error('Error recording AI usage:', error);
+      return { error };
+    }
+  },
+
+  // Requests and tokens a user has used since the given time; quota refusals don't count
+  async getAIUsageTotals(userId, since) {
+    try {
+      const { data, error } = await supabase
+        .from('ai_usage')
+        .select('input_tokens, output_tokens')
+        .eq('user_id', userId)
+        .gte('created_at', since)
+        .neq('outcome', 'quota_exceeded');
+
+      if (error) throw error;
+      return {
+        data: {
+          requests: data.length,
+          tokens: data.reduce((sum, row) => sum + row.input_tokens + row.output_tokens, 0)
+        },
+        error: null
+      };
+    } catch (error) {
+      console.error('Error getting AI usage totals:', error);
+      return { data: null, error };
+    }
+  },
+
+  // Usage rows since the given time with the user's name; teachers see everyone's under RLS
+  async getAIUsage(since, limit = 5000) {
+    try {
+      const { data, error } = await supabase
+        .from('ai_usage')
+        .select('id, user_id, role, feature, provider, model, input_tokens, output_tokens, tokens_estimated, has_image, latency_ms, outcome, error_message, created_at, user:users(name)')
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Error getting AI usage:', error);
+      return { data: [], error };
+    }
+  },
+
+  // Daily AI quotas per role
+  async getAIQuotas() {
+    try {
+      const { data, error } = await supabase
+        .from('ai_quotas')
+        .select('role, daily_requests, daily_tokens, updated_at');
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Error getting AI quotas:', error);
+      return { data: [], error };
+    }
+  },
+
+  async saveAIQuota(quota, userId) {
+    try {
+      const { data, error } = await supabase
+        .from('ai_quotas')
+        .upsert({
+          role: quota.role,
+          daily_requests: quota.daily_requests,
+          daily_tokens: quota.daily_tokens,
+          updated_by: userId,
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Error saving AI quota:', error);
+      return { data: null, error };
+    }
+  },
+
   createOCRJobForSubmission: async ({ file_url, session_id, student_id = null }) => {
   try {
     if (!file_url) {
@@ -378,6 +690,40 @@ export const DatabaseService = {
     }
   },
 
+  // Latest RAG queries of all users, without the trace bodies (teachers only under RLS)
+  async getRecentChatTraces(limit = 25) {
+    try {
+      const { data, error } = await supabase
+        .from('chats')
+        .select('id, user_id, question, timestamp, outcome:rag_trace->>outcome')
+        .not('rag_trace', 'is', null)
+        .order('timestamp', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Error getting chat traces:', error);
+      return { data: [], error };
+    }
+  },
+
+  async getChatTrace(chatId) {
+    try {
+      const { data, error } = await supabase
+        .from('chats')
+        .select('id, user_id, question, answer, timestamp, rag_trace')
+        .eq('id', chatId)
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Error getting chat trace:', error);
+      return { data: null, error };
+    }
+  },
+
   async getChatHistory(userId) {
     try {
       // Validate UUID format before querying
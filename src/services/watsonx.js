@@ -1,20 +1,52 @@
-// Enhanced IBM Watsonx API integration with Vision support and existing RAG pipeline
+// Enhanced IBM Watsonx API integration with Vision support and existing RAG pipeline.
+// Requests go through a pluggable LLM provider (watsonx, OpenAI-compatible or
+// Ollama), selected with VITE_LLM_PROVIDER.
 import { RAGPipeline } from './rag/ragPipeline';
-import.meta.env.VITE_WATSONX_API_KEY
-
-const WATSONX_URL = '/api/watsonx';
-const IAM_URL = '/api/iam';
+import { RAGWorkerClient } from './rag/ragWorkerClient';
+import { createLLMProvider, getLLMConfig } from './llm/providers';
+import { supabase, DatabaseService } from './supabase';
+import { RequestScheduler } from './llm/requestScheduler';
+import { UsageMeter, isQuotaError } from './llm/usageMeter';
 
 export const WatsonxService = {
-  // Cache for access token to avoid repeated IAM calls
-  accessTokenCache: {
-    token: null,
-    expiry: null
-  },
+  // Provider settings and the provider instance (see getProvider)
+  llmConfig: getLLMConfig(),
+  provider: null,
+
+  // Every AI request from the app is queued here (priorities, concurrency,
+  // rate limit, retries); see scheduler.getMetrics() / onMetrics()
+  scheduler: new RequestScheduler(),
+
+  // Records every request in ai_usage and enforces the per-role daily quotas
+  // in ai_quotas; see usageMeter.getStatus()
+  usageMeter: new UsageMeter({
+    getUser: () => WatsonxService.getUsageUser(),
+    getQuotas: async () => (await DatabaseService.getAIQuotas()).data,
+    getUsageTotals: async (userId, since) => (await DatabaseService.getAIUsageTotals(userId, since)).data,
+    recordUsage: entry => DatabaseService.recordAIUsage(entry)
+  }),
+  usageUser: null,
 
   // RAG Pipeline instance
   ragPipeline: null,
 
+  // Chat model and answer length; the RAG prompt budget is derived from these
+  get chatModel() {
+    return this.getProvider().model;
+  },
+  maxOutputTokens: 1200,
+
+  // RAG settings used by the app; the evaluation harness compares variants against these
+  ragConfig: {
+    chunkSize: 300,
+    chunkOverlap: 40,
+    retrievalTopK: 8,
+    rerankerTopN: 3,
+    rerankerStrategy: import.meta.env.VITE_RAG_RERANKER || 'heuristic',
+    embeddingModel: 'tfidf',
+    minRelevanceThreshold: 0.3
+  },
+
   // Enhanced fallback responses for when API is unavailable
   fallbackResponses: [
     "I'm having trouble connecting to the AI service right now. Here's what I can tell you: This appears to be a great question! While I work on reconnecting, try rephrasing your question or check back in a moment.",
@@ -28,18 +60,13 @@ export const WatsonxService = {
     return this.fallbackResponses[Math.floor(Math.random() * this.fallbackResponses.length)];
   },
 
-  // Initialize RAG Pipeline
+  // Initialize RAG Pipeline; it runs in a Web Worker where the browser supports one
   initializeRAG() {
     if (!this.ragPipeline) {
       console.log('Initializing RAG Pipeline...');
-      this.ragPipeline = new RAGPipeline(this, {
-        chunkSize: 500,
-        chunkOverlap: 50,
-        retrievalTopK: 8,
-        rerankerTopN: 3,
-        embeddingModel: 'enhanced',
-        minRelevanceThreshold: 0.3
-      });
+      this.ragPipeline = typeof Worker !== 'undefined'
+        ? new RAGWorkerClient(this, this.ragConfig)
+        : new RAGPipeline(this, this.ragConfig);
     }
     return this.ragPipeline;
   },
@@ -107,149 +134,51 @@ export const WatsonxService = {
     });
   },
 
-  // Retry function with exponential backoff
-  async retryWithBackoff(fn, maxRetries = 1, baseDelay = 2000) {
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        return await fn();
-      } catch (error) {
-        if (attempt === maxRetries) {
-          throw error;
-        }
-        
-        // Don't retry on certain error types
-        if (error.name === 'AbortError' || 
-            error.message.includes('401') || 
-            error.message.includes('403')) {
-          throw error;
-        }
-        
-        const delay = baseDelay * Math.pow(2, attempt);
-        console.log(`Attempt ${attempt + 1} failed, retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+  // The configured LLM provider (see llm/providers.js), created on first use
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createLLMProvider(this.llmConfig, {
+        retry: (fn, options) => this.scheduler.schedule(fn, options),
+        getSessionToken: async () => (await supabase.auth.getSession()).data.session?.access_token
+      });
     }
+    return this.provider;
   },
 
-  async getIAMToken(apiKey) {
-    try {
-      // Check if we have a valid cached token
-      if (this.accessTokenCache.token && this.accessTokenCache.expiry > Date.now()) {
-        console.log('Using cached IAM token');
-        return this.accessTokenCache.token;
-      }
-
-      console.log('Getting new IAM token...');
-
-      const tokenRequest = async () => {
-        // Create request with reasonable timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
-
-        try {
-          const response = await fetch(IAM_URL, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/x-www-form-urlencoded',
-              'Accept': 'application/json'
-            },
-            body: new URLSearchParams({
-              'grant_type': 'urn:ibm:params:oauth:grant-type:apikey',
-              'apikey': apiKey
-            }),
-            signal: controller.signal
-          });
-
-          clearTimeout(timeoutId);
-
-          if (!response.ok) {
-            const errorText = await response.text();
-            console.error('IAM token request failed:', response.status, errorText);
-            throw new Error(`IAM authentication failed (${response.status}): ${errorText}`);
-          }
-
-          const data = await response.json();
-          
-          if (!data.access_token) {
-            throw new Error('No access token received from IAM service');
-          }
-
-          return data;
-        } catch (error) {
-          clearTimeout(timeoutId);
-          throw error;
-        }
-      };
-
-      // Retry the token request with backoff
-      const data = await this.retryWithBackoff(tokenRequest, 1, 2000);
-
-      // Cache the token with expiry (subtract 5 minutes for safety)
-      this.accessTokenCache.token = data.access_token;
-      this.accessTokenCache.expiry = Date.now() + ((data.expires_in - 300) * 1000);
-
-      console.log('IAM token obtained successfully');
-      return data.access_token;
-    } catch (error) {
-      console.error('Error getting IAM token:', error);
-      
-      // Clear cache on error
-      this.accessTokenCache.token = null;
-      this.accessTokenCache.expiry = null;
-      
-      if (error.name === 'AbortError') {
-        throw new Error('Authentication timeout - please check your internet connection');
-      }
-      
-      throw error;
+  // Signed-in user the usage meter charges, with their role; null when signed out
+  async getUsageUser() {
+    const { data } = await supabase.auth.getSession();
+    const userId = data.session?.user?.id;
+    if (!userId) return null;
+
+    if (this.usageUser?.id !== userId) {
+      const { data: profile } = await supabase
+        .from('users')
+        .select('role')
+        .eq('id', userId)
+        .single();
+      this.usageUser = { id: userId, role: profile?.role || 'student' };
     }
+    return this.usageUser;
   },
 
-  // Enhanced sendMessage with vision support
-    // --- Start of Corrected sendMessage function ---
-
-  async sendMessage(userMessage, documentContext = '', isTeacher = false, imageInput = null , isDiagnosticTest = false) {
+  // Switch providers at runtime, e.g. { provider: 'ollama', model: 'llama3.2-vision' }
+  setProvider(config) {
+    this.llmConfig = { ...this.llmConfig, ...config };
+    this.provider = null;
+    return this.getProvider();
+  },
 
-     let modelToUse = 'meta-llama/llama-3-2-11b-vision-instruct';
+  // Image processing and chat messages shared by sendMessage and streamMessage
+  async prepareChatRequest(userMessage, documentContext = '', isTeacher = false, imageInput = null, isDiagnosticTest = false) {
+      const provider = this.getProvider();
+      let modelToUse = imageInput ? provider.visionModel : provider.model;
       if (isDiagnosticTest) {
-            modelToUse = 'meta-llama/llama-3-2-11b-vision-instruct'; // Override model for the test
-            console.log(`[DIAGNOSTIC] Overriding model to: ${modelToUse}`);
-        } else {
-            modelToUse = 'meta-llama/llama-3-2-90b-vision-instruct'; // Default vision model
-        }
-    try {
-      // It's better practice to not have hardcoded fallbacks here.
-      // The code should fail if the .env variables are missing.
-      const apiKey = import.meta.env.VITE_WATSONX_API_KEY;
-      const projectId = import.meta.env.VITE_WATSONX_PROJECT_ID;
-
-      if (!apiKey || !projectId) {
-      console.error('CRITICAL: Watsonx credentials not found in .env file. Halting execution.');
-      console.error('VITE_WATSONX_API_KEY is:', apiKey);
-      console.error('VITE_WATSONX_PROJECT_ID is:', projectId);
-      throw new Error('Watsonx credentials are not configured in your .env file. Please check VITE_WATSONX_API_KEY and VITE_WATSONX_PROJECT_ID.');
-    }
-
-      
-
-
-      // More robust check. This will stop execution if credentials are not found.
-      if (!apiKey || !projectId) {
-        console.error('Watsonx credentials not configured. Please check your .env file for VITE_WATSONX_API_KEY and VITE_WATSONX_PROJECT_ID.');
-        throw new Error('Watsonx credentials not configured.');
+        modelToUse = provider.diagnosticModel || provider.model; // Override model for the test
+        console.log(`[DIAGNOSTIC] Overriding model to: ${modelToUse}`);
       }
 
-      console.log('Sending message to Watsonx...', imageInput ? 'with image' : 'text only');
-
-      // Get IAM access token with retry logic
-      let accessToken;
-      try {
-        accessToken = await this.getIAMToken(apiKey);
-      } catch (tokenError) {
-        console.error('Failed to get IAM token:', tokenError);
-        // Let the error bubble up instead of returning a fallback message
-        throw new Error(`Authentication failed: ${tokenError.message}`);
-      }
+      console.log(`Sending message to ${provider.name}...`, imageInput ? 'with image' : 'text only');
 
       // Process image if provided
       let processedImage = null;
@@ -272,9 +201,6 @@ export const WatsonxService = {
         ? `Context from document: ${documentContext}\n\nQuestion: ${userMessage}`
         : userMessage;
 
-      // --- START OF MAJOR CORRECTIONS ---
-      
-      // 1. Correctly prepare the messages array for both text and vision
       const messages = [
         {
           role: 'system',
@@ -305,89 +231,41 @@ export const WatsonxService = {
         });
       }
 
-      // 2. Correctly structure the entire request body
-      const requestBody = {
-        model_id: modelToUse,
-        project_id: projectId, // project_id is at the top level
-        messages: messages,
-        parameters: {
-           // messages array goes inside parameters
-          max_tokens: 1200,
-          temperature: 0.7,
-          top_p: 1,
-          frequency_penalty: 0,
-          presence_penalty: 0,
-        }
-      };
-      
-      // 3. Remove the old, incorrect 'images' key from the top level.
-
-      // --- END OF MAJOR CORRECTIONS ---
-
-      console.log('Sending request to Watsonx API with Project ID:', projectId);
-      // Helpful log to see the structure of what you're sending
-      console.log('Request Body Structure:', JSON.stringify(requestBody, (key, value) => key === 'url' ? value.substring(0, 40) + '...' : value, 2));
-
-
-      const watsonxRequest = async () => {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 60000);
-
-        try {
-          const response = await fetch(WATSONX_URL, {
-            method: 'POST',
-            headers: {
-              'Accept': 'application/json',
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${accessToken}`
-            },
-            body: JSON.stringify(requestBody),
-            signal: controller.signal
-          });
-
-          clearTimeout(timeoutId);
-
-          if (!response.ok) {
-            const errorText = await response.text();
-            console.error('Watsonx API error details:', response.status, errorText);
-            
-            if (response.status === 401 || response.status === 403) {
-              this.accessTokenCache.token = null;
-              this.accessTokenCache.expiry = null;
-            }
-            
-            // Re-throw with the actual API error message for better debugging
-            throw new Error(`API Error (${response.status}): ${errorText}`);
-          }
-
-          return await response.json();
-        } catch (error) {
-          clearTimeout(timeoutId);
-          throw error;
+      return {
+        provider,
+        messages,
+        options: {
+          model: modelToUse,
+          maxTokens: this.maxOutputTokens,
+          temperature: 0.7
         }
       };
+  },
 
-      const data = await this.retryWithBackoff(watsonxRequest, 2, 3000);
+  // Enhanced sendMessage with vision support
+  // requestOptions: { priority: 'interactive' | 'background' | 'batch', signal } for the request queue,
+  // and feature ('chat', 'ocr', 'grading', 'quiz', 'summary', 'indexing', 'rewrite', 'rerank', 'grounding') for usage metering;
+  // followUpHint: false keeps short answers as they are, without the follow-up invitation
+  async sendMessage(userMessage, documentContext = '', isTeacher = false, imageInput = null , isDiagnosticTest = false, requestOptions = {}) {
+    try {
+      const { provider, messages, options } = await this.prepareChatRequest(userMessage, documentContext, isTeacher, imageInput, isDiagnosticTest);
+      const { feature = 'chat', followUpHint = true, ...queueOptions } = requestOptions;
 
-      console.log('Watsonx response received successfully');
+      let content = await this.usageMeter.track(
+        { feature, provider, model: options.model, messages },
+        onUsage => provider.chat(messages, { ...options, ...queueOptions, feature, onUsage })
+      );
 
-      // 4. More robust response parsing for the new payload structure.
-      // The result is often nested under 'results'.
-      let content = '';
-      if (data.results && data.results.length > 0) {
-        content = data.results[0].generated_text || '';
-      } else if (data.choices && data.choices.length > 0) { // Fallback for other formats
-        content = data.choices[0].message?.content || data.choices[0].text || '';
-      }
+      console.log(`${provider.name} response received successfully`);
 
       if (!content) {
-        console.warn('No content found in Watsonx response:', data);
+        console.warn(`No content found in ${provider.name} response`);
         throw new Error('Received an empty response from the AI service.');
       }
 
       content = content.trim();
       
-      if (content.length < 50) {
+      if (followUpHint && content.length < 50) {
         content += "\n\nFeel free to ask follow-up questions or request more details about this topic!";
       }
 
@@ -400,23 +278,28 @@ export const WatsonxService = {
       throw error;
     }
   },
-  
-  // --- End of Corrected sendMessage function ---
-
-
-
-  // in watsonx.js
-// in watsonx.js
-// --- PASTE AND REPLACE YOUR ENTIRE sendMessage FUNCTION WITH THIS ---
-
-
-
-  
-  // Build OCR extraction prompt
 
+  // Streaming variant of sendMessage. Returns an async iterator of text deltas
+  // from the configured provider:
+  //
+  //   for await (const delta of WatsonxService.streamMessage(prompt, '', false, null, { signal })) { ... }
+  //
+  // options.priority and options.feature work like sendMessage's requestOptions
+  // (default 'interactive' and 'chat'). Aborting the signal cancels the request mid-answer. Use the mock provider
+  // (VITE_LLM_PROVIDER=mock) to stream scripted answers without an AI service.
+  async *streamMessage(userMessage, documentContext = '', isTeacher = false, imageInput = null, options = {}) {
+    const { signal = null, priority = 'interactive', feature = 'chat' } = options;
+    const { provider, messages, options: chatOptions } = await this.prepareChatRequest(userMessage, documentContext, isTeacher, imageInput);
+
+    yield* this.usageMeter.trackStream(
+      { feature, provider, model: chatOptions.model, messages },
+      onUsage => provider.streamChat(messages, { ...chatOptions, signal, priority, feature, onUsage })
+    );
+  },
 
   // New method specifically for vision-based tasks
-  async analyzeImage(imageInput, prompt = "What do you see in this image?", isTeacher = false) {
+  // options.priority and options.feature apply to both calls like sendMessage's requestOptions
+  async analyzeImage(imageInput, prompt = "What do you see in this image?", isTeacher = false, options = {}) {
     console.log('Analyzing image with prompt:', prompt);
     
     if (!imageInput) {
@@ -444,7 +327,8 @@ export const WatsonxService = {
         '',     // No document context
         false,  // isTeacher = false
         null,   // IMPORTANT: imageInput is null for this test
-        true    // A new flag to indicate this is a diagnostic test
+        true,   // A new flag to indicate this is a diagnostic test
+        { priority: options.priority, feature: options.feature }
       );
 
       console.log('--- ✅ DIAGNOSTIC TEST SUCCEEDED ---');
@@ -453,6 +337,9 @@ export const WatsonxService = {
       console.log('--- The 500 error is specific to the Llama Vision model or the vision prompt. Proceeding with the original vision call... ---');
 
     } catch (testError) {
+      // Out of quota: nothing is wrong with the connection
+      if (isQuotaError(testError)) throw testError;
+
       console.error('--- ❌ DIAGNOSTIC TEST FAILED ---');
       console.error('--- The simple text model also failed. This points to a wider issue with your account, region, or a major IBM outage. ---');
       console.error('--- Test Error Details:', testError);
@@ -466,15 +353,59 @@ export const WatsonxService = {
 
     // Now, we continue with the original call to the vision model.
     console.log('--- Continuing with original vision model call... ---');
-    return await this.sendMessage(visionPrompt, '', isTeacher, imageInput);
+    return await this.sendMessage(visionPrompt, '', isTeacher, imageInput, false, { priority: options.priority, feature: options.feature });
+  },
+
+  // Describe an image with exactly the given prompt, for callers that write their own
+  // instructions (figure captions for the RAG index). Unlike analyzeImage it adds no
+  // general analysis brief and no connectivity check, since it runs in batches.
+  async captionImage(imageInput, prompt, options = {}) {
+    if (!imageInput) {
+      throw new Error("Please provide an image to caption.");
+    }
+
+    return await this.sendMessage(prompt, '', true, imageInput, false, {
+      priority: options.priority || 'background',
+      feature: options.feature || 'indexing',
+      signal: options.signal,
+      followUpHint: false
+    });
   },
 
   // in watsonx.js
 
 
   // Enhanced RAG implementation with vision support
-  async performRAG(userMessage, documents, imageInput = null) {
+  // Map RAG passages back to the uploaded documents. citations holds one entry
+  // per numbered context passage; sourceDocument is the first cited document,
+  // kept for callers that show a single source.
+  resolveSources(passages = [], documents = []) {
+    const citations = (passages || []).filter(passage => documents.some(doc => doc.id === passage.id));
+    const sourceDocuments = [];
+
+    citations.forEach(citation => {
+      if (!sourceDocuments.some(doc => doc.id === citation.id)) {
+        sourceDocuments.push(documents.find(doc => doc.id === citation.id));
+      }
+    });
+
+    const primary = citations.find(citation => citation.cited) || citations[0];
+
+    return {
+      sourceDocument: primary ? documents.find(doc => doc.id === primary.id) : null,
+      sourceDocuments,
+      citations
+    };
+  },
+
+  // history: recent chat turns as [{ role: 'user' | 'assistant', content }], oldest first.
+  // options: { onToken(delta, textSoFar), signal } to stream the answer as it is generated.
+  async performRAG(userMessage, documents, imageInput = null, history = [], options = {}) {
     try {
+      // Cached answers are kept per signed-in user
+      const user = await this.getUsageUser();
+      options = { ...options, user: user ? `${user.id}:${user.role}` : null };
+
       console.log('🔍 Performing RAG search for:', userMessage);
       console.log('📚 Available documents:', documents.length);
       console.log('🖼️ Has image input:', !!imageInput);
@@ -482,10 +413,20 @@ export const WatsonxService = {
       // If no documents available, use direct message with image if provided
       if (!documents || documents.length === 0) {
         console.log('📭 No documents available for RAG, using general knowledge');
-        const response = await this.sendMessage(userMessage, '', false, imageInput);
+        let response = '';
+        if (options.onToken) {
+          for await (const delta of this.streamMessage(userMessage, '', false, imageInput, { signal: options.signal })) {
+            response += delta;
+            options.onToken(delta, response);
+          }
+        } else {
+          response = await this.sendMessage(userMessage, '', false, imageInput);
+        }
         return {
           response: response,
-          sourceDocument: null
+          sourceDocument: null,
+          sourceDocuments: [],
+          citations: []
         };
       }
 
@@ -502,56 +443,46 @@ export const WatsonxService = {
           false
         );
         
-        // Then perform RAG with enhanced context
-        const enhancedMessage = `${userMessage}\n\nImage Analysis: ${imageAnalysis}`;
-        const result = await ragPipeline.query(enhancedMessage, documents);
-        
-        // Find the source document
-        let sourceDocument = null;
-        if (result.sourceDocuments && result.sourceDocuments.length > 0) {
-          const sourceDocId = result.sourceDocuments[0].id;
-          sourceDocument = documents.find(doc => doc.id === sourceDocId);
-        }
+        // Then perform RAG; the analysis is searched with the question and gets its own prompt budget
+        const result = await ragPipeline.query(userMessage, documents, history, { ...options, imageAnalysis });
 
         return {
           response: result.response || result,
-          sourceDocument: sourceDocument,
+          ...this.resolveSources(result.sourceDocuments, documents),
+          groundedness: result.groundedness || null,
+          trace: result.trace || null,
           imageAnalysis: imageAnalysis
         };
       } else {
         // Regular RAG without image
-        const result = await ragPipeline.query(userMessage, documents);
+        const result = await ragPipeline.query(userMessage, documents, history, options);
         
         console.log('✅ RAG pipeline result:', {
           hasResponse: !!result.response,
           sourceDocuments: result.sourceDocuments?.length || 0
         });
 
-        // Find the actual source document from the original documents array
-        let sourceDocument = null;
-        if (result.sourceDocuments && result.sourceDocuments.length > 0) {
-          const sourceDocId = result.sourceDocuments[0].id;
-          sourceDocument = documents.find(doc => doc.id === sourceDocId);
-          
-          if (sourceDocument) {
-            console.log('📖 Source document found:', {
-              id: sourceDocument.id,
-              title: sourceDocument.title,
-              subject: sourceDocument.subject
-            });
-          } else {
-            console.warn('⚠️ Source document ID not found in original documents:', sourceDocId);
-          }
+        const sources = this.resolveSources(result.sourceDocuments, documents);
+
+        if (sources.sourceDocuments.length > 0) {
+          console.log('📖 Source documents found:', sources.sourceDocuments.map(doc => doc.title).join(', '));
+          console.log('🔗 Cited passages:', sources.citations.filter(c => c.cited).map(c => `[${c.marker}]`).join('') || 'none');
         } else {
           console.log('ℹ️ No source documents returned from RAG pipeline');
         }
 
         return {
           response: result.response || result,
-          sourceDocument: sourceDocument
+          ...sources,
+          rewrittenQuery: result.rewrittenQuery,
+          groundedness: result.groundedness || null,
+          trace: result.trace || null
         };
       }
     } catch (error) {
+      // Callers show their own message for a spent quota
+      if (error.name === 'AbortError' || isQuotaError(error)) throw error;
+
       console.error('❌ RAG error:', error);
       
       // If image was provided, try to at least analyze the image
@@ -561,6 +492,8 @@ export const WatsonxService = {
           return {
             response: `I had trouble accessing the document database, but I can analyze your image:\n\n${imageAnalysis}`,
             sourceDocument: null,
+            sourceDocuments: [],
+            citations: [],
             imageAnalysis: imageAnalysis
           };
         } catch (imageError) {
@@ -579,7 +512,9 @@ export const WatsonxService = {
       
       return {
         response: fallbackResponse,
-        sourceDocument: null
+        sourceDocument: null,
+        sourceDocuments: [],
+        citations: []
       };
     }
   },
@@ -592,7 +527,7 @@ export const WatsonxService = {
       // Check if AI service is available by testing with a simple request first
       const testPrompt = "Test connection";
       try {
-        await this.sendMessage(testPrompt);
+        await this.sendMessage(testPrompt, '', false, null, false, { priority: 'background', feature: 'quiz' });
         console.log('AI service connection test successful');
       } catch (testError) {
         console.warn('AI service connection test failed, using fallback quiz');
@@ -600,9 +535,9 @@ export const WatsonxService = {
       }
 
       // Extract document content for better context
-      const documentContent = this.extractDocumentContent(document);
+      const documentContent = await this.extractDocumentContent(document);
       
-      const prompt = `Based on the following document information, create 5 multiple choice questions:
+      const prompt = `Based on the following document content, create 5 multiple choice questions:
 
 ${documentContent}
 
@@ -624,7 +559,7 @@ Requirements:
 - Questions should be appropriate for the subject: ${document.subject}
 - Return ONLY the JSON array, no other text`;
 
-      const response = await this.sendMessage(prompt);
+      const response = await this.sendMessage(prompt, '', false, null, false, { priority: 'background', feature: 'quiz' });
       
       console.log('Quiz generation response received:', response);
 
@@ -682,18 +617,22 @@ Requirements:
     }
   },
 
+  // Section summaries, document summary and study guide, cached per document version.
+  // options.refresh builds them again even when a cached version exists.
+  async summarizeDocument(document, options = {}) {
+    return this.initializeRAG().summarizeDocument(document, options);
+  },
+
   // Extract text content from document for better context
-  extractDocumentContent(document) {
+  async extractDocumentContent(document, maxLength = 6000) {
     try {
-      // If document has base64 content, try to extract text
-      if (document.file_url && document.file_url.startsWith('data:')) {
-        // For now, we'll use the document metadata as context
-        // In production, you'd want to extract actual text from PDFs/docs
-        return `Document Title: ${document.title}\nSubject: ${document.subject}\nThis document contains educational content about ${document.subject}.`;
-      }
-      
-      // Fallback to basic document info
-      return `Document: "${document.title}" - Subject: ${document.subject}`;
+      // Reuse the RAG pipeline's processor so extracted text is cached once
+      const pages = await this.initializeRAG().extractDocumentContent(document);
+      const content = pages
+        .map(page => page.pageNumber ? `[Page ${page.pageNumber}]\n${page.text}` : page.text)
+        .join('\n\n');
+
+      return `Document Title: ${document.title}\nSubject: ${document.subject}\n\n${content.substring(0, maxLength)}`;
     } catch (error) {
       console.error('Error extracting document content:', error);
       return `Document: "${document.title}" - Subject: ${document.subject}`;
@@ -0,0 +1,58 @@
+/*
+  # Persisted RAG chunk index
+
+  1. New Tables
+    - `document_chunks`
+      - `id` (uuid, primary key)
+      - `document_id` (uuid, foreign key to documents)
+      - `chunk_index` (integer) - Position of the chunk within its document
+      - `content` (text) - Chunk text
+      - `metadata` (jsonb) - Page number and other chunk metadata
+      - `embedding` (real array) - Chunk embedding
+      - `embedding_model` (text) - Vector space the embedding belongs to
+      - `index_version` (text) - Fingerprint of document, chunking config and model
+      - `created_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `document_chunks`
+    - Teachers manage chunks of their own documents
+    - Authenticated users can read all chunks, matching document visibility
+*/
+
+CREATE TABLE IF NOT EXISTS document_chunks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_id uuid NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  chunk_index integer NOT NULL,
+  content text NOT NULL,
+  metadata jsonb DEFAULT '{}',
+  embedding real[] NOT NULL DEFAULT '{}',
+  embedding_model text NOT NULL,
+  index_version text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (document_id, chunk_index)
+);
+
+ALTER TABLE document_chunks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Teachers can manage chunks of own documents"
+  ON document_chunks
+  FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM documents d
+      WHERE d.id = document_id
+      AND d.uploaded_by = auth.uid()
+      AND EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'teacher')
+    )
+  );
+
+CREATE POLICY "Authenticated users can view document chunks"
+  ON document_chunks
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role IN ('student', 'teacher'))
+  );
+
+CREATE INDEX IF NOT EXISTS idx_document_chunks_document_id ON document_chunks(document_id);
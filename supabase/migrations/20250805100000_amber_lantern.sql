@@ -0,0 +1,14 @@
+/*
+  # Chat answer citations
+
+  1. Changes
+    - `chats.citations` (jsonb) - Passages cited by a RAG answer: marker, document,
+      page, section and snippet, so citations survive reloading the chat history
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'chats' AND column_name = 'citations') THEN
+    ALTER TABLE chats ADD COLUMN citations jsonb DEFAULT '[]';
+  END IF;
+END $$;
@@ -0,0 +1,20 @@
+/*
+  # Document filter metadata
+
+  1. Changes
+    - `documents.class_section` (text) - Class section a document is meant for (e.g. 10-A),
+      used to narrow chat retrieval
+    - `documents.uploader_name` (text) - Name of the uploading teacher, stored on the
+      document because students cannot read other rows of `users`
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'documents' AND column_name = 'class_section') THEN
+    ALTER TABLE documents ADD COLUMN class_section text;
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'documents' AND column_name = 'uploader_name') THEN
+    ALTER TABLE documents ADD COLUMN uploader_name text;
+  END IF;
+END $$;
@@ -0,0 +1,123 @@
+/*
+  # Configurable subject taxonomy
+
+  1. New Tables
+    - `subjects`
+      - `id` (uuid, primary key)
+      - `name` (text, unique) - Subject shown in pickers and stored on documents
+      - `keywords` (text array) - Words that point a question at this subject
+      - `topics` (jsonb) - Topics within the subject: [{ "name", "keywords": [] }]
+      - `created_by` (uuid, foreign key to users)
+      - `created_at`, `updated_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `subjects`
+    - Authenticated users can read the taxonomy
+    - Teachers can add, edit and remove subjects
+
+  3. Renames
+    - Documents and question papers store the subject name; a trigger renames
+      them with the subject
+
+  4. Seed data
+    - The five built-in subjects with their keywords and topics
+*/
+
+CREATE TABLE IF NOT EXISTS subjects (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text UNIQUE NOT NULL,
+  keywords text[] DEFAULT '{}',
+  topics jsonb DEFAULT '[]',
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE subjects ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view subjects"
+  ON subjects
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Teachers can manage subjects"
+  ON subjects
+  FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'teacher')
+  )
+  WITH CHECK (
+    EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'teacher')
+  );
+
+-- Carry subject renames over to the rows that store the name. Runs as the owner,
+-- since the renaming teacher may not own every document filed under the subject.
+CREATE OR REPLACE FUNCTION rename_subject_references()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE documents SET subject = NEW.name WHERE subject = OLD.name;
+  UPDATE question_papers SET subject = NEW.name WHERE subject = OLD.name;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_rename_subject_references ON subjects;
+CREATE TRIGGER trigger_rename_subject_references
+  AFTER UPDATE OF name ON subjects
+  FOR EACH ROW
+  WHEN (OLD.name IS DISTINCT FROM NEW.name)
+  EXECUTE FUNCTION rename_subject_references();
+
+INSERT INTO subjects (name, keywords, topics) VALUES
+  (
+    'Mathematics',
+    ARRAY['math', 'maths', 'calculate', 'number', 'formula', 'equation', 'theorem', 'proof', 'graph', 'variable', 'function'],
+    '[
+      { "name": "Algebra", "keywords": ["algebra", "polynomial", "quadratic", "linear equation", "expression", "factor"] },
+      { "name": "Geometry", "keywords": ["geometry", "triangle", "circle", "angle", "coordinate", "perimeter", "volume"] },
+      { "name": "Calculus", "keywords": ["calculus", "derivative", "integral", "limit", "differentiation"] },
+      { "name": "Statistics", "keywords": ["statistics", "probability", "median", "standard deviation", "variance", "data set"] },
+      { "name": "Trigonometry", "keywords": ["trigonometry", "sine", "cosine", "tangent"] },
+      { "name": "Matrices", "keywords": ["matrix", "matrices", "vector", "determinant"] }
+    ]'
+  ),
+  (
+    'Science',
+    ARRAY['science', 'experiment', 'hypothesis', 'energy', 'scientific'],
+    '[
+      { "name": "Biology", "keywords": ["biology", "cell", "organism", "photosynthesis", "evolution", "genetics", "dna", "protein", "ecosystem", "botany", "zoology"] },
+      { "name": "Chemistry", "keywords": ["chemistry", "molecule", "atom", "reaction", "compound", "element", "acid", "alkali", "periodic table"] },
+      { "name": "Physics", "keywords": ["physics", "force", "motion", "velocity", "acceleration", "gravity", "electricity", "optics", "refraction"] }
+    ]'
+  ),
+  (
+    'History',
+    ARRAY['history', 'historical', 'civilization', 'ancient', 'empire', 'dynasty', 'monarch', 'world war', 'century'],
+    '[
+      { "name": "Ancient civilizations", "keywords": ["harappan", "indus", "mesopotamia", "egypt", "rome", "greece", "bronze", "pottery", "settlement"] },
+      { "name": "Archaeology", "keywords": ["archaeology", "artifact", "excavation"] },
+      { "name": "Society and economy", "keywords": ["culture", "society", "trade", "agriculture"] }
+    ]'
+  ),
+  (
+    'English',
+    ARRAY['english', 'writing', 'grammar', 'sentence', 'paragraph', 'essay'],
+    '[
+      { "name": "Literature", "keywords": ["literature", "literary", "novel", "poetry", "author", "character", "plot", "theme", "narrative", "dialogue"] },
+      { "name": "Figures of speech", "keywords": ["metaphor", "simile", "symbolism", "personification", "alliteration"] }
+    ]'
+  ),
+  (
+    'Computer Science',
+    ARRAY['computer', 'programming', 'code', 'coding', 'software', 'hardware', 'technology', 'digital'],
+    '[
+      { "name": "Algorithms", "keywords": ["algorithm", "binary search", "sorting", "complexity", "recursion"] },
+      { "name": "Data structures", "keywords": ["data structure", "array", "stack", "queue", "linked list", "binary tree"] },
+      { "name": "Databases", "keywords": ["database", "sql", "primary key"] },
+      { "name": "Networks", "keywords": ["network", "internet", "protocol"] },
+      { "name": "Object-oriented programming", "keywords": ["object-oriented", "encapsulation", "polymorphism", "inheritance"] }
+    ]'
+  )
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,14 @@
+/*
+  # Answer groundedness verdicts
+
+  1. Changes
+    - `chats.groundedness` (jsonb) - Verification of a RAG answer against its passages:
+      status, method, score and the per-claim verdicts (supported, contradicted, unsupported)
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'chats' AND column_name = 'groundedness') THEN
+    ALTER TABLE chats ADD COLUMN groundedness jsonb;
+  END IF;
+END $$;
@@ -0,0 +1,20 @@
+/*
+  # RAG query traces
+
+  1. Changes
+    - `chats.rag_trace` (jsonb) - Structured record of the RAG query behind an answer:
+      rewritten query, retrieval hits, rerank scores and reasons, final prompt and raw
+      model output. Shown to teachers in the chat trace inspector.
+
+  2. Indexes
+    - `chats(timestamp)` for the inspector's list of recent queries
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'chats' AND column_name = 'rag_trace') THEN
+    ALTER TABLE chats ADD COLUMN rag_trace jsonb;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_chats_timestamp ON chats(timestamp DESC);
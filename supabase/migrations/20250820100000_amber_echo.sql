@@ -0,0 +1,59 @@
+/*
+  # Semantic answer cache
+
+  1. New Tables
+    - `answer_cache`
+      - `id` (uuid, primary key)
+      - `scope` (text) - Document-set hash, embedding model and answer options the
+        answer was generated under; only entries with the same scope are compared
+      - `question` (text) - Standalone question that was answered
+      - `embedding` (real array) - Embedding of the question
+      - `result` (jsonb) - Answer, sources and groundedness verdict
+      - `created_by` (uuid, foreign key to users) - Defaults to the signed-in user
+      - `created_at` (timestamp)
+      - `expires_at` (timestamp) - Entries are ignored after this time
+
+  2. Security
+    - Enable RLS on `answer_cache`
+    - Users read and add only their own answers. Answers are written by the
+      browser, so a row from one user must never be served to another
+    - Teachers can clear the cache
+
+  3. Indexes
+    - `answer_cache(scope, expires_at)` for loading the live entries of a scope
+*/
+
+CREATE TABLE IF NOT EXISTS answer_cache (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  scope text NOT NULL,
+  question text NOT NULL,
+  embedding real[] NOT NULL DEFAULT '{}',
+  result jsonb NOT NULL,
+  created_by uuid DEFAULT auth.uid() REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  expires_at timestamptz NOT NULL
+);
+
+ALTER TABLE answer_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own cached answers"
+  ON answer_cache
+  FOR SELECT
+  TO authenticated
+  USING (created_by = auth.uid());
+
+CREATE POLICY "Users can cache own answers"
+  ON answer_cache
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (created_by = auth.uid());
+
+CREATE POLICY "Teachers can clear cached answers"
+  ON answer_cache
+  FOR DELETE
+  TO authenticated
+  USING (
+    EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'teacher')
+  );
+
+CREATE INDEX IF NOT EXISTS idx_answer_cache_scope ON answer_cache(scope, expires_at);
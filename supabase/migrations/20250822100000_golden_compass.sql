@@ -0,0 +1,50 @@
+/*
+  # Document summaries and study guides
+
+  1. New Tables
+    - `document_summaries`
+      - `document_id` (uuid, primary key, foreign key to documents)
+      - `version` (text) - Document version and summary format the row was built from;
+        a row with another version is stale and rebuilt on request
+      - `summary` (text) - Whole-document summary
+      - `sections` (jsonb) - Per-section summaries with their page ranges
+      - `study_guide` (jsonb) - Key terms, main ideas and review questions
+      - `created_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `document_summaries`
+    - Teachers manage summaries of their own documents
+    - Authenticated users can read all summaries, matching document visibility
+*/
+
+CREATE TABLE IF NOT EXISTS document_summaries (
+  document_id uuid PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+  version text NOT NULL,
+  summary text NOT NULL,
+  sections jsonb NOT NULL DEFAULT '[]',
+  study_guide jsonb NOT NULL DEFAULT '{}',
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE document_summaries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Teachers can manage summaries of own documents"
+  ON document_summaries
+  FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM documents d
+      WHERE d.id = document_id
+      AND d.uploaded_by = auth.uid()
+      AND EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'teacher')
+    )
+  );
+
+CREATE POLICY "Authenticated users can view document summaries"
+  ON document_summaries
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role IN ('student', 'teacher'))
+  );
@@ -0,0 +1,127 @@
+/*
+  # AI usage metering and daily quotas
+
+  1. New Tables
+    - `ai_usage`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key to users)
+      - `role` (text) - Role of the user when the request was made; set from
+        `users` by a trigger, whatever the insert says
+      - `feature` (text) - chat, ocr, grading, quiz, summary, indexing, rewrite, rerank or grounding
+      - `provider` (text) - LLM provider that served the request
+      - `model` (text) - Model that served the request
+      - `input_tokens`, `output_tokens` (integer, never negative)
+      - `tokens_estimated` (boolean) - True when the provider did not report usage
+        and the counts were estimated from the text
+      - `has_image` (boolean) - Vision request
+      - `latency_ms` (integer)
+      - `outcome` (text) - success, error, cancelled or quota_exceeded
+      - `error_message` (text)
+      - `created_at` (timestamp)
+    - `ai_quotas`
+      - `role` (text, primary key)
+      - `daily_requests` (integer) - AI requests per user per day; null for no limit
+      - `daily_tokens` (integer) - Input plus output tokens per user per day; null for no limit
+      - `updated_by` (uuid, foreign key to users)
+      - `updated_at` (timestamp)
+
+  2. Security
+    - Enable RLS on both tables
+    - Users record and read their own usage; teachers read everyone's. Watsonx
+      requests are recorded by the AI proxy, which also enforces the quotas;
+      users can only add to their own totals, never lower them or change the role
+    - Authenticated users can read the quotas; teachers can change them
+
+  3. Seed data
+    - Default quotas for students and teachers
+*/
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role text NOT NULL,
+  feature text NOT NULL CHECK (feature IN ('chat', 'ocr', 'grading', 'quiz', 'summary', 'indexing', 'rewrite', 'rerank', 'grounding')),
+  provider text NOT NULL,
+  model text,
+  input_tokens integer NOT NULL DEFAULT 0,
+  output_tokens integer NOT NULL DEFAULT 0,
+  tokens_estimated boolean NOT NULL DEFAULT false,
+  has_image boolean NOT NULL DEFAULT false,
+  latency_ms integer NOT NULL DEFAULT 0,
+  outcome text NOT NULL CHECK (outcome IN ('success', 'error', 'cancelled', 'quota_exceeded')),
+  error_message text,
+  created_at timestamptz DEFAULT now(),
+  CHECK (input_tokens >= 0 AND output_tokens >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_created_at ON ai_usage(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at DESC);
+
+ALTER TABLE ai_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can record own AI usage"
+  ON ai_usage
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (user_id = auth.uid());
+
+-- The role comes from the user's profile, so per-role figures can't be spoofed
+CREATE OR REPLACE FUNCTION set_ai_usage_role()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.role := COALESCE((SELECT role FROM users WHERE id = NEW.user_id), 'student');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_set_ai_usage_role ON ai_usage;
+CREATE TRIGGER trigger_set_ai_usage_role
+  BEFORE INSERT ON ai_usage
+  FOR EACH ROW
+  EXECUTE FUNCTION set_ai_usage_role();
+
+CREATE POLICY "Users can view own AI usage"
+  ON ai_usage
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Teachers can view all AI usage"
+  ON ai_usage
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'teacher')
+  );
+
+CREATE TABLE IF NOT EXISTS ai_quotas (
+  role text PRIMARY KEY CHECK (role IN ('student', 'teacher')),
+  daily_requests integer CHECK (daily_requests >= 0),
+  daily_tokens integer CHECK (daily_tokens >= 0),
+  updated_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE ai_quotas ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view AI quotas"
+  ON ai_quotas
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Teachers can manage AI quotas"
+  ON ai_quotas
+  FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'teacher')
+  )
+  WITH CHECK (
+    EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'teacher')
+  );
+
+INSERT INTO ai_quotas (role, daily_requests, daily_tokens) VALUES
+  ('student', 100, 150000),
+  ('teacher', 1000, 2000000)
+ON CONFLICT (role) DO NOTHING;
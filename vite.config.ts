@@ -1,32 +1,28 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// The AI endpoints go to server/aiProxy.js, which holds the watsonx credentials
+const aiProxy = (target: string) => ({
+  '/api/iam': { target, changeOrigin: true },
+  '/api/watsonx-stream': { target, changeOrigin: true },
+  '/api/watsonx': { target, changeOrigin: true }
+});
+
 // https://vitejs.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  optimizeDeps: {
-    exclude: ['lucide-react'],
-  },
-  server: {
-    proxy: {
-      '/api/iam': {
-        target: 'https://iam.cloud.ibm.com/identity/token',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/iam/, ''),
-        secure: true,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; EduBot/1.0)'
-        }
-      },
-      '/api/watsonx': {
-        target: 'https://au-syd.ml.cloud.ibm.com/ml/v1/text/chat?version=2023-05-29',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/watsonx/, ''),
-        secure: true,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; EduBot/1.0)'
-        }
-      }
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), '');
+
+  return {
+    plugins: [react()],
+    optimizeDeps: {
+      exclude: ['lucide-react'],
+    },
+    // The RAG worker lazy-loads pdf.js and mammoth, which needs code splitting
+    worker: {
+      format: 'es',
+    },
+    server: {
+      proxy: aiProxy(env.AI_PROXY_URL || 'http://localhost:8787')
     }
-  }
-});
\ No newline at end of file
+  };
+});